@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { STATUS_NAMES } = require('../utils/workflow');
 
 // MongoDB Connection
 const connectDB = async () => {
@@ -27,9 +28,38 @@ const userSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true, index: true },
   password_hash: { type: String, required: true },
+  // Bumped to revoke every login token issued before, e.g. on a password reset
+  token_version: { type: Number, default: 0 },
+  password_changed_at: { type: Date, default: null },
   name: { type: String, required: true },
-  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  phone: { type: String },
+  role: {
+    type: String,
+    enum: ['citizen', 'moderator', 'department_officer', 'department_head', 'super_admin'],
+    default: 'citizen'
+  },
   is_verified: { type: Boolean, default: false },
+  email_verified_at: { type: Date, default: null },
+  verification_sent_at: { type: Date, default: null },
+  is_banned: { type: Boolean, default: false },
+  warning_count: { type: Number, default: 0 },
+  department_id: { type: String, default: null },
+  // Email opt-outs per notification type, see EMAIL_PREFERENCES in services/notifications
+  notification_preferences: {
+    status_change: { type: Boolean, default: true },
+    sla_breach: { type: Boolean, default: true }
+  },
+  // TOTP second factor; secrets are stored encrypted, backup codes hashed
+  two_factor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    // Waits here until the first code from the authenticator app confirms it
+    pending_secret: { type: String, default: null },
+    backup_code_hashes: { type: [String], default: [] },
+    // Time step of the last accepted code, so a code can't be replayed
+    last_used_step: { type: Number, default: null },
+    enabled_at: { type: Date, default: null }
+  },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
 });
@@ -39,16 +69,79 @@ const issueSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: { type: String, required: true },
   category: { type: String, required: true },
-  status: { type: String, enum: ['reported', 'in_progress', 'resolved'], default: 'reported' },
+  status: { type: String, enum: STATUS_NAMES, default: 'reported' },
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  // Computed by the priority service unless an admin locked a manual priority
+  priority_score: { type: Number, default: 0, index: true },
+  priority_factors: { type: mongoose.Schema.Types.Mixed, default: null },
+  priority_locked: { type: Boolean, default: false },
+  priority_updated_at: { type: Date, default: null },
+  // GeoJSON point, coordinates are [longitude, latitude]
   location: {
-    latitude: { type: Number, required: true },
-    longitude: { type: Number, required: true },
-    address: { type: String }
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true }
   },
+  address: { type: String },
   reporter_id: { type: String, required: true },
   is_anonymous: { type: Boolean, default: false },
+  is_hidden: { type: Boolean, default: false },
+  // Removed by a moderator; kept, hidden, for the moderation log
+  is_deleted: { type: Boolean, default: false },
+  merged_into: { type: String, default: null },
+  department_id: { type: String, default: null, index: true },
+  assignee_id: { type: String, default: null, index: true },
+  assigned_at: { type: Date, default: null },
+  // Service level targets; the clocks stop once the issue is acknowledged/closed
+  sla: {
+    policy_id: { type: String, default: null },
+    acknowledge_due_at: { type: Date, default: null },
+    resolve_due_at: { type: Date, default: null },
+    acknowledged_at: { type: Date, default: null },
+    resolved_at: { type: Date, default: null },
+    paused_at: { type: Date, default: null },
+    acknowledge_breached: { type: Boolean, default: false },
+    resolve_breached: { type: Boolean, default: false },
+    escalated_at: { type: Date, default: null }
+  },
+  // Open flags only; reviewing them in the moderation queue resets both
   flag_count: { type: Number, default: 0 },
+  flag_weight: { type: Number, default: 0 },
+  // Why the issue was hidden and the reporter's appeal against it
+  moderation: {
+    hidden_at: { type: Date, default: null },
+    hidden_by: { type: String, default: null },
+    hidden_reason: { type: String, default: null },
+    appeal_status: { type: String, enum: ['pending', 'granted', 'denied', null], default: null },
+    appeal_message: { type: String, default: null },
+    appealed_at: { type: Date, default: null },
+    appeal_reviewed_by: { type: String, default: null },
+    appeal_reviewed_at: { type: Date, default: null }
+  },
+  // Kept in step with IssueVote by the votes service
+  upvotes: { type: Number, default: 0 },
+  downvotes: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+// Departments own the categories they handle, optionally only inside a zone
+const departmentSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true, unique: true },
+  categories: { type: [String], default: [] },
+  zone: { type: mongoose.Schema.Types.Mixed, default: null },
+  auto_assign_staff: { type: Boolean, default: false },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+// Response targets in hours; category and priority are optional, the most specific match wins
+const slaPolicySchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  category: { type: String, default: null },
+  priority: { type: String, enum: ['low', 'medium', 'high', null], default: null },
+  acknowledge_hours: { type: Number, required: true },
+  resolve_hours: { type: Number, required: true },
   created_at: { type: Date, default: Date.now },
   updated_at: { type: Date, default: Date.now }
 });
@@ -76,7 +169,12 @@ const issueFlagSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   issue_id: { type: String, required: true },
   flagged_by: { type: String, required: true },
-  reason: { type: String, required: true },
+  reason: { type: String },
+  // The flagger's reputation when they flagged; counts towards auto-hiding
+  weight: { type: Number, default: 1 },
+  status: { type: String, enum: ['open', 'upheld', 'rejected', 'dismissed'], default: 'open' },
+  reviewed_by: { type: String, default: null },
+  reviewed_at: { type: Date, default: null },
   created_at: { type: Date, default: Date.now }
 });
 
@@ -88,16 +186,243 @@ const issueVoteSchema = new mongoose.Schema({
   created_at: { type: Date, default: Date.now }
 });
 
+const issueCommentSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  issue_id: { type: String, required: true, index: true },
+  parent_id: { type: String, default: null },
+  author_id: { type: String, required: true },
+  body: { type: String, default: '' },
+  edit_history: [{
+    body: { type: String, required: true },
+    edited_at: { type: Date, default: Date.now }
+  }],
+  is_deleted: { type: Boolean, default: false },
+  is_hidden: { type: Boolean, default: false },
+  // Number and combined weight of open flags, kept in sync by the moderation service
+  flag_count: { type: Number, default: 0 },
+  flag_weight: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now }
+});
+
+const issueCommentFlagSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  comment_id: { type: String, required: true },
+  flagged_by: { type: String, required: true },
+  reason: { type: String },
+  // Reviewed the same way as issue flags, and counted in the flagger's reputation
+  weight: { type: Number, default: 1 },
+  status: { type: String, enum: ['open', 'upheld', 'rejected', 'dismissed'], default: 'open' },
+  reviewed_by: { type: String, default: null },
+  reviewed_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Audit trail of moderation decisions; actor_id is null for automatic ones,
+// comment_id is set when the decision was about a comment on the issue
+const moderationLogSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  issue_id: { type: String, required: true },
+  comment_id: { type: String, default: null },
+  action: {
+    type: String,
+    enum: ['approve', 'reject_flags', 'hide', 'delete', 'warn_reporter', 'auto_hide', 'appeal'],
+    required: true
+  },
+  actor_id: { type: String, default: null },
+  reason: { type: String, default: null },
+  flags_reviewed: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now }
+});
+
+const issueFollowSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true },
+  issue_id: { type: String, required: true, index: true },
+  created_at: { type: Date, default: Date.now }
+});
+
+// A circle (center as [longitude, latitude] plus radius) or a GeoJSON polygon
+const areaSubscriptionSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  area_type: { type: String, enum: ['circle', 'polygon'], required: true },
+  center: { type: [Number], default: undefined },
+  radius_km: { type: Number },
+  polygon: { type: mongoose.Schema.Types.Mixed },
+  categories: { type: [String], default: [] },
+  created_at: { type: Date, default: Date.now }
+});
+
+const notificationSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true },
+  type: {
+    type: String,
+    enum: [
+      'status_change', 'comment', 'reply', 'issue_flagged', 'comment_flagged', 'assigned', 'sla_breach',
+      'issue_hidden', 'issue_deleted', 'moderation_warning', 'appeal_submitted', 'appeal_decided'
+    ],
+    required: true
+  },
+  issue_id: { type: String, required: true },
+  comment_id: { type: String, default: null },
+  actor_id: { type: String, default: null },
+  message: { type: String, required: true },
+  read_at: { type: Date, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Only a hash of the emailed token is stored; used_at makes it single-use
+const passwordResetTokenSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true, index: true },
+  token_hash: { type: String, required: true, unique: true },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+  requested_ip: { type: String, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+// One per signed-in device. The refresh token rotates on every use; only
+// hashes of the current and the previous one are kept.
+const sessionSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  user_id: { type: String, required: true, index: true },
+  refresh_token_hash: { type: String, required: true, unique: true },
+  previous_token_hash: { type: String, default: null },
+  rotated_at: { type: Date, default: null },
+  user_agent: { type: String, default: null },
+  device: { type: String, default: null },
+  ip: { type: String, default: null },
+  created_at: { type: Date, default: Date.now },
+  last_used_at: { type: Date, default: Date.now },
+  expires_at: { type: Date, required: true },
+  revoked_at: { type: Date, default: null },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed', 'banned', null],
+    default: null
+  }
+});
+
+// Counters of the Mongo attempt store, shared by every API instance
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expires_at: { type: Date, required: true }
+});
+
+// Audit trail of failed and suspicious sign-ins
+const securityEventSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  event: {
+    type: String,
+    enum: ['login_failed', 'two_factor_failed', 'account_locked', 'account_unlocked', 'ip_blocked', 'locked_login_attempt'],
+    required: true
+  },
+  user_id: { type: String, default: null },
+  email: { type: String, default: null },
+  ip: { type: String, default: null },
+  user_agent: { type: String, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  created_at: { type: Date, default: Date.now }
+});
+
+const mailJobSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  to: { type: String, required: true },
+  template: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  last_error: { type: String },
+  next_attempt_at: { type: Date, default: Date.now },
+  locked_at: { type: Date },
+  sent_at: { type: Date },
+  created_at: { type: Date, default: Date.now }
+});
+
+// Create index for the mail worker picking up due jobs
+mailJobSchema.index({ status: 1, next_attempt_at: 1 });
+
+// Create geospatial index for radius and distance queries
+issueSchema.index({ location: '2dsphere' });
+
+// Create text index for full-text issue search, ranked by field weight
+issueSchema.index(
+  { title: 'text', description: 'text', address: 'text' },
+  { name: 'issue_text_search', weights: { title: 5, address: 2, description: 1 } }
+);
+
 // Create compound index for unique user votes per issue
 issueVoteSchema.index({ issue_id: 1, user_id: 1 }, { unique: true });
 
+// Create compound index for one flag per user per comment
+issueCommentFlagSchema.index({ comment_id: 1, flagged_by: 1 }, { unique: true });
+
+// Create indexes for a flagger's review history and a comment's open flags
+issueCommentFlagSchema.index({ flagged_by: 1, status: 1 });
+issueCommentFlagSchema.index({ comment_id: 1, status: 1 });
+
+// Create indexes for a flagger's review history and an issue's open flags
+issueFlagSchema.index({ flagged_by: 1, status: 1 });
+issueFlagSchema.index({ issue_id: 1, status: 1 });
+
+// Create index for an issue's moderation history
+moderationLogSchema.index({ issue_id: 1, created_at: -1 });
+
+// Create compound index for following an issue once per user
+issueFollowSchema.index({ user_id: 1, issue_id: 1 }, { unique: true });
+
+// Create geospatial index for finding the department whose zone covers an issue
+departmentSchema.index({ zone: '2dsphere' });
+
+// Create compound index for one SLA policy per category and priority
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+// Create indexes for the SLA worker looking for missed deadlines
+issueSchema.index({ 'sla.acknowledged_at': 1, 'sla.acknowledge_due_at': 1 });
+issueSchema.index({ 'sla.resolved_at': 1, 'sla.resolve_due_at': 1 });
+
+// Create TTL index so MongoDB drops password reset tokens once they expire
+passwordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Create TTL index so MongoDB drops sessions once their refresh token expires
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Create TTL index so MongoDB drops rate limit counters once their window ends
+rateLimitCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Create indexes for the security log by account, by IP and by time
+securityEventSchema.index({ created_at: -1 });
+securityEventSchema.index({ user_id: 1, created_at: -1 });
+securityEventSchema.index({ ip: 1, created_at: -1 });
+
+// Create index for listing a user's newest notifications
+notificationSchema.index({ user_id: 1, created_at: -1 });
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const Issue = mongoose.model('Issue', issueSchema);
+const Department = mongoose.model('Department', departmentSchema);
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
 const IssueImage = mongoose.model('IssueImage', issueImageSchema);
 const IssueStatusLog = mongoose.model('IssueStatusLog', issueStatusLogSchema);
 const IssueFlag = mongoose.model('IssueFlag', issueFlagSchema);
 const IssueVote = mongoose.model('IssueVote', issueVoteSchema);
+const IssueComment = mongoose.model('IssueComment', issueCommentSchema);
+const IssueCommentFlag = mongoose.model('IssueCommentFlag', issueCommentFlagSchema);
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+const IssueFollow = mongoose.model('IssueFollow', issueFollowSchema);
+const AreaSubscription = mongoose.model('AreaSubscription', areaSubscriptionSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+const MailJob = mongoose.model('MailJob', mailJobSchema);
 
 // Helper functions for database operations
 const query = async (model, filter = {}, options = {}) => {
@@ -165,10 +490,23 @@ module.exports = {
   connectDB,
   User,
   Issue,
+  Department,
+  SlaPolicy,
   IssueImage,
   IssueStatusLog,
   IssueFlag,
   IssueVote,
+  IssueComment,
+  IssueCommentFlag,
+  ModerationLog,
+  IssueFollow,
+  AreaSubscription,
+  Notification,
+  PasswordResetToken,
+  Session,
+  RateLimitCounter,
+  SecurityEvent,
+  MailJob,
   query,
   queryOne,
   run,
@@ -0,0 +1,165 @@
+const {
+  connectDB,
+  Issue,
+  User,
+  IssueFlag,
+  IssueCommentFlag,
+  PasswordResetToken,
+  Session,
+  RateLimitCounter
+} = require('./database');
+const { toGeoPoint } = require('../utils/geo');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+const { computeDueDates } = require('../services/sla');
+const { recomputePriority } = require('../services/priority');
+const { syncVoteCounts } = require('../services/votes');
+const { syncFlagCounts, syncCommentFlagCounts } = require('../services/moderation');
+
+/**
+ * Convert legacy { latitude, longitude, address } issue locations to
+ * GeoJSON points and build the indexes declared on the schemas
+ */
+async function migrateDatabase() {
+  try {
+    console.log('🔄 Starting database migration...');
+
+    console.log('🗄️ Connecting to MongoDB...');
+    await connectDB();
+
+    // Work on the raw collection, legacy documents no longer match the schema
+    const legacyIssues = await Issue.collection
+      .find({ 'location.latitude': { $exists: true } })
+      .toArray();
+
+    for (const issue of legacyIssues) {
+      await Issue.collection.updateOne(
+        { _id: issue._id },
+        {
+          $set: {
+            location: toGeoPoint(issue.location.latitude, issue.location.longitude),
+            address: issue.address || issue.location.address
+          }
+        }
+      );
+    }
+    console.log(`✅ Converted ${legacyIssues.length} issue locations to GeoJSON`);
+
+    // Backfill visibility flag so list queries match older documents
+    const { modifiedCount } = await Issue.collection.updateMany(
+      { is_hidden: { $exists: false } },
+      { $set: { is_hidden: false } }
+    );
+    console.log(`✅ Backfilled is_hidden on ${modifiedCount} issues`);
+
+    // Map the old user/admin roles and is_admin flag onto the permission roles
+    const { modifiedCount: promotedAdmins } = await User.collection.updateMany(
+      { $or: [{ is_admin: true }, { role: 'admin' }] },
+      { $set: { role: 'super_admin' } }
+    );
+    await User.collection.updateMany(
+      { role: { $in: ['user', null] } },
+      { $set: { role: 'citizen' } }
+    );
+    await User.collection.updateMany(
+      { is_admin: { $exists: true } },
+      { $unset: { is_admin: '' } }
+    );
+    console.log(`✅ Migrated user roles (${promotedAdmins} super admins)`);
+
+    // Give older issues SLA deadlines; their last update stands in for when they were handled
+    const issuesWithoutSla = await Issue.collection
+      .find({ 'sla.resolve_due_at': { $exists: false } })
+      .toArray();
+
+    for (const issue of issuesWithoutSla) {
+      const dueDates = await computeDueDates({
+        category: issue.category,
+        priority: issue.priority || 'medium',
+        created_at: issue.created_at
+      });
+      await Issue.collection.updateOne(
+        { _id: issue._id },
+        {
+          $set: {
+            sla: {
+              ...dueDates,
+              acknowledged_at: issue.status && issue.status !== 'reported' ? issue.updated_at : null,
+              resolved_at: CLOSED_STATUSES.includes(issue.status) ? issue.updated_at : null,
+              paused_at: null,
+              acknowledge_breached: false,
+              resolve_breached: false,
+              escalated_at: null
+            }
+          }
+        }
+      );
+    }
+    console.log(`✅ Added SLA deadlines to ${issuesWithoutSla.length} issues`);
+
+    // Vote counters used to be dropped by the schema; rebuild them from the votes
+    const issueIds = await Issue.distinct('id');
+    for (const issueId of issueIds) {
+      await syncVoteCounts(issueId);
+    }
+    console.log(`✅ Recounted votes on ${issueIds.length} issues`);
+
+    // Flags from before the moderation queue are open and count once each
+    const { modifiedCount: openedFlags } = await IssueFlag.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'open', weight: 1, reviewed_by: null, reviewed_at: null } }
+    );
+    // The seed used to store the flagger as user_id
+    await IssueFlag.collection.updateMany(
+      { flagged_by: { $exists: false }, user_id: { $exists: true } },
+      { $rename: { user_id: 'flagged_by' } }
+    );
+    for (const issueId of issueIds) {
+      await syncFlagCounts(issueId);
+    }
+    console.log(`✅ Opened ${openedFlags} legacy flags for review`);
+
+    // Comment flags joined the moderation queue later; treat older ones the same way
+    const { modifiedCount: openedCommentFlags } = await IssueCommentFlag.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'open', weight: 1, reviewed_by: null, reviewed_at: null } }
+    );
+    const flaggedCommentIds = await IssueCommentFlag.distinct('comment_id');
+    for (const commentId of flaggedCommentIds) {
+      await syncCommentFlagCounts(commentId);
+    }
+    console.log(`✅ Opened ${openedCommentFlags} legacy comment flags for review`);
+
+    // Score issues reported before automatic priorities
+    const unscoredIssues = await Issue.find({ priority_updated_at: null }).select('id').lean();
+    for (const issue of unscoredIssues) {
+      await recomputePriority(issue.id);
+    }
+    console.log(`✅ Scored the priority of ${unscoredIssues.length} issues`);
+
+    await Issue.syncIndexes();
+    // Expired tokens, sessions and rate limit counters are only cleaned up by their TTL indexes
+    await PasswordResetToken.syncIndexes();
+    await Session.syncIndexes();
+    await RateLimitCounter.syncIndexes();
+    console.log('✅ Indexes synchronized');
+
+  } catch (error) {
+    console.error('❌ Error migrating database:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateDatabase()
+    .then(() => {
+      console.log('🎉 Migration completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateDatabase };
@@ -4,10 +4,16 @@ const {
   connectDB, 
   User, 
   Issue, 
+  Department,
+  SlaPolicy,
   IssueImage, 
   IssueStatusLog, 
-  IssueFlag 
+  IssueFlag,
+  ModerationLog
 } = require('./database');
+const { toGeoPoint } = require('../utils/geo');
+const { computeDueDates } = require('../services/sla');
+const { recomputePriority } = require('../services/priority');
 
 /**
  * Seed the database with sample data
@@ -25,9 +31,12 @@ async function seedDatabase() {
     console.log('🧹 Clearing existing data...');
     await User.deleteMany({});
     await Issue.deleteMany({});
+    await Department.deleteMany({});
+    await SlaPolicy.deleteMany({});
     await IssueImage.deleteMany({});
     await IssueStatusLog.deleteMany({});
     await IssueFlag.deleteMany({});
+    await ModerationLog.deleteMany({});
     console.log('✅ Existing data cleared');
 
     // Create admin user
@@ -41,10 +50,40 @@ async function seedDatabase() {
       name: 'Admin User',
       phone: '+1234567890',
       is_verified: true,
-      is_admin: true
+      role: 'super_admin'
     });
     await adminUser.save();
 
+    // Create departments that new issues are routed to
+    const departments = [
+      { name: 'Roads & Transport', categories: ['roads', 'obstructions'] },
+      { name: 'Street Lighting', categories: ['lighting'] },
+      { name: 'Water Board', categories: ['water supply'] },
+      { name: 'Sanitation', categories: ['cleanliness'] },
+      { name: 'Public Safety', categories: ['public safety'] }
+    ];
+
+    for (const departmentData of departments) {
+      const department = new Department({
+        id: uuidv4(),
+        ...departmentData
+      });
+      await department.save();
+    }
+
+    // Create SLA targets per category, tighter for urgent public safety reports
+    const slaPolicies = [
+      { category: null, priority: null, acknowledge_hours: 24, resolve_hours: 168 },
+      { category: 'public safety', priority: null, acknowledge_hours: 4, resolve_hours: 48 },
+      { category: 'public safety', priority: 'high', acknowledge_hours: 1, resolve_hours: 24 },
+      { category: 'water supply', priority: null, acknowledge_hours: 8, resolve_hours: 72 },
+      { category: 'lighting', priority: null, acknowledge_hours: 24, resolve_hours: 72 }
+    ];
+
+    for (const policyData of slaPolicies) {
+      await new SlaPolicy({ id: uuidv4(), ...policyData }).save();
+    }
+
     // Create sample users
     const users = [
       {
@@ -159,11 +198,11 @@ async function seedDatabase() {
         title: issueData.title,
         description: issueData.description,
         category: issueData.category,
-        latitude: issueData.latitude,
-        longitude: issueData.longitude,
+        location: toGeoPoint(issueData.latitude, issueData.longitude),
         address: issueData.address,
         reporter_id: issueData.reporter_id,
-        status: issueData.status
+        status: issueData.status,
+        sla: await computeDueDates({ category: issueData.category, priority: 'medium' })
       });
       await issue.save();
       createdIssues.push(issue);
@@ -216,7 +255,7 @@ async function seedDatabase() {
       const flag = new IssueFlag({
         id: uuidv4(),
         issue_id: createdIssues[i].id,
-        user_id: createdUsers[0].id,
+        flagged_by: createdUsers[0].id,
         reason: 'Sample flag for testing'
       });
       await flag.save();
@@ -224,10 +263,15 @@ async function seedDatabase() {
       // Update flag count on issue
       await Issue.findOneAndUpdate(
         { id: createdIssues[i].id },
-        { $inc: { flag_count: 1 } }
+        { $inc: { flag_count: 1, flag_weight: flag.weight } }
       );
     }
 
+    // Score priorities once flags are in place
+    for (const issue of createdIssues) {
+      await recomputePriority(issue.id);
+    }
+
     console.log('✅ Database seeded successfully!');
     console.log('📧 Admin login: admin@civictrack.com / admin123');
     console.log('👤 Sample users: john@example.com, jane@example.com, mike@example.com / password123');
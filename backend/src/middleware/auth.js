@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const { queryOne, User } = require('../database/database');
+const { hasPermission, requiresTwoFactor } = require('../utils/permissions');
+const { verifyAuthToken, isTokenCurrent } = require('../utils/authTokens');
+const { findActiveSession } = require('../services/sessions');
 
 /**
  * Middleware to authenticate JWT token
@@ -19,7 +21,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAuthToken(token);
     
     // Get user from database to ensure they still exist and aren't banned
     const user = await queryOne(User, { id: decoded.userId });
@@ -38,7 +40,18 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset, or for a session that was
+    // signed out, no longer count
+    const session = isTokenCurrent(decoded, user) && await findActiveSession(decoded.sessionId);
+    if (!session) {
+      return res.status(401).json({ 
+        error: 'Token revoked',
+        message: 'Your session has ended, please sign in again' 
+      });
+    }
+
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -63,16 +76,23 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is admin
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Middleware factory to check that the user's role grants a permission.
+ * Department-scoped grants pass here; handlers check them against the issue.
+ * Staff only get to use their permissions once two-factor authentication is on.
+ * @param {string} permission - Permission name, e.g. 'issues:update_status'
+ * @returns {Function} - Express middleware
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user.is_admin) {
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
     return res.status(403).json({ 
       error: 'Access denied',
-      message: 'Admin privileges required' 
+      message: `Permission required: ${permission}` 
+    });
+  }
+  if (requiresTwoFactor(req.user) && !req.user.two_factor?.enabled) {
+    return res.status(403).json({ 
+      error: 'Two-factor authentication required',
+      message: 'Set up two-factor authentication to use staff features' 
     });
   }
   next();
@@ -91,7 +111,7 @@ const requireVerified = async (req, res, next) => {
     if (!user.is_verified) {
       return res.status(403).json({ 
         error: 'Account not verified',
-        message: 'Please verify your account to access this feature' 
+        message: 'Please verify your email address to access this feature' 
       });
     }
     next();
@@ -120,11 +140,11 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAuthToken(token);
     
     const user = await queryOne(User, { id: decoded.userId });
 
-    if (user && !user.is_banned) {
+    if (user && !user.is_banned && isTokenCurrent(decoded, user) && await findActiveSession(decoded.sessionId)) {
       req.user = user;
     } else {
       req.user = null;
@@ -139,7 +159,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   requireVerified,
   optionalAuth
 }; 
\ No newline at end of file
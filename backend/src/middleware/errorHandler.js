@@ -14,7 +14,11 @@ const errorHandler = (err, req, res, next) => {
   let error = 'Server Error';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.isOperational) {
+    statusCode = err.statusCode;
+    message = err.message;
+    error = err.errorType;
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = 'Validation failed';
     error = 'Validation Error';
@@ -48,6 +52,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     error,
     message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     timestamp: new Date().toISOString(),
     path: req.path
@@ -116,6 +121,25 @@ class ForbiddenError extends AppError {
   }
 }
 
+/**
+ * Conflict error class
+ */
+class ConflictError extends AppError {
+  constructor(message = 'Resource conflict', details = null) {
+    super(message, 409, 'Conflict');
+    this.details = details;
+  }
+}
+
+/**
+ * Too many requests error class
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, 429, 'Too Many Requests');
+  }
+}
+
 module.exports = {
   errorHandler,
   asyncHandler,
@@ -123,5 +147,7 @@ module.exports = {
   ValidationError,
   NotFoundError,
   UnauthorizedError,
-  ForbiddenError
+  ForbiddenError,
+  ConflictError,
+  TooManyRequestsError
 }; 
\ No newline at end of file
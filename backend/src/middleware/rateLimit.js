@@ -0,0 +1,16 @@
+const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/attemptStore');
+
+// Flags per user (or IP, signed out) per hour, shared by issue and comment
+// flags; flags can hide content, so mass flagging is throttled
+const flagLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  store: createRateLimitStore('flag'),
+  message: { error: 'Too Many Requests', message: 'Too many flags, please try again later' }
+});
+
+module.exports = {
+  flagLimiter
+};
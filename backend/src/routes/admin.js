@@ -1,33 +1,168 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
 const { 
   Issue, 
   User, 
+  Department,
+  SlaPolicy,
   IssueFlag, 
   IssueStatusLog,
+  IssueImage,
+  IssueVote,
+  IssueComment,
+  IssueCommentFlag,
+  IssueFollow,
+  ModerationLog,
+  SecurityEvent,
   query,
   queryOne,
   run,
   count 
 } = require('../database/database');
-const { asyncHandler, ValidationError, ForbiddenError } = require('../middleware/errorHandler');
-const { requireAdmin } = require('../middleware/auth');
+const { asyncHandler, ValidationError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, DEPARTMENT_ROLES, getPermissionScope, hasPermission } = require('../utils/permissions');
+const { CLOSED_STATUSES, statusCountFields, withStatusCounts } = require('../utils/workflow');
+const { highlightMatches } = require('../utils/search');
+const { publishIssueChange } = require('../services/issueEvents');
+const {
+  notifyAssignment,
+  notifyIssueHidden,
+  notifyModerationWarning,
+  notifyAppealDecision
+} = require('../services/notifications');
+const { slaStatusUpdates, refreshDueDates, overdueFilter, getSlaCompliance } = require('../services/sla');
+const { clampToPriority, recomputePriority } = require('../services/priority');
+const { syncVoteCounts } = require('../services/votes');
+const {
+  FLAG_AUTO_HIDE_WEIGHT,
+  reviewFlags,
+  reviewCommentFlags,
+  hideIssue,
+  logModerationAction
+} = require('../services/moderation');
+const { revokeSessions } = require('../services/sessions');
+const { disableTwoFactor, notifyTwoFactorReset } = require('../services/twoFactor');
+const { parsePolygon } = require('../utils/geo');
 
 const router = express.Router();
 
+const ISSUE_CATEGORIES = ['roads', 'lighting', 'water supply', 'cleanliness', 'public safety', 'obstructions'];
+const ISSUE_PRIORITIES = ['low', 'medium', 'high'];
+
+// The dashboard reports SLA compliance over this many days of issues
+const SLA_COMPLIANCE_DAYS = 30;
+
+const MODERATION_ACTIONS = ['approve', 'reject_flags', 'hide', 'delete', 'warn_reporter'];
+
+// The reporter hears about these, so they need a reason
+const ACTIONS_NEEDING_REASON = ['hide', 'delete', 'warn_reporter'];
+
+// How each action closes the issue's open flags; rejected flags count
+// against the flagger's reputation, dismissed ones do not
+const FLAG_OUTCOMES = {
+  approve: 'dismissed',
+  reject_flags: 'rejected',
+  hide: 'upheld',
+  delete: 'upheld',
+  warn_reporter: 'upheld'
+};
+
+// Decisions on flagged comments, closing their flags as in FLAG_OUTCOMES
+const COMMENT_MODERATION_ACTIONS = ['approve', 'reject_flags', 'hide'];
+
+/**
+ * Validate department fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether omitted fields are allowed (updates)
+ * @returns {Object} - Department fields to save
+ */
+function parseDepartmentInput(body, partial = false) {
+  const { name, categories, zone, auto_assign_staff: autoAssignStaff } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required');
+    }
+    fields.name = name.trim();
+  }
+
+  if (categories !== undefined || !partial) {
+    if (!Array.isArray(categories) || categories.some(category => !ISSUE_CATEGORIES.includes(category))) {
+      throw new ValidationError(`categories must be a list of: ${ISSUE_CATEGORIES.join(', ')}`);
+    }
+    fields.categories = [...new Set(categories)];
+  }
+
+  // A null zone makes the department citywide
+  if (zone !== undefined) {
+    try {
+      fields.zone = zone === null ? null : parsePolygon(zone);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  if (autoAssignStaff !== undefined) {
+    if (typeof autoAssignStaff !== 'boolean') {
+      throw new ValidationError('auto_assign_staff must be a boolean');
+    }
+    fields.auto_assign_staff = autoAssignStaff;
+  }
+
+  return fields;
+}
+
+/**
+ * Validate SLA policy fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether omitted fields are allowed (updates)
+ * @returns {Object} - SLA policy fields to save
+ */
+function parseSlaPolicyInput(body, partial = false) {
+  const { category, priority, acknowledge_hours: acknowledgeHours, resolve_hours: resolveHours } = body;
+  const fields = {};
+
+  // A null category or priority makes the policy apply to all of them
+  if (category !== undefined) {
+    if (category !== null && !ISSUE_CATEGORIES.includes(category)) {
+      throw new ValidationError(`category must be null or one of: ${ISSUE_CATEGORIES.join(', ')}`);
+    }
+    fields.category = category;
+  }
+
+  if (priority !== undefined) {
+    if (priority !== null && !ISSUE_PRIORITIES.includes(priority)) {
+      throw new ValidationError(`priority must be null or one of: ${ISSUE_PRIORITIES.join(', ')}`);
+    }
+    fields.priority = priority;
+  }
+
+  [['acknowledge_hours', acknowledgeHours], ['resolve_hours', resolveHours]].forEach(([name, value]) => {
+    if (value !== undefined || !partial) {
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new ValidationError(`${name} must be a positive number`);
+      }
+      fields[name] = value;
+    }
+  });
+
+  return fields;
+}
+
 /**
  * Admin dashboard overview
  * GET /api/admin/dashboard
  */
-router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
+router.get('/dashboard', requirePermission('admin:access'), asyncHandler(async (req, res) => {
   // Get overall statistics
   const stats = await Issue.aggregate([
     {
       $group: {
         _id: null,
         total_issues: { $sum: 1 },
-        reported: { $sum: { $cond: [{ $eq: ['$status', 'reported'] }, 1, 0] } },
-        in_progress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
-        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+        ...statusCountFields(),
         hidden: { $sum: { $cond: ['$is_hidden', 1, 0] } }
       }
     }
@@ -40,7 +175,7 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
         _id: null,
         total_users: { $sum: 1 },
         verified_users: { $sum: { $cond: ['$is_verified', 1, 0] } },
-        admin_users: { $sum: { $cond: ['$is_admin', 1, 0] } },
+        staff_users: { $sum: { $cond: [{ $ne: ['$role', 'citizen'] }, 1, 0] } },
         banned_users: { $sum: { $cond: ['$is_banned', 1, 0] } }
       }
     }
@@ -53,7 +188,7 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        resolved_count: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+        resolved_count: { $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 1, 0] } }
       }
     },
     { $sort: { count: -1 } }
@@ -109,23 +244,23 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
     { $project: { issue: 0, user: 0 } }
   ]);
 
+  const slaCompliance = await getSlaCompliance(new Date(Date.now() - SLA_COMPLIANCE_DAYS * 24 * 60 * 60 * 1000));
+
   res.json({
-    overview: stats[0] || {
-      total_issues: 0,
-      reported: 0,
-      in_progress: 0,
-      resolved: 0,
-      hidden: 0
-    },
+    overview: withStatusCounts({ hidden: 0, ...stats[0] }),
     users: userStats[0] || {
       total_users: 0,
       verified_users: 0,
-      admin_users: 0,
+      staff_users: 0,
       banned_users: 0
     },
     categories: categoryStats,
     flagged_issues: flaggedIssues,
-    recent_activity: recentActivity
+    recent_activity: recentActivity,
+    sla_compliance: {
+      days: SLA_COMPLIANCE_DAYS,
+      departments: slaCompliance
+    }
   });
 }));
 
@@ -133,12 +268,34 @@ router.get('/dashboard', requireAdmin, asyncHandler(async (req, res) => {
  * Get all issues with admin details
  * GET /api/admin/issues
  */
-router.get('/issues', requireAdmin, asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, status, category, flagged } = req.query;
+router.get('/issues', requirePermission('issues:view'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, category, flagged, overdue, sort, q, assignee, department_id: departmentId } = req.query;
   const skip = (page - 1) * limit;
 
   // Build filter
   const filter = {};
+
+  // "me" lists the issues assigned to the current admin
+  if (assignee === 'me') {
+    filter.assignee_id = req.user.id;
+  } else if (assignee === 'unassigned') {
+    filter.assignee_id = null;
+  } else if (assignee) {
+    filter.assignee_id = assignee;
+  }
+
+  if (departmentId) {
+    filter.department_id = departmentId;
+  }
+
+  // Department staff only see their own department's issues
+  if (getPermissionScope(req.user, 'issues:view') === 'department') {
+    filter.department_id = req.user.department_id;
+  }
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
   
   if (status) {
     filter.status = status;
@@ -152,10 +309,18 @@ router.get('/issues', requireAdmin, asyncHandler(async (req, res) => {
     filter.flag_count = { $gt: 0 };
   }
 
+  // Open issues past their acknowledge or resolve deadline
+  if (overdue === 'true') {
+    filter.$and = [overdueFilter()];
+  }
+
+  // Newest first unless sorting by priority; search results rank by relevance first
+  const order = sort === 'priority' ? { priority_score: -1, created_at: -1 } : { created_at: -1 };
+
   // Get issues with pagination
-  const issues = await Issue.find(filter)
+  const issues = await Issue.find(filter, q ? { score: { $meta: 'textScore' } } : null)
     .populate('reporter_id', 'name email')
-    .sort({ created_at: -1 })
+    .sort(q ? { score: { $meta: 'textScore' }, ...order } : order)
     .skip(skip)
     .limit(parseInt(limit))
     .lean();
@@ -163,11 +328,31 @@ router.get('/issues', requireAdmin, asyncHandler(async (req, res) => {
   // Get total count
   const total = await count(Issue, filter);
 
+  // Resolve who owns each issue
+  const departments = await Department.find({ id: { $in: issues.map(issue => issue.department_id) } })
+    .select('id name')
+    .lean();
+  const assignees = await User.find({ id: { $in: issues.map(issue => issue.assignee_id) } })
+    .select('id name')
+    .lean();
+
+  const departmentNames = {};
+  departments.forEach(department => {
+    departmentNames[department.id] = department.name;
+  });
+  const assigneeNames = {};
+  assignees.forEach(assignee => {
+    assigneeNames[assignee.id] = assignee.name;
+  });
+
   // Format response
   const formattedIssues = issues.map(issue => ({
     ...issue,
     reporter_name: issue.reporter_id?.name || 'Anonymous',
-    reporter_email: issue.reporter_id?.email
+    reporter_email: issue.reporter_id?.email,
+    department_name: departmentNames[issue.department_id] || null,
+    assignee_name: assigneeNames[issue.assignee_id] || null,
+    ...(q && { highlights: highlightMatches(issue, q) })
   }));
 
   res.json({
@@ -185,7 +370,7 @@ router.get('/issues', requireAdmin, asyncHandler(async (req, res) => {
  * Get all users with admin details
  * GET /api/admin/users
  */
-router.get('/users', requireAdmin, asyncHandler(async (req, res) => {
+router.get('/users', requirePermission('users:manage'), asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, verified, banned } = req.query;
   const skip = (page - 1) * limit;
 
@@ -206,7 +391,7 @@ router.get('/users', requireAdmin, asyncHandler(async (req, res) => {
 
   // Get users with pagination
   const users = await User.find(filter)
-    .select('-password_hash')
+    .select('-password_hash -token_version -two_factor.secret -two_factor.pending_secret -two_factor.backup_code_hashes')
     .sort({ created_at: -1 })
     .skip(skip)
     .limit(parseInt(limit))
@@ -225,8 +410,9 @@ router.get('/users', requireAdmin, asyncHandler(async (req, res) => {
   });
 
   // Add issue counts to users
-  const usersWithCounts = users.map(user => ({
+  const usersWithCounts = users.map(({ two_factor: twoFactor, ...user }) => ({
     ...user,
+    two_factor_enabled: Boolean(twoFactor?.enabled),
     issue_count: issueCountMap[user.id] || 0
   }));
 
@@ -248,7 +434,7 @@ router.get('/users', requireAdmin, asyncHandler(async (req, res) => {
  * Ban/unban a user
  * PUT /api/admin/users/:id/ban
  */
-router.put('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/users/:id/ban', requirePermission('users:manage'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { is_banned, reason } = req.body;
 
@@ -262,9 +448,9 @@ router.put('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
     throw new ValidationError('User not found');
   }
 
-  // Prevent banning admin users
-  if (user.is_admin && is_banned) {
-    throw new ForbiddenError('Cannot ban admin users');
+  // Prevent banning staff; demote them first
+  if (user.role !== 'citizen' && is_banned) {
+    throw new ForbiddenError('Cannot ban staff members');
   }
 
   // Update user ban status
@@ -276,17 +462,58 @@ router.put('/users/:id/ban', requireAdmin, asyncHandler(async (req, res) => {
     }
   );
 
+  // Sign the user out everywhere instead of waiting for their tokens to expire
+  if (is_banned) {
+    await revokeSessions({ user_id: id }, 'banned');
+  }
+
   res.json({
     message: `User ${is_banned ? 'banned' : 'unbanned'} successfully`,
     is_banned
   });
 }));
 
+/**
+ * Turn off two-factor authentication for a user who lost their authenticator
+ * and backup codes. They are signed out everywhere and, if staff, have to set
+ * it up again before using their permissions.
+ * POST /api/admin/users/:id/reset-2fa
+ */
+router.post('/users/:id/reset-2fa', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await queryOne(User, { id });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (id === req.user.id) {
+    throw new ForbiddenError('You cannot reset your own two-factor authentication');
+  }
+
+  // Otherwise a moderator could take over a super admin's account
+  if (user.role !== 'citizen' && !hasPermission(req.user, 'roles:manage')) {
+    throw new ForbiddenError('Only admins who manage roles can reset two-factor authentication of staff');
+  }
+
+  if (!user.two_factor?.enabled && !user.two_factor?.pending_secret) {
+    throw new ValidationError('Two-factor authentication is not on for this user');
+  }
+
+  await disableTwoFactor(id);
+  await revokeSessions({ user_id: id }, 'revoked');
+  await notifyTwoFactorReset(user);
+
+  res.json({
+    message: 'Two-factor authentication reset successfully'
+  });
+}));
+
 /**
  * Verify/unverify a user
  * PUT /api/admin/users/:id/verify
  */
-router.put('/users/:id/verify', requireAdmin, asyncHandler(async (req, res) => {
+router.put('/users/:id/verify', requirePermission('users:manage'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { is_verified } = req.body;
 
@@ -316,50 +543,561 @@ router.put('/users/:id/verify', requireAdmin, asyncHandler(async (req, res) => {
 }));
 
 /**
- * Hide/unhide an issue
+ * Hide/unhide an issue; the same as the moderation queue's hide and approve
+ * actions, so flags and appeals are settled too
  * PUT /api/admin/issues/:id/visibility
  */
-router.put('/issues/:id/visibility', requireAdmin, asyncHandler(async (req, res) => {
-  const { id } = req.params;
+router.put('/issues/:id/visibility', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
   const { is_hidden } = req.body;
 
   if (typeof is_hidden !== 'boolean') {
     throw new ValidationError('is_hidden must be a boolean');
   }
 
-  // Check if issue exists
+  const action = is_hidden ? 'hide' : 'approve';
+  const reason = parseModerationReason(req.body.reason, action);
+  const { flagsReviewed } = await applyModerationAction({
+    id: req.params.id,
+    action,
+    reason,
+    moderator: req.user
+  });
+
+  res.json({
+    message: `Issue ${is_hidden ? 'hidden' : 'unhidden'} successfully`,
+    is_hidden,
+    flags_reviewed: flagsReviewed
+  });
+}));
+
+/**
+ * Assign an issue to a department and/or staff member
+ * PUT /api/admin/issues/:id/assign
+ */
+router.put('/issues/:id/assign', requirePermission('issues:assign'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { department_id: departmentId, assignee_id: assigneeId } = req.body;
+
+  if (departmentId === undefined && assigneeId === undefined) {
+    throw new ValidationError('department_id or assignee_id is required');
+  }
+
   const issue = await queryOne(Issue, { id });
   if (!issue) {
-    throw new ValidationError('Issue not found');
+    throw new NotFoundError('Issue not found');
+  }
+
+  if (!hasPermission(req.user, 'issues:assign', issue)) {
+    throw new ForbiddenError('You can only assign issues of your own department');
+  }
+
+  const updates = { updated_at: new Date() };
+
+  if (departmentId !== undefined) {
+    if (departmentId !== null && !(await queryOne(Department, { id: departmentId }))) {
+      throw new NotFoundError('Department not found');
+    }
+    // Department heads can hand out work but not move it to other departments
+    if (departmentId !== issue.department_id && getPermissionScope(req.user, 'issues:assign') !== 'all') {
+      throw new ForbiddenError('You cannot move issues to another department');
+    }
+    updates.department_id = departmentId;
+  }
+
+  let assignee = null;
+  if (assigneeId) {
+    assignee = await queryOne(User, { id: assigneeId });
+    if (!assignee) {
+      throw new NotFoundError('Assignee not found');
+    }
+
+    // Staff members only handle issues of their own department
+    const targetDepartment = updates.department_id !== undefined ? updates.department_id : issue.department_id;
+    if (targetDepartment && assignee.department_id !== targetDepartment) {
+      throw new ValidationError('Assignee must belong to the issue\'s department');
+    }
+  }
+
+  if (assigneeId !== undefined) {
+    updates.assignee_id = assigneeId || null;
+    updates.assigned_at = assigneeId ? new Date() : null;
+    // New reports move along the workflow once someone owns them
+    if (assigneeId && ['reported', 'acknowledged'].includes(issue.status)) {
+      updates.status = 'assigned';
+    }
+  } else if (updates.department_id !== undefined && updates.department_id !== issue.department_id) {
+    // Moving to another department drops the previous department's assignee
+    updates.assignee_id = null;
+    updates.assigned_at = null;
+  }
+
+  if (updates.status) {
+    Object.assign(updates, await slaStatusUpdates(issue, updates.status, updates.updated_at));
+  }
+
+  const updatedIssue = await Issue.findOneAndUpdate({ id }, updates, { new: true }).lean();
+
+  await run(IssueStatusLog, {
+    id: uuidv4(),
+    issue_id: id,
+    status: updatedIssue.status,
+    comment: assignee ? `Assigned to ${assignee.name}` : 'Assignment updated',
+    updated_by: req.user.id
+  });
+
+  publishIssueChange(id);
+
+  try {
+    await notifyAssignment({ issue: updatedIssue, assigneeId: updatedIssue.assignee_id, assignedBy: req.user });
+  } catch (error) {
+    console.error('Failed to send assignment notification:', error);
+  }
+
+  res.json({
+    message: 'Issue assigned successfully',
+    department_id: updatedIssue.department_id,
+    assignee_id: updatedIssue.assignee_id
+  });
+}));
+
+/**
+ * Set an issue's priority by hand, locking it against automatic scoring.
+ * A null priority unlocks it and goes back to the computed one.
+ * PUT /api/admin/issues/:id/priority
+ */
+router.put('/issues/:id/priority', requirePermission('issues:assign'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { priority } = req.body;
+
+  if (priority !== null && !ISSUE_PRIORITIES.includes(priority)) {
+    throw new ValidationError(`priority must be null or one of: ${ISSUE_PRIORITIES.join(', ')}`);
+  }
+
+  const issue = await queryOne(Issue, { id });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  if (!hasPermission(req.user, 'issues:assign', issue)) {
+    throw new ForbiddenError('You can only prioritise issues of your own department');
+  }
+
+  if (priority === null) {
+    await Issue.updateOne({ id }, { priority_locked: false, updated_at: new Date() });
+    await recomputePriority(id);
+  } else {
+    await Issue.updateOne(
+      { id },
+      {
+        priority,
+        priority_score: clampToPriority(issue.priority_score || 0, priority),
+        priority_locked: true,
+        updated_at: new Date(),
+        ...(priority !== issue.priority && await refreshDueDates({ ...issue, priority }))
+      }
+    );
+  }
+
+  const updatedIssue = await queryOne(Issue, { id });
+
+  await run(IssueStatusLog, {
+    id: uuidv4(),
+    issue_id: id,
+    status: updatedIssue.status,
+    comment: priority ? `Priority set to ${priority}` : `Priority returned to automatic (${updatedIssue.priority})`,
+    updated_by: req.user.id
+  });
+
+  publishIssueChange(id);
+
+  res.json({
+    message: 'Issue priority updated successfully',
+    priority: updatedIssue.priority,
+    priority_score: updatedIssue.priority_score,
+    priority_locked: updatedIssue.priority_locked
+  });
+}));
+
+/**
+ * Get departments with their open issue and staff counts
+ * GET /api/admin/departments
+ */
+router.get('/departments', requirePermission('admin:access'), asyncHandler(async (req, res) => {
+  const departments = await query(Department, {}, { sort: { name: 1 } });
+
+  const openCounts = await Issue.aggregate([
+    { $match: { department_id: { $ne: null }, status: { $nin: CLOSED_STATUSES } } },
+    { $group: { _id: '$department_id', count: { $sum: 1 } } }
+  ]);
+  const staffCounts = await User.aggregate([
+    { $match: { department_id: { $ne: null } } },
+    { $group: { _id: '$department_id', count: { $sum: 1 } } }
+  ]);
+
+  const openCountMap = {};
+  openCounts.forEach(item => {
+    openCountMap[item._id] = item.count;
+  });
+  const staffCountMap = {};
+  staffCounts.forEach(item => {
+    staffCountMap[item._id] = item.count;
+  });
+
+  res.json({
+    departments: departments.map(department => ({
+      ...department,
+      open_issues: openCountMap[department.id] || 0,
+      staff_count: staffCountMap[department.id] || 0
+    }))
+  });
+}));
+
+/**
+ * Create a department
+ * POST /api/admin/departments
+ */
+router.post('/departments', requirePermission('departments:manage'), asyncHandler(async (req, res) => {
+  const fields = parseDepartmentInput(req.body);
+
+  if (await queryOne(Department, { name: fields.name })) {
+    throw new ValidationError('A department with this name already exists');
+  }
+
+  const department = await run(Department, {
+    id: uuidv4(),
+    ...fields
+  });
+
+  res.status(201).json({
+    message: 'Department created successfully',
+    department
+  });
+}));
+
+/**
+ * Update a department
+ * PUT /api/admin/departments/:id
+ */
+router.put('/departments/:id', requirePermission('departments:manage'), asyncHandler(async (req, res) => {
+  const fields = parseDepartmentInput(req.body, true);
+
+  if (fields.name && await queryOne(Department, { name: fields.name, id: { $ne: req.params.id } })) {
+    throw new ValidationError('A department with this name already exists');
+  }
+
+  const department = await Department.findOneAndUpdate(
+    { id: req.params.id },
+    { ...fields, updated_at: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!department) {
+    throw new NotFoundError('Department not found');
+  }
+
+  res.json({
+    message: 'Department updated successfully',
+    department
+  });
+}));
+
+/**
+ * Delete a department; its issues and staff become unassigned
+ * DELETE /api/admin/departments/:id
+ */
+router.delete('/departments/:id', requirePermission('departments:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { deletedCount } = await Department.deleteOne({ id });
+  if (deletedCount === 0) {
+    throw new NotFoundError('Department not found');
+  }
+
+  await Issue.updateMany(
+    { department_id: id },
+    { department_id: null, assignee_id: null, assigned_at: null }
+  );
+  await User.updateMany({ department_id: id }, { department_id: null });
+
+  res.json({
+    message: 'Department deleted successfully'
+  });
+}));
+
+/**
+ * Get SLA policies
+ * GET /api/admin/sla-policies
+ */
+router.get('/sla-policies', requirePermission('admin:access'), asyncHandler(async (req, res) => {
+  const policies = await query(SlaPolicy, {}, { sort: { category: 1, priority: 1 } });
+
+  res.json({
+    policies
+  });
+}));
+
+/**
+ * Create an SLA policy; it applies to issues reported afterwards
+ * POST /api/admin/sla-policies
+ */
+router.post('/sla-policies', requirePermission('sla:manage'), asyncHandler(async (req, res) => {
+  const fields = { category: null, priority: null, ...parseSlaPolicyInput(req.body) };
+
+  if (await queryOne(SlaPolicy, { category: fields.category, priority: fields.priority })) {
+    throw new ValidationError('A policy for this category and priority already exists');
+  }
+
+  const policy = await run(SlaPolicy, {
+    id: uuidv4(),
+    ...fields
+  });
+
+  res.status(201).json({
+    message: 'SLA policy created successfully',
+    policy
+  });
+}));
+
+/**
+ * Update an SLA policy's targets
+ * PUT /api/admin/sla-policies/:id
+ */
+router.put('/sla-policies/:id', requirePermission('sla:manage'), asyncHandler(async (req, res) => {
+  const { category, priority, ...targets } = parseSlaPolicyInput(req.body, true);
+
+  if (category !== undefined || priority !== undefined) {
+    throw new ValidationError('category and priority cannot be changed; create a new policy instead');
+  }
+
+  const policy = await SlaPolicy.findOneAndUpdate(
+    { id: req.params.id },
+    { ...targets, updated_at: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!policy) {
+    throw new NotFoundError('SLA policy not found');
+  }
+
+  res.json({
+    message: 'SLA policy updated successfully',
+    policy
+  });
+}));
+
+/**
+ * Delete an SLA policy
+ * DELETE /api/admin/sla-policies/:id
+ */
+router.delete('/sla-policies/:id', requirePermission('sla:manage'), asyncHandler(async (req, res) => {
+  const { deletedCount } = await SlaPolicy.deleteOne({ id: req.params.id });
+  if (deletedCount === 0) {
+    throw new NotFoundError('SLA policy not found');
+  }
+
+  res.json({
+    message: 'SLA policy deleted successfully'
+  });
+}));
+
+/**
+ * Get the role definitions and every known permission
+ * GET /api/admin/roles
+ */
+router.get('/roles', requirePermission('admin:access'), asyncHandler(async (req, res) => {
+  res.json({
+    roles: Object.entries(ROLES).map(([name, role]) => ({
+      name,
+      ...role,
+      requires_department: DEPARTMENT_ROLES.includes(name)
+    })),
+    permissions: PERMISSIONS
+  });
+}));
+
+/**
+ * Change a user's role; department roles also set the user's department
+ * PUT /api/admin/users/:id/role
+ */
+router.put('/users/:id/role', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role, department_id: departmentId } = req.body;
+
+  if (!ROLES[role]) {
+    throw new ValidationError(`role must be one of: ${Object.keys(ROLES).join(', ')}`);
+  }
+
+  const user = await queryOne(User, { id });
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Keeps at least the acting super admin around
+  if (id === req.user.id && role !== 'super_admin') {
+    throw new ForbiddenError('You cannot change your own role');
+  }
+
+  const updates = { role, updated_at: new Date() };
+
+  if (departmentId !== undefined) {
+    if (departmentId !== null && !(await queryOne(Department, { id: departmentId }))) {
+      throw new NotFoundError('Department not found');
+    }
+    updates.department_id = departmentId;
+  }
+
+  const targetDepartment = updates.department_id !== undefined ? updates.department_id : user.department_id;
+  if (DEPARTMENT_ROLES.includes(role) && !targetDepartment) {
+    throw new ValidationError(`The ${ROLES[role].label} role requires a department`);
   }
 
-  // Update issue visibility
+  const updatedUser = await User.findOneAndUpdate({ id }, updates, { new: true }).lean();
+
+  res.json({
+    message: 'User role updated successfully',
+    role: updatedUser.role,
+    department_id: updatedUser.department_id
+  });
+}));
+
+/**
+ * Add a user to a department's staff, or remove them with null
+ * PUT /api/admin/users/:id/department
+ */
+router.put('/users/:id/department', requirePermission('departments:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { department_id: departmentId } = req.body;
+
+  if (departmentId === undefined) {
+    throw new ValidationError('department_id is required');
+  }
+
+  if (departmentId !== null && !(await queryOne(Department, { id: departmentId }))) {
+    throw new NotFoundError('Department not found');
+  }
+
+  const existingUser = await queryOne(User, { id });
+  if (!existingUser) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Department staff roles need a department; change the role first
+  if (departmentId === null && DEPARTMENT_ROLES.includes(existingUser.role)) {
+    throw new ValidationError(`The ${ROLES[existingUser.role].label} role requires a department`);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { id },
+    { department_id: departmentId, updated_at: new Date() },
+    { new: true }
+  ).lean();
+
+  res.json({
+    message: departmentId ? 'User added to department' : 'User removed from department',
+    department_id: user.department_id
+  });
+}));
+
+/**
+ * Merge a duplicate issue into another one
+ * POST /api/admin/issues/:id/merge
+ */
+router.post('/issues/:id/merge', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { target_id: targetId } = req.body;
+
+  if (!targetId || targetId === id) {
+    throw new ValidationError('target_id must reference a different issue');
+  }
+
+  const source = await queryOne(Issue, { id });
+  const target = await queryOne(Issue, { id: targetId });
+  if (!source || !target) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  if (source.merged_into) {
+    throw new ValidationError('Issue has already been merged');
+  }
+  if (target.merged_into) {
+    throw new ValidationError('Cannot merge into an issue that was itself merged');
+  }
+
+  // Move votes; a user who voted on both keeps only their vote on the target
+  const targetVoters = (await query(IssueVote, { issue_id: targetId })).map(vote => vote.user_id);
+  await IssueVote.deleteMany({ issue_id: id, user_id: { $in: targetVoters } });
+  const { modifiedCount: movedVotes } = await IssueVote.updateMany({ issue_id: id }, { issue_id: targetId });
+  await syncVoteCounts(id);
+  await syncVoteCounts(targetId);
+
+  const { modifiedCount: movedImages } = await IssueImage.updateMany({ issue_id: id }, { issue_id: targetId });
+  const { modifiedCount: movedLogs } = await IssueStatusLog.updateMany({ issue_id: id }, { issue_id: targetId });
+  const { modifiedCount: movedComments } = await IssueComment.updateMany({ issue_id: id }, { issue_id: targetId });
+
+  // Followers of the duplicate keep hearing about the issue they cared about
+  const targetFollowers = await IssueFollow.distinct('user_id', { issue_id: targetId });
+  await IssueFollow.deleteMany({ issue_id: id, user_id: { $in: targetFollowers } });
+  const { modifiedCount: movedFollows } = await IssueFollow.updateMany({ issue_id: id }, { issue_id: targetId });
+
+  await run(IssueStatusLog, {
+    id: uuidv4(),
+    issue_id: targetId,
+    status: target.status,
+    comment: `Merged duplicate report "${source.title}"`,
+    updated_by: req.user.id
+  });
+
+  // The source stays behind, hidden, as a redirect to the target
+  const mergedAt = new Date();
   await Issue.findOneAndUpdate(
     { id },
-    { 
-      is_hidden,
-      updated_at: new Date()
+    {
+      merged_into: targetId,
+      status: 'duplicate',
+      is_hidden: true,
+      updated_at: mergedAt,
+      ...(await slaStatusUpdates(source, 'duplicate', mergedAt))
     }
   );
 
+  // The target now stands for more reports
+  await recomputePriority(targetId);
+
+  publishIssueChange(id);
+  publishIssueChange(targetId);
+
   res.json({
-    message: `Issue ${is_hidden ? 'hidden' : 'unhidden'} successfully`,
-    is_hidden
+    message: 'Issues merged successfully',
+    merged_into: targetId,
+    moved: {
+      votes: movedVotes,
+      images: movedImages,
+      status_logs: movedLogs,
+      comments: movedComments,
+      follows: movedFollows
+    }
   });
 }));
 
 /**
- * Get flagged issues details
- * GET /api/admin/flagged-issues
+ * Get the moderation queue: issues with open flags or a pending appeal
+ * GET /api/admin/moderation/queue
  */
-router.get('/flagged-issues', requireAdmin, asyncHandler(async (req, res) => {
+router.get('/moderation/queue', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
   const skip = (page - 1) * limit;
 
-  // Get flagged issues with flag details
-  const flaggedIssues = await Issue.aggregate([
-    { $match: { flag_count: { $gt: 0 } } },
-    { $sort: { flag_count: -1 } },
+  const filter = {
+    is_deleted: { $ne: true },
+    merged_into: null,
+    $or: [{ flag_count: { $gt: 0 } }, { 'moderation.appeal_status': 'pending' }]
+  };
+
+  // Appeals first, then the most heavily flagged issues
+  const queuedIssues = await Issue.aggregate([
+    { $match: filter },
+    { $addFields: { has_pending_appeal: { $eq: ['$moderation.appeal_status', 'pending'] } } },
+    { $sort: { has_pending_appeal: -1, flag_weight: -1, created_at: 1 } },
     { $skip: skip },
     { $limit: parseInt(limit) },
     {
@@ -372,20 +1110,21 @@ router.get('/flagged-issues', requireAdmin, asyncHandler(async (req, res) => {
     },
     {
       $addFields: {
-        reporter_name: { $arrayElemAt: ['$reporter.name', 0] }
+        reporter_name: { $arrayElemAt: ['$reporter.name', 0] },
+        reporter_warning_count: { $ifNull: [{ $arrayElemAt: ['$reporter.warning_count', 0] }, 0] }
       }
     },
     { $project: { reporter: 0 } }
   ]);
 
-  // Get flag details for each issue
-  const issueIds = flaggedIssues.map(issue => issue.id);
+  // Get the open flags of each issue with who raised them
+  const issueIds = queuedIssues.map(issue => issue.id);
   const flagDetails = await IssueFlag.aggregate([
-    { $match: { issue_id: { $in: issueIds } } },
+    { $match: { issue_id: { $in: issueIds }, status: 'open' } },
     {
       $lookup: {
         from: 'users',
-        localField: 'user_id',
+        localField: 'flagged_by',
         foreignField: 'id',
         as: 'user'
       }
@@ -409,16 +1148,369 @@ router.get('/flagged-issues', requireAdmin, asyncHandler(async (req, res) => {
   });
 
   // Add flag details to issues
-  const issuesWithFlags = flaggedIssues.map(issue => ({
+  const issuesWithFlags = queuedIssues.map(issue => ({
     ...issue,
     flags: flagsByIssue[issue.id] || []
   }));
 
   // Get total count
-  const total = await count(Issue, { flag_count: { $gt: 0 } });
+  const total = await count(Issue, filter);
 
   res.json({
     issues: issuesWithFlags,
+    auto_hide_weight: FLAG_AUTO_HIDE_WEIGHT,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Read and check the reason given for a moderation action
+ * @param {*} value - reason from the request body
+ * @param {string} action - Moderation action
+ * @returns {string|null} - Trimmed reason
+ */
+function parseModerationReason(value, action) {
+  if (value !== undefined && value !== null && typeof value !== 'string') {
+    throw new ValidationError('reason must be a string');
+  }
+  const reason = value ? value.trim() : null;
+  if (reason && reason.length > 500) {
+    throw new ValidationError('reason must be less than 500 characters');
+  }
+  if (ACTIONS_NEEDING_REASON.includes(action) && !reason) {
+    throw new ValidationError(`A reason is required for ${action}`);
+  }
+  return reason;
+}
+
+/**
+ * Apply a moderator's decision to an issue: review its open flags, change
+ * its visibility, decide a pending appeal, log it and tell the reporter
+ * @param {Object} params - { id, action, reason, moderator }
+ * @returns {Promise<Object>} - { flagsReviewed, issue } with the updated issue
+ */
+async function applyModerationAction({ id, action, reason, moderator }) {
+  const issue = await queryOne(Issue, { id, is_deleted: { $ne: true } });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+  if (issue.merged_into) {
+    throw new ValidationError('Merged issues cannot be moderated');
+  }
+
+  const now = new Date();
+  const flagsReviewed = await reviewFlags(id, FLAG_OUTCOMES[action], moderator.id);
+  const restores = action === 'approve' || action === 'reject_flags';
+
+  if (restores) {
+    await Issue.updateOne({ id }, { is_hidden: false, updated_at: now });
+  } else if (action === 'hide') {
+    await hideIssue({ issue, moderatorId: moderator.id, reason });
+  } else if (action === 'delete') {
+    await Issue.updateOne({ id }, { is_deleted: true, is_hidden: true, updated_at: now });
+  } else if (action === 'warn_reporter') {
+    await User.updateOne({ id: issue.reporter_id }, { $inc: { warning_count: 1 } });
+  }
+
+  // A warning leaves the issue as it is, so the appeal stays open
+  const appealDecided = issue.moderation?.appeal_status === 'pending' && action !== 'warn_reporter';
+  if (appealDecided) {
+    await Issue.updateOne(
+      { id },
+      {
+        'moderation.appeal_status': restores ? 'granted' : 'denied',
+        'moderation.appeal_reviewed_by': moderator.id,
+        'moderation.appeal_reviewed_at': now
+      }
+    );
+  }
+
+  await logModerationAction({ issueId: id, action, actorId: moderator.id, reason, flagsReviewed });
+
+  try {
+    if (action === 'delete') {
+      await notifyIssueHidden({ issue, reason, deleted: true, moderatorId: moderator.id });
+    } else if (action === 'warn_reporter') {
+      await notifyModerationWarning({ issue, reason, moderatorId: moderator.id });
+    }
+    if (appealDecided) {
+      await notifyAppealDecision({ issue, granted: restores, moderatorId: moderator.id });
+    }
+  } catch (error) {
+    console.error('Failed to send moderation notifications:', error);
+  }
+
+  // Open flags lower the priority score
+  await recomputePriority(id);
+  publishIssueChange(id);
+
+  return { flagsReviewed, issue: await queryOne(Issue, { id }) };
+}
+
+/**
+ * Decide on a queued issue: approve it, reject its flags, hide or delete it,
+ * or warn its reporter. Deciding on a hidden issue also decides its appeal.
+ * POST /api/admin/moderation/issues/:id
+ */
+router.post('/moderation/issues/:id', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const { action } = req.body;
+
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+  }
+  const reason = parseModerationReason(req.body.reason, action);
+
+  const { flagsReviewed, issue } = await applyModerationAction({
+    id: req.params.id,
+    action,
+    reason,
+    moderator: req.user
+  });
+
+  res.json({
+    message: 'Moderation action applied successfully',
+    action,
+    flags_reviewed: flagsReviewed,
+    issue
+  });
+}));
+
+/**
+ * Get flagged comments, most heavily flagged first, or with status=hidden
+ * every hidden comment so moderators can restore them
+ * GET /api/admin/moderation/comments
+ */
+router.get('/moderation/comments', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'flagged' } = req.query;
+  const skip = (page - 1) * limit;
+
+  if (!['flagged', 'hidden'].includes(status)) {
+    throw new ValidationError('status must be flagged or hidden');
+  }
+
+  const filter = {
+    is_deleted: { $ne: true },
+    ...(status === 'hidden' ? { is_hidden: true } : { flag_count: { $gt: 0 } })
+  };
+
+  const queuedComments = await IssueComment.aggregate([
+    { $match: filter },
+    { $sort: status === 'hidden' ? { updated_at: -1 } : { flag_weight: -1, created_at: 1 } },
+    { $skip: skip },
+    { $limit: parseInt(limit) },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'author_id',
+        foreignField: 'id',
+        as: 'author'
+      }
+    },
+    {
+      $lookup: {
+        from: 'issues',
+        localField: 'issue_id',
+        foreignField: 'id',
+        as: 'issue'
+      }
+    },
+    {
+      $addFields: {
+        author_name: { $arrayElemAt: ['$author.name', 0] },
+        issue_title: { $arrayElemAt: ['$issue.title', 0] }
+      }
+    },
+    { $project: { author: 0, issue: 0, edit_history: 0 } }
+  ]);
+
+  // Get the open flags of each comment with who raised them
+  const commentIds = queuedComments.map(comment => comment.id);
+  const flagDetails = await IssueCommentFlag.aggregate([
+    { $match: { comment_id: { $in: commentIds }, status: 'open' } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'flagged_by',
+        foreignField: 'id',
+        as: 'user'
+      }
+    },
+    {
+      $addFields: {
+        user_name: { $arrayElemAt: ['$user.name', 0] }
+      }
+    },
+    { $project: { user: 0 } },
+    { $sort: { created_at: -1 } }
+  ]);
+
+  const flagsByComment = {};
+  flagDetails.forEach(flag => {
+    if (!flagsByComment[flag.comment_id]) {
+      flagsByComment[flag.comment_id] = [];
+    }
+    flagsByComment[flag.comment_id].push(flag);
+  });
+
+  const total = await count(IssueComment, filter);
+
+  res.json({
+    comments: queuedComments.map(comment => ({
+      ...comment,
+      flags: flagsByComment[comment.id] || []
+    })),
+    auto_hide_weight: FLAG_AUTO_HIDE_WEIGHT,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Decide on a flagged or hidden comment: approve it, reject its flags
+ * (both unhide it) or hide it
+ * POST /api/admin/moderation/comments/:id
+ */
+router.post('/moderation/comments/:id', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { action } = req.body;
+
+  if (!COMMENT_MODERATION_ACTIONS.includes(action)) {
+    throw new ValidationError(`action must be one of: ${COMMENT_MODERATION_ACTIONS.join(', ')}`);
+  }
+
+  if (req.body.reason !== undefined && req.body.reason !== null && typeof req.body.reason !== 'string') {
+    throw new ValidationError('reason must be a string');
+  }
+  const reason = req.body.reason ? req.body.reason.trim() : null;
+  if (reason && reason.length > 500) {
+    throw new ValidationError('reason must be less than 500 characters');
+  }
+
+  const comment = await queryOne(IssueComment, { id, is_deleted: { $ne: true } });
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+
+  const flagsReviewed = await reviewCommentFlags(id, FLAG_OUTCOMES[action], req.user.id);
+  await IssueComment.updateOne({ id }, { is_hidden: action === 'hide', updated_at: new Date() });
+
+  await logModerationAction({
+    issueId: comment.issue_id,
+    commentId: id,
+    action,
+    actorId: req.user.id,
+    reason,
+    flagsReviewed
+  });
+
+  res.json({
+    message: 'Moderation action applied successfully',
+    action,
+    flags_reviewed: flagsReviewed,
+    comment: await queryOne(IssueComment, { id })
+  });
+}));
+
+/**
+ * Get the moderation audit trail, newest first
+ * GET /api/admin/moderation/log
+ */
+router.get('/moderation/log', requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, issue_id: issueId, actor_id: actorId } = req.query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (issueId) {
+    filter.issue_id = issueId;
+  }
+  if (actorId) {
+    filter.actor_id = actorId;
+  }
+
+  const entries = await ModerationLog.aggregate([
+    { $match: filter },
+    { $sort: { created_at: -1 } },
+    { $skip: skip },
+    { $limit: parseInt(limit) },
+    {
+      $lookup: {
+        from: 'issues',
+        localField: 'issue_id',
+        foreignField: 'id',
+        as: 'issue'
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'actor_id',
+        foreignField: 'id',
+        as: 'actor'
+      }
+    },
+    {
+      $addFields: {
+        issue_title: { $arrayElemAt: ['$issue.title', 0] },
+        actor_name: { $ifNull: [{ $arrayElemAt: ['$actor.name', 0] }, 'System'] }
+      }
+    },
+    { $project: { issue: 0, actor: 0 } }
+  ]);
+
+  const total = await count(ModerationLog, filter);
+
+  res.json({
+    entries,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Security log of failed sign-ins, lockouts and blocked IPs
+ * GET /api/admin/security-log
+ */
+router.get('/security-log', requirePermission('users:manage'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, event, user_id: userId, email, ip } = req.query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (event) {
+    filter.event = event;
+  }
+  if (userId) {
+    filter.user_id = userId;
+  }
+  if (email) {
+    filter.email = String(email).toLowerCase();
+  }
+  if (ip) {
+    filter.ip = ip;
+  }
+
+  const entries = await query(SecurityEvent, filter, {
+    sort: { created_at: -1 },
+    skip,
+    limit: parseInt(limit)
+  });
+
+  const total = await count(SecurityEvent, filter);
+
+  res.json({
+    entries,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -1,18 +1,94 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { User, queryOne, run } = require('../database/database');
-const { asyncHandler, ValidationError, UnauthorizedError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, UnauthorizedError, ForbiddenError, TooManyRequestsError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { toPublicUser, requiresTwoFactor } = require('../utils/permissions');
+const { signAuthToken, verifyAuthToken, isTokenCurrent } = require('../utils/authTokens');
+const { readVerificationToken, resendCooldown, sendVerificationEmail } = require('../services/emailVerification');
+const { sendPasswordReset, consumeResetToken } = require('../services/passwordReset');
+const {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSessions,
+  revokeRefreshToken,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../services/sessions');
+const {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  readLoginChallenge
+} = require('../services/twoFactor');
+const { createRateLimitStore } = require('../services/attemptStore');
+const { throttleLogin, recordLoginFailure, recordLoginSuccess, unlockAccount } = require('../services/loginProtection');
+const { EMAIL_PREFERENCES } = require('../services/notifications');
 
 const router = express.Router();
 
+// Route limiters count in the shared attempt store, so they hold across instances
+
+// Accounts created per IP per hour
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  store: createRateLimitStore('register'),
+  message: { error: 'Too Many Requests', message: 'Too many accounts created from your network, please try again later' }
+});
+
+// Verification emails per user per hour, on top of the cooldown between two of them
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.user.id,
+  store: createRateLimitStore('resend-verification'),
+  message: { error: 'Too Many Requests', message: 'Too many verification emails requested, please try again later' }
+});
+
+// Reset emails per IP, so the endpoint can't be used to flood inboxes
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  store: createRateLimitStore('forgot-password'),
+  message: { error: 'Too Many Requests', message: 'Too many password reset requests, please try again later' }
+});
+
+// Guesses at the code step of a login per IP; six digits don't take long otherwise
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  store: createRateLimitStore('login-2fa'),
+  message: { error: 'Too Many Requests', message: 'Too many authentication codes tried, please try again later' }
+});
+
+/**
+ * Open a session for a user: the refresh token goes into an httpOnly cookie,
+ * the short-lived access token into the response body
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<string>} - Access token
+ */
+async function startSession(user, req, res) {
+  const { session, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  return signAuthToken(user, session.id);
+}
+
 /**
  * User registration
  * POST /api/auth/register
  */
-router.post('/register', [
+router.post('/register', registerLimiter, [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
@@ -46,21 +122,24 @@ router.post('/register', [
     phone
   });
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
-  );
-
-  // Get created user (without password)
   const user = await queryOne(User, { id: userId });
-  const { password_hash, ...userWithoutPassword } = user;
+
+  const token = await startSession(user, req, res);
+
+  // The account works straight away; the link unlocks reporting under one's name and voting
+  let verificationSent = true;
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    verificationSent = false;
+    console.error('Failed to send verification email:', error);
+  }
 
   res.status(201).json({
     message: 'User registered successfully',
-    user: userWithoutPassword,
-    token
+    user: toPublicUser(user),
+    token,
+    verification_sent: verificationSent
   });
 }));
 
@@ -80,10 +159,14 @@ router.post('/login', [
 
   const { email, password } = req.body;
 
+  // Refuses locked accounts and blocked IPs, and waits out recent failures
+  await throttleLogin(email, req);
+
   // Find user
   const user = await queryOne(User, { email });
 
   if (!user) {
+    await recordLoginFailure({ email, req });
     throw new UnauthorizedError('Invalid email or password');
   }
 
@@ -94,41 +177,297 @@ router.post('/login', [
   // Check password
   const isValidPassword = await bcrypt.compare(password, user.password_hash);
   if (!isValidPassword) {
+    await recordLoginFailure({ email, user, req });
     throw new UnauthorizedError('Invalid email or password');
   }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user.id },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
-  );
+  // The password was right; the session only starts once the code is too.
+  // Failures are only forgotten after that.
+  if (user.two_factor?.enabled) {
+    return res.json({
+      message: 'Enter the code from your authenticator app',
+      two_factor_required: true,
+      challenge_token: createLoginChallenge(user)
+    });
+  }
 
-  // Remove password hash from response
-  const { password_hash, ...userWithoutPassword } = user;
+  await recordLoginSuccess(email);
+  const token = await startSession(user, req, res);
 
   res.json({
     message: 'Login successful',
-    user: userWithoutPassword,
+    user: toPublicUser(user),
     token
   });
 }));
 
+/**
+ * Second login step: the code from the authenticator app, or a backup code
+ * POST /api/auth/login/2fa
+ */
+router.post('/login/2fa', twoFactorLoginLimiter, [
+  body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { challenge_token: challengeToken, code } = req.body;
+
+  const challenge = readLoginChallenge(challengeToken);
+  const user = challenge && await queryOne(User, { id: challenge.userId });
+
+  // A password reset in the meantime voids the challenge too
+  if (!user || (user.token_version || 0) !== challenge.tokenVersion) {
+    throw new UnauthorizedError('Sign-in attempt has expired, please sign in again');
+  }
+
+  if (user.is_banned) {
+    throw new UnauthorizedError('Account has been suspended');
+  }
+
+  await throttleLogin(user.email, req);
+
+  if (!await verifySecondFactor(user, code)) {
+    await recordLoginFailure({ email: user.email, user, req, event: 'two_factor_failed' });
+    throw new UnauthorizedError('Invalid authentication code');
+  }
+
+  await recordLoginSuccess(user.email);
+  const token = await startSession(user, req, res);
+
+  res.json({
+    message: 'Login successful',
+    user: toPublicUser(user),
+    token
+  });
+}));
+
+/**
+ * Lift a lockout early with the link from the lockout email
+ * POST /api/auth/unlock
+ */
+router.post('/unlock', [
+  body('token').notEmpty().withMessage('Token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const unlocked = await unlockAccount(String(req.body.token), req);
+  if (!unlocked) {
+    throw new ValidationError('Unlock link is invalid or the account is no longer locked');
+  }
+
+  res.json({
+    message: 'Account unlocked, you can sign in again'
+  });
+}));
+
+/**
+ * Trade the refresh token cookie for a new access token
+ * POST /api/auth/refresh
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const refreshToken = readRefreshCookie(req);
+  if (!refreshToken) {
+    throw new UnauthorizedError('No session to refresh');
+  }
+
+  let rotation;
+  try {
+    rotation = await rotateSession(refreshToken, req);
+  } catch (error) {
+    clearRefreshCookie(res);
+    throw error;
+  }
+
+  const user = await queryOne(User, { id: rotation.session.user_id });
+  if (!user || user.is_banned) {
+    await revokeSessions({ id: rotation.session.id }, 'banned');
+    clearRefreshCookie(res);
+    throw new UnauthorizedError(user ? 'Account has been suspended' : 'User not found');
+  }
+
+  if (rotation.refreshToken) {
+    setRefreshCookie(res, rotation.refreshToken);
+  }
+
+  res.json({
+    user: toPublicUser(user),
+    token: signAuthToken(user, rotation.session.id)
+  });
+}));
+
+/**
+ * Sign out: end the session of the refresh token cookie
+ * POST /api/auth/logout
+ */
+router.post('/logout', asyncHandler(async (req, res) => {
+  await revokeRefreshToken(readRefreshCookie(req), 'logout');
+
+  clearRefreshCookie(res);
+  res.json({
+    message: 'Logged out successfully'
+  });
+}));
+
+/**
+ * Confirm an email address from a verification link
+ * GET /api/auth/verify-email
+ */
+router.get('/verify-email', [
+  query('token').notEmpty().withMessage('Token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const verification = readVerificationToken(req.query.token);
+  const user = verification && await queryOne(User, { id: verification.userId });
+
+  // Links sent to an address the user has since changed are no longer valid
+  if (!user || user.email !== verification.email) {
+    throw new ValidationError('Verification link is invalid or has expired');
+  }
+
+  if (user.is_verified) {
+    return res.json({
+      message: 'Email address already verified',
+      user: toPublicUser(user)
+    });
+  }
+
+  const verifiedUser = await User.findOneAndUpdate(
+    { id: user.id },
+    {
+      is_verified: true,
+      email_verified_at: new Date(),
+      updated_at: new Date()
+    },
+    { new: true }
+  ).lean();
+
+  res.json({
+    message: 'Email address verified successfully',
+    user: toPublicUser(verifiedUser)
+  });
+}));
+
+/**
+ * Send the current user a new verification link
+ * POST /api/auth/resend-verification
+ */
+router.post('/resend-verification', authenticateToken, resendVerificationLimiter, asyncHandler(async (req, res) => {
+  if (req.user.is_verified) {
+    throw new ValidationError('Email address is already verified');
+  }
+
+  const cooldown = resendCooldown(req.user);
+  if (cooldown > 0) {
+    throw new TooManyRequestsError(`Please wait ${cooldown} seconds before requesting another email`);
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.json({
+    message: 'Verification email sent'
+  });
+}));
+
+/**
+ * Email a password reset link
+ * POST /api/auth/forgot-password
+ */
+router.post('/forgot-password', forgotPasswordLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const user = await queryOne(User, { email: req.body.email });
+
+  // Answer the same either way, so the form can't be used to find accounts
+  if (user && !user.is_banned) {
+    try {
+      await sendPasswordReset(user, req.ip);
+    } catch (error) {
+      console.error('Failed to send password reset email:', error);
+    }
+  }
+
+  res.json({
+    message: 'If an account exists for this email, a reset link is on its way'
+  });
+}));
+
+/**
+ * Choose a new password with a reset link
+ * POST /api/auth/reset-password
+ */
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { token, password } = req.body;
+
+  const userId = await consumeResetToken(String(token));
+  if (!userId) {
+    throw new ValidationError('Reset link is invalid or has expired');
+  }
+
+  const saltRounds = 12;
+  const passwordHash = await bcrypt.hash(password, saltRounds);
+
+  // Bumping the token version voids every access token; the sessions
+  // go too, so no refresh token can mint new ones
+  const now = new Date();
+  const user = await User.findOneAndUpdate(
+    { id: userId },
+    {
+      password_hash: passwordHash,
+      password_changed_at: now,
+      updated_at: now,
+      $inc: { token_version: 1 }
+    }
+  ).lean();
+
+  if (!user) {
+    throw new ValidationError('Reset link is invalid or has expired');
+  }
+
+  await revokeSessions({ user_id: user.id }, 'password_changed');
+
+  res.json({
+    message: 'Password reset successfully, please sign in with your new password'
+  });
+}));
+
 /**
  * Get current user profile
  * GET /api/auth/profile
  */
-router.get('/profile', asyncHandler(async (req, res) => {
+router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   // This route requires authentication middleware
   if (!req.user) {
     throw new UnauthorizedError('Authentication required');
   }
 
   const user = await queryOne(User, { id: req.user.id });
-  const { password_hash, ...userWithoutPassword } = user;
 
   res.json({
-    user: userWithoutPassword
+    user: toPublicUser(user)
   });
 }));
 
@@ -138,8 +477,11 @@ router.get('/profile', asyncHandler(async (req, res) => {
  */
 router.put('/profile', [
   body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
-  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required')
-], asyncHandler(async (req, res) => {
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
+  ...EMAIL_PREFERENCES.map(type =>
+    body(`notification_preferences.${type}`).optional().isBoolean().withMessage('Notification preferences must be true or false')
+  )
+], authenticateToken, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -150,7 +492,7 @@ router.put('/profile', [
     throw new UnauthorizedError('Authentication required');
   }
 
-  const { name, phone } = req.body;
+  const { name, phone, notification_preferences: notificationPreferences } = req.body;
   const updates = { updated_at: new Date() };
 
   if (name) {
@@ -161,18 +503,22 @@ router.put('/profile', [
     updates.phone = phone;
   }
 
+  EMAIL_PREFERENCES.forEach(type => {
+    if (notificationPreferences?.[type] !== undefined) {
+      updates[`notification_preferences.${type}`] = String(notificationPreferences[type]) === 'true';
+    }
+  });
+
   // Update user
   const updatedUser = await User.findOneAndUpdate(
     { id: req.user.id },
     updates,
     { new: true }
-  );
-
-  const { password_hash, ...userWithoutPassword } = updatedUser.toObject();
+  ).lean();
 
   res.json({
     message: 'Profile updated successfully',
-    user: userWithoutPassword
+    user: toPublicUser(updatedUser)
   });
 }));
 
@@ -183,7 +529,7 @@ router.put('/profile', [
 router.put('/change-password', [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], asyncHandler(async (req, res) => {
+], authenticateToken, asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -209,17 +555,143 @@ router.put('/change-password', [
   const saltRounds = 12;
   const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
 
-  // Update password
-  await User.findOneAndUpdate(
+  // Update password and sign out other sessions; this one gets a fresh token
+  const now = new Date();
+  const updatedUser = await User.findOneAndUpdate(
     { id: req.user.id },
     { 
       password_hash: newPasswordHash, 
-      updated_at: new Date() 
-    }
-  );
+      password_changed_at: now,
+      updated_at: now,
+      $inc: { token_version: 1 }
+    },
+    { new: true }
+  ).lean();
+
+  await revokeSessions({ user_id: req.user.id, id: { $ne: req.sessionId } }, 'password_changed');
+
+  res.json({
+    message: 'Password changed successfully',
+    token: signAuthToken(updatedUser, req.sessionId)
+  });
+}));
+
+/**
+ * Start setting up two-factor authentication
+ * POST /api/auth/2fa/setup
+ */
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  if (req.user.two_factor?.enabled) {
+    throw new ValidationError('Two-factor authentication is already on');
+  }
+
+  const { secret, otpauth_url: otpauthUrl } = await startEnrollment(req.user);
 
   res.json({
-    message: 'Password changed successfully'
+    message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+    secret,
+    otpauth_url: otpauthUrl
+  });
+}));
+
+/**
+ * Turn two-factor authentication on with the first code from the app
+ * POST /api/auth/2fa/enable
+ */
+router.post('/2fa/enable', [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (req.user.two_factor?.enabled) {
+    throw new ValidationError('Two-factor authentication is already on');
+  }
+
+  if (!req.user.two_factor?.pending_secret) {
+    throw new ValidationError('Start the two-factor setup first');
+  }
+
+  const backupCodes = await confirmEnrollment(req.user, req.body.code);
+  if (!backupCodes) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const updatedUser = await queryOne(User, { id: req.user.id });
+
+  res.json({
+    message: 'Two-factor authentication enabled successfully',
+    backup_codes: backupCodes,
+    user: toPublicUser(updatedUser)
+  });
+}));
+
+/**
+ * Turn two-factor authentication off; staff accounts have to keep it
+ * POST /api/auth/2fa/disable
+ */
+router.post('/2fa/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (!req.user.two_factor?.enabled) {
+    throw new ValidationError('Two-factor authentication is not on');
+  }
+
+  if (requiresTwoFactor(req.user)) {
+    throw new ForbiddenError('Staff accounts must keep two-factor authentication on');
+  }
+
+  const { password, code } = req.body;
+
+  const isValidPassword = await bcrypt.compare(password, req.user.password_hash);
+  if (!isValidPassword) {
+    throw new ValidationError('Password is incorrect');
+  }
+
+  if (!await verifySecondFactor(req.user, code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  await disableTwoFactor(req.user.id);
+  const updatedUser = await queryOne(User, { id: req.user.id });
+
+  res.json({
+    message: 'Two-factor authentication disabled successfully',
+    user: toPublicUser(updatedUser)
+  });
+}));
+
+/**
+ * Replace the backup codes, e.g. when most of them are used up
+ * POST /api/auth/2fa/backup-codes
+ */
+router.post('/2fa/backup-codes', [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (!req.user.two_factor?.enabled) {
+    throw new ValidationError('Two-factor authentication is not on');
+  }
+
+  if (!await verifySecondFactor(req.user, req.body.code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  res.json({
+    message: 'New backup codes generated; the old ones no longer work',
+    backup_codes: await regenerateBackupCodes(req.user)
   });
 }));
 
@@ -235,7 +707,7 @@ router.post('/verify', asyncHandler(async (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAuthToken(token);
     
     const user = await queryOne(User, { id: decoded.userId });
 
@@ -243,15 +715,17 @@ router.post('/verify', asyncHandler(async (req, res) => {
       throw new UnauthorizedError('User not found');
     }
 
+    if (!isTokenCurrent(decoded, user) || !await findActiveSession(decoded.sessionId)) {
+      throw new UnauthorizedError('Token revoked');
+    }
+
     if (user.is_banned) {
       throw new UnauthorizedError('Account has been suspended');
     }
 
-    const { password_hash, ...userWithoutPassword } = user.toObject();
-
     res.json({
       valid: true,
-      user: userWithoutPassword
+      user: toPublicUser(user)
     });
   } catch (error) {
     res.json({
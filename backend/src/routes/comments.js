@@ -0,0 +1,327 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult } = require('express-validator');
+const {
+  Issue,
+  IssueComment,
+  IssueCommentFlag,
+  User,
+  queryOne,
+  run
+} = require('../database/database');
+const { asyncHandler, ValidationError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { optionalAuth } = require('../middleware/auth');
+const { flagLimiter } = require('../middleware/rateLimit');
+const { notifyComment, notifyFlag } = require('../services/notifications');
+const { hasPermission } = require('../utils/permissions');
+const { FLAG_AUTO_HIDE_WEIGHT, getFlagWeight, logModerationAction } = require('../services/moderation');
+
+// Mounted at /api/issues/:id/comments, so the issue id comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Whether a user speaks for the municipality in discussions
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isOfficial = (user) => hasPermission(user, 'comments:official');
+
+/**
+ * Nest comments under their parents, dropping removed comments nobody replied to
+ * @param {Object[]} comments - Flat comments sorted oldest first
+ * @returns {Object[]} - Top-level comments with nested `replies`
+ */
+function buildThreads(comments) {
+  const byId = {};
+  comments.forEach(comment => {
+    byId[comment.id] = { ...comment, replies: [] };
+  });
+
+  const roots = [];
+  comments.forEach(comment => {
+    const parent = comment.parent_id && byId[comment.parent_id];
+    (parent ? parent.replies : roots).push(byId[comment.id]);
+  });
+
+  const prune = (nodes) => nodes
+    .map(node => ({ ...node, replies: prune(node.replies) }))
+    .filter(node => !(node.is_deleted || node.is_hidden) || node.replies.length > 0);
+
+  return prune(roots);
+}
+
+/**
+ * Load a comment on the issue from the route, or fail with 404
+ * @param {Object} params - Route params with id and commentId
+ * @returns {Promise<Object>} - Comment document
+ */
+async function findComment({ id, commentId }) {
+  const comment = await queryOne(IssueComment, { id: commentId, issue_id: id });
+  if (!comment || comment.is_deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  return comment;
+}
+
+/**
+ * Get the discussion thread of an issue
+ * GET /api/issues/:id/comments
+ */
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const issue = await queryOne(Issue, { id, is_hidden: false });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  const comments = await IssueComment.find({ issue_id: id })
+    .sort({ created_at: 1 })
+    .lean();
+
+  const authorIds = [...new Set(comments.map(comment => comment.author_id))];
+  const authors = await User.find({ id: { $in: authorIds } })
+    .select('id name role department_id')
+    .lean();
+
+  const authorMap = {};
+  authors.forEach(author => {
+    authorMap[author.id] = author;
+  });
+
+  // Removed comments keep their place in the thread but not their content
+  const formattedComments = comments.map(comment => {
+    const removed = comment.is_deleted || comment.is_hidden;
+    const author = authorMap[comment.author_id];
+
+    return {
+      id: comment.id,
+      issue_id: comment.issue_id,
+      parent_id: comment.parent_id,
+      author_id: removed ? null : comment.author_id,
+      author_name: removed ? null : author?.name || 'Unknown',
+      is_official: !removed && isOfficial(author),
+      body: removed ? null : comment.body,
+      is_edited: comment.edit_history.length > 0,
+      edit_history: removed ? [] : comment.edit_history,
+      is_deleted: comment.is_deleted,
+      is_hidden: comment.is_hidden,
+      created_at: comment.created_at,
+      updated_at: comment.updated_at
+    };
+  });
+
+  res.json({
+    comments: buildThreads(formattedComments),
+    total: formattedComments.filter(comment => !comment.is_deleted && !comment.is_hidden).length
+  });
+}));
+
+/**
+ * Add a comment or reply to an issue
+ * POST /api/issues/:id/comments
+ */
+router.post('/', [
+  body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be between 1 and 2000 characters'),
+  body('parent_id').optional({ nullable: true }).isString()
+], optionalAuth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (!req.user) {
+    throw new ForbiddenError('Authentication required');
+  }
+
+  const { id } = req.params;
+  const { body: commentBody, parent_id: parentId = null } = req.body;
+
+  const issue = await queryOne(Issue, { id, is_hidden: false });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  const parent = parentId ? await queryOne(IssueComment, { id: parentId, issue_id: id }) : null;
+  if (parentId && (!parent || parent.is_deleted || parent.is_hidden)) {
+    throw new ValidationError('Cannot reply to this comment');
+  }
+
+  const comment = await run(IssueComment, {
+    id: uuidv4(),
+    issue_id: id,
+    parent_id: parentId,
+    author_id: req.user.id,
+    body: commentBody
+  });
+
+  try {
+    await notifyComment({ issue, comment, parent, author: req.user });
+  } catch (error) {
+    console.error('Failed to send comment notifications:', error);
+  }
+
+  res.status(201).json({
+    message: 'Comment added successfully',
+    comment: {
+      ...comment.toObject(),
+      author_name: req.user.name,
+      is_official: isOfficial(req.user),
+      is_edited: false,
+      replies: []
+    }
+  });
+}));
+
+/**
+ * Edit a comment, keeping the previous text in its history
+ * PUT /api/issues/:id/comments/:commentId
+ */
+router.put('/:commentId', [
+  body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be between 1 and 2000 characters')
+], optionalAuth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (!req.user) {
+    throw new ForbiddenError('Authentication required');
+  }
+
+  const comment = await findComment(req.params);
+
+  if (comment.author_id !== req.user.id) {
+    throw new ForbiddenError('You can only edit your own comments');
+  }
+
+  if (comment.is_hidden) {
+    throw new ForbiddenError('Hidden comments cannot be edited');
+  }
+
+  const updatedComment = await IssueComment.findOneAndUpdate(
+    { id: comment.id },
+    {
+      body: req.body.body,
+      updated_at: new Date(),
+      $push: { edit_history: { body: comment.body, edited_at: new Date() } }
+    },
+    { new: true }
+  ).lean();
+
+  res.json({
+    message: 'Comment updated successfully',
+    comment: {
+      ...updatedComment,
+      is_edited: true
+    }
+  });
+}));
+
+/**
+ * Delete a comment (author or admin); replies stay in the thread
+ * DELETE /api/issues/:id/comments/:commentId
+ */
+router.delete('/:commentId', optionalAuth, asyncHandler(async (req, res) => {
+  if (!req.user) {
+    throw new ForbiddenError('Authentication required');
+  }
+
+  const comment = await findComment(req.params);
+
+  if (comment.author_id !== req.user.id) {
+    if (!hasPermission(req.user, 'comments:moderate')) {
+      throw new ForbiddenError('You can only delete your own comments');
+    }
+    if (!req.user.two_factor?.enabled) {
+      throw new ForbiddenError('Set up two-factor authentication to use staff features');
+    }
+  }
+
+  await IssueComment.findOneAndUpdate(
+    { id: comment.id },
+    {
+      is_deleted: true,
+      body: '',
+      edit_history: [],
+      updated_at: new Date()
+    }
+  );
+
+  res.json({
+    message: 'Comment deleted successfully'
+  });
+}));
+
+/**
+ * Flag a comment as inappropriate
+ * POST /api/issues/:id/comments/:commentId/flag
+ */
+router.post('/:commentId/flag', [
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must be less than 200 characters')
+], optionalAuth, flagLimiter, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  if (!req.user) {
+    throw new ForbiddenError('Authentication required');
+  }
+
+  const comment = await findComment(req.params);
+
+  if (comment.author_id === req.user.id) {
+    throw new ForbiddenError('Cannot flag your own comment');
+  }
+
+  const existingFlag = await queryOne(IssueCommentFlag, { comment_id: comment.id, flagged_by: req.user.id });
+  if (existingFlag) {
+    throw new ValidationError('You have already flagged this comment');
+  }
+
+  // Create flag, weighted by how reliable the user's past flags were
+  const weight = await getFlagWeight(req.user);
+  await run(IssueCommentFlag, {
+    id: uuidv4(),
+    comment_id: comment.id,
+    flagged_by: req.user.id,
+    reason: req.body.reason,
+    weight
+  });
+
+  const flagged = await IssueComment.findOneAndUpdate(
+    { id: comment.id },
+    { $inc: { flag_count: 1, flag_weight: weight } },
+    { new: true }
+  ).lean();
+
+  // Auto-hide comment pending review once enough trusted users flagged it
+  if (flagged.flag_weight >= FLAG_AUTO_HIDE_WEIGHT) {
+    const { modifiedCount } = await IssueComment.updateOne(
+      { id: comment.id, is_hidden: false },
+      { is_hidden: true }
+    );
+    if (modifiedCount > 0) {
+      await logModerationAction({
+        issueId: comment.issue_id,
+        commentId: comment.id,
+        action: 'auto_hide',
+        reason: `Open flags reached a weight of ${Math.round(flagged.flag_weight * 100) / 100}`
+      });
+    }
+  }
+
+  try {
+    const issue = await queryOne(Issue, { id: comment.issue_id });
+    await notifyFlag({ issue, comment, flaggedBy: req.user });
+  } catch (error) {
+    console.error('Failed to send flag notifications:', error);
+  }
+
+  res.json({
+    message: 'Comment flagged successfully'
+  });
+}));
+
+module.exports = router;
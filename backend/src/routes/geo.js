@@ -0,0 +1,53 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { reverseGeocode, searchAddress } = require('../services/geocoder');
+
+const router = express.Router();
+
+/**
+ * Reverse-geocode coordinates into a human-readable address
+ * GET /api/geo/reverse
+ */
+router.get('/reverse', [
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { latitude, longitude } = req.query;
+
+  const result = await reverseGeocode(parseFloat(latitude), parseFloat(longitude));
+
+  res.json({
+    address: result ? result.address : null,
+    result
+  });
+}));
+
+/**
+ * Search for places by address text
+ * GET /api/geo/search
+ */
+router.get('/search', [
+  query('q').trim().isLength({ min: 3, max: 200 }).withMessage('Search text must be 3-200 characters'),
+  query('limit').optional().isInt({ min: 1, max: 10 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { q, limit = 5 } = req.query;
+
+  const results = await searchAddress(q, parseInt(limit));
+
+  res.json({
+    results
+  });
+}));
+
+module.exports = router;
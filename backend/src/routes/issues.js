@@ -11,14 +11,39 @@ const {
   IssueStatusLog, 
   IssueFlag, 
   IssueVote,
+  IssueFollow,
   User,
   query: dbQuery, 
   queryOne, 
   run,
   count 
 } = require('../database/database');
-const { asyncHandler, ValidationError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
-const { optionalAuth } = require('../middleware/auth');
+const { asyncHandler, ValidationError, NotFoundError, ForbiddenError, ConflictError } = require('../middleware/errorHandler');
+const { authenticateToken, optionalAuth, requirePermission, requireVerified } = require('../middleware/auth');
+const { flagLimiter } = require('../middleware/rateLimit');
+const { toGeoPoint, withinRadius, calculateDistance, parseBBox, isWorldBBox, withinBBox, parsePolygon } = require('../utils/geo');
+const { highlightMatches } = require('../utils/search');
+const { reverseGeocode } = require('../services/geocoder');
+const { findDuplicateCandidates } = require('../services/duplicates');
+const { notifyStatusChange, notifyFlag, notifyAssignment } = require('../services/notifications');
+const { autoAssign } = require('../services/assignment');
+const { computeDueDates, slaStatusUpdates } = require('../services/sla');
+const { scoreIssue, recomputePriority } = require('../services/priority');
+const { castVote, getUserVotes } = require('../services/votes');
+const { FLAG_AUTO_HIDE_WEIGHT, getFlagWeight, hideIssue, logModerationAction } = require('../services/moderation');
+const { publishIssueChange } = require('../services/issueEvents');
+const { openIssueStream } = require('../services/realtime');
+const { hasPermission, requiresTwoFactor } = require('../utils/permissions');
+const {
+  STATUSES,
+  STATUS_NAMES,
+  CLOSED_STATUSES,
+  TRANSITIONS,
+  availableTransitions,
+  checkTransition,
+  statusCountFields,
+  withStatusCounts
+} = require('../utils/workflow');
 
 const router = express.Router();
 
@@ -49,23 +74,62 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Map clustering: zoom level from which single issues are returned instead
+const CLUSTER_MAX_ZOOM = 16;
+const CLUSTER_MAX_ISSUES = 500;
+const CLUSTER_CELLS_PER_TILE = 4;
+
+// Filters shared by the list and map endpoints
+const issueFilterValidators = [
+  query('category').optional().isIn(['all', 'roads', 'lighting', 'water supply', 'cleanliness', 'public safety', 'obstructions']),
+  query('status').optional().isIn(['all', ...STATUS_NAMES]),
+  query('q').optional().trim().isLength({ min: 1, max: 200 }),
+  query('bbox').optional().custom(value => {
+    parseBBox(value);
+    return true;
+  }),
+  query('polygon').optional().custom(value => {
+    parsePolygon(value);
+    return true;
+  })
+];
+
 /**
- * Calculate distance between two coordinates using Haversine formula
- * @param {number} lat1 - Latitude of first point
- * @param {number} lon1 - Longitude of first point
- * @param {number} lat2 - Latitude of second point
- * @param {number} lon2 - Longitude of second point
- * @returns {number} - Distance in kilometers
+ * Build the Mongo filter for public issue queries
+ * @param {Object} params - Request query parameters
+ * @returns {Object} - Mongo filter excluding hidden issues
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+function buildIssueFilter({ category, status, q, bbox, polygon }) {
+  if (bbox && polygon) {
+    throw new ValidationError('Use either bbox or polygon, not both');
+  }
+
+  const filter = { is_hidden: false };
+
+  if (category && category !== 'all') {
+    filter.category = category;
+  }
+
+  if (status && status !== 'all') {
+    filter.status = status;
+  }
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+
+  // Restrict to a map viewport or an arbitrary area such as a ward boundary.
+  // A fully zoomed-out map covers every issue, so it needs no location filter.
+  if (bbox) {
+    const box = parseBBox(bbox);
+    if (!isWorldBBox(box)) {
+      filter.location = withinBBox(box);
+    }
+  } else if (polygon) {
+    filter.location = { $geoWithin: { $geometry: parsePolygon(polygon) } };
+  }
+
+  return filter;
 }
 
 /**
@@ -76,8 +140,7 @@ router.get('/', [
   query('latitude').optional().isFloat({ min: -90, max: 90 }),
   query('longitude').optional().isFloat({ min: -180, max: 180 }),
   query('radius').optional().isFloat({ min: 0.1, max: 10 }),
-  query('category').optional().isIn(['all', 'roads', 'lighting', 'water supply', 'cleanliness', 'public safety', 'obstructions']),
-  query('status').optional().isIn(['all', 'reported', 'in_progress', 'resolved']),
+  ...issueFilterValidators,
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], optionalAuth, asyncHandler(async (req, res) => {
@@ -90,46 +153,82 @@ router.get('/', [
     latitude,
     longitude,
     radius = 5,
-    category,
-    status,
+    q,
+    bbox,
+    polygon,
     page = 1,
     limit = 20
   } = req.query;
 
-  // Build filter
-  const filter = { is_hidden: false };
-  
-  if (category && category !== 'all') {
-    filter.category = category;
+  if ((bbox || polygon) && latitude && longitude) {
+    throw new ValidationError('Use either latitude/longitude with radius or an area, not both');
   }
 
-  if (status && status !== 'all') {
-    filter.status = status;
+  const filter = buildIssueFilter(req.query);
+
+  const skip = (page - 1) * parseInt(limit);
+  const pipeline = [];
+
+  if (latitude && longitude && !q) {
+    // $geoNear must be the first stage; it applies the filter, the exact
+    // radius and sorts by distance (returned in kilometers)
+    pipeline.push({
+      $geoNear: {
+        near: toGeoPoint(latitude, longitude),
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: parseFloat(radius) * 1000,
+        query: filter,
+        spherical: true
+      }
+    });
+  } else if (q) {
+    // $text cannot run inside $geoNear, so a search limits the radius with
+    // $geoWithin instead and ranks by relevance
+    if (latitude && longitude) {
+      filter.location = withinRadius(latitude, longitude, radius);
+    }
+    pipeline.push(
+      { $match: filter },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1, created_at: -1 } }
+    );
+  } else {
+    pipeline.push({ $match: filter }, { $sort: { created_at: -1 } });
   }
 
-  // Add location-based filtering
-  if (latitude && longitude) {
-    const latRange = radius / 111; // Rough conversion: 1 degree ≈ 111 km
-    const lonRange = radius / (111 * Math.cos(latitude * Math.PI / 180));
-    
-    filter['location.latitude'] = {
-      $gte: parseFloat(latitude) - latRange,
-      $lte: parseFloat(latitude) + latRange
-    };
-    filter['location.longitude'] = {
-      $gte: parseFloat(longitude) - lonRange,
-      $lte: parseFloat(longitude) + lonRange
-    };
-  }
+  // Count and paginate over the same matched set so totals are exact
+  pipeline.push({
+    $facet: {
+      issues: [
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        {
+          $lookup: {
+            from: 'users',
+            localField: 'reporter_id',
+            foreignField: 'id',
+            as: 'reporter'
+          }
+        },
+        // Anonymous reports keep their reporter out of public lists
+        {
+          $addFields: {
+            reporter_name: {
+              $cond: ['$is_anonymous', null, { $arrayElemAt: ['$reporter.name', 0] }]
+            },
+            reporter_id: { $cond: ['$is_anonymous', '$$REMOVE', '$reporter_id'] }
+          }
+        },
+        { $project: { reporter: 0 } }
+      ],
+      total: [{ $count: 'count' }]
+    }
+  });
 
-  // Get issues with pagination
-  const skip = (page - 1) * limit;
-  const issues = await Issue.find(filter)
-    .populate('reporter_id', 'name')
-    .sort({ created_at: -1 })
-    .skip(skip)
-    .limit(parseInt(limit))
-    .lean();
+  const [result] = await Issue.aggregate(pipeline);
+  const issues = result.issues;
+  const total = result.total[0]?.count || 0;
 
   // Get image counts for each issue
   const issueIds = issues.map(issue => issue.id);
@@ -143,32 +242,32 @@ router.get('/', [
     imageCountMap[item._id] = item.count;
   });
 
-  // Add image counts and calculate distances
+  // Let signed-in users see which of these issues they follow and how they voted
+  const followedIds = req.user
+    ? await IssueFollow.distinct('issue_id', { user_id: req.user.id, issue_id: { $in: issueIds } })
+    : [];
+  const myVotes = await getUserVotes(req.user?.id, issueIds);
+
+  // Add image counts
   const issuesWithCounts = issues.map(issue => ({
     ...issue,
     image_count: imageCountMap[issue.id] || 0,
-    reporter_name: issue.reporter_id?.name || 'Anonymous',
-    distance: latitude && longitude ? calculateDistance(
-      parseFloat(latitude),
-      parseFloat(longitude),
-      issue.location.latitude,
-      issue.location.longitude
-    ) : undefined
+    is_following: followedIds.includes(issue.id),
+    my_vote: myVotes[issue.id] || null,
+    reporter_name: issue.reporter_name || 'Anonymous',
+    ...(q && {
+      highlights: highlightMatches(issue, q),
+      distance: latitude && longitude ? calculateDistance(
+        parseFloat(latitude),
+        parseFloat(longitude),
+        issue.location.coordinates[1],
+        issue.location.coordinates[0]
+      ) : undefined
+    })
   }));
 
-  // Filter by exact distance if coordinates provided
-  let filteredIssues = issuesWithCounts;
-  if (latitude && longitude) {
-    filteredIssues = issuesWithCounts
-      .filter(issue => issue.distance <= radius)
-      .sort((a, b) => a.distance - b.distance);
-  }
-
-  // Get total count for pagination
-  const total = await count(Issue, filter);
-
   res.json({
-    issues: filteredIssues,
+    issues: issuesWithCounts,
     pagination: {
       page: parseInt(page),
       limit: parseInt(limit),
@@ -178,6 +277,126 @@ router.get('/', [
   });
 }));
 
+/**
+ * Stream issue created/updated/hidden events near a location as Server-Sent Events
+ * GET /api/issues/stream
+ */
+router.get('/stream', [
+  query('latitude').optional().isFloat({ min: -90, max: 90 }),
+  query('longitude').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ min: 0.1, max: 10 }),
+  query('category').optional().isIn(['all', 'roads', 'lighting', 'water supply', 'cleanliness', 'public safety', 'obstructions'])
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { latitude, longitude, radius = 5, category } = req.query;
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+
+  openIssueStream({
+    latitude: hasLocation ? parseFloat(latitude) : undefined,
+    longitude: hasLocation ? parseFloat(longitude) : undefined,
+    radius: parseFloat(radius),
+    category
+  }, req, res);
+});
+
+/**
+ * Get clustered issues for map mode
+ * GET /api/issues/clusters
+ */
+router.get('/clusters', [
+  query('bbox').notEmpty().withMessage('bbox is required'),
+  query('zoom').isInt({ min: 0, max: 22 }).withMessage('zoom must be between 0 and 22'),
+  ...issueFilterValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const zoom = parseInt(req.query.zoom);
+  const filter = buildIssueFilter(req.query);
+
+  // Individual issues are only worth drawing once the map is zoomed in
+  if (zoom >= CLUSTER_MAX_ZOOM) {
+    const issues = await Issue.find(filter)
+      .select('id title category status location address created_at')
+      .sort({ created_at: -1 })
+      .limit(CLUSTER_MAX_ISSUES)
+      .lean();
+
+    return res.json({ zoom, clusters: [], issues });
+  }
+
+  // Grid cells of roughly CLUSTER_CELLS_PER_TILE per 256px map tile
+  const cellSize = 360 / Math.pow(2, zoom) / CLUSTER_CELLS_PER_TILE;
+
+  const cells = await Issue.aggregate([
+    { $match: filter },
+    {
+      $addFields: {
+        lon: { $arrayElemAt: ['$location.coordinates', 0] },
+        lat: { $arrayElemAt: ['$location.coordinates', 1] }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ['$lon', cellSize] } },
+          y: { $floor: { $divide: ['$lat', cellSize] } },
+          category: '$category'
+        },
+        count: { $sum: 1 },
+        lon_sum: { $sum: '$lon' },
+        lat_sum: { $sum: '$lat' },
+        ...Object.fromEntries(STATUS_NAMES.map(status => [
+          status,
+          { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+        ]))
+      }
+    },
+    {
+      $group: {
+        _id: { x: '$_id.x', y: '$_id.y' },
+        count: { $sum: '$count' },
+        lon_sum: { $sum: '$lon_sum' },
+        lat_sum: { $sum: '$lat_sum' },
+        ...Object.fromEntries(STATUS_NAMES.map(status => [status, { $sum: `$${status}` }])),
+        categories: { $push: { category: '$_id.category', count: '$count' } }
+      }
+    }
+  ]);
+
+  const clusters = cells.map(cell => {
+    const dominant = cell.categories.reduce((top, item) => (item.count > top.count ? item : top));
+
+    return {
+      id: `${zoom}:${cell._id.x}:${cell._id.y}`,
+      latitude: cell.lat_sum / cell.count,
+      longitude: cell.lon_sum / cell.count,
+      count: cell.count,
+      statuses: Object.fromEntries(STATUS_NAMES.map(status => [status, cell[status]])),
+      dominant_category: dominant.category
+    };
+  });
+
+  res.json({ zoom, clusters, issues: [] });
+}));
+
+/**
+ * Get the issue statuses and the transitions between them
+ * GET /api/issues/workflow
+ */
+router.get('/workflow', asyncHandler(async (req, res) => {
+  res.json({
+    statuses: STATUSES,
+    transitions: TRANSITIONS
+  });
+}));
+
 /**
  * Get a specific issue by ID
  * GET /api/issues/:id
@@ -190,6 +409,11 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     .lean();
 
   if (!issue) {
+    // Duplicates folded into another issue redirect to it
+    const merged = await queryOne(Issue, { id, merged_into: { $ne: null } });
+    if (merged) {
+      return res.redirect(301, `${req.baseUrl}/${merged.merged_into}`);
+    }
     throw new NotFoundError('Issue not found');
   }
 
@@ -210,16 +434,56 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     updated_by_name: log.updated_by?.name || 'System'
   }));
 
+  const isFollowing = req.user
+    ? Boolean(await queryOne(IssueFollow, { user_id: req.user.id, issue_id: id }))
+    : false;
+  const myVotes = await getUserVotes(req.user?.id, [id]);
+
   res.json({
     issue: {
       ...issue,
       reporter_name: issue.reporter_id?.name || 'Anonymous',
+      is_following: isFollowing,
+      my_vote: myVotes[id] || null,
+      // Status changes the current user may make, for staff status controls
+      available_transitions: hasPermission(req.user, 'issues:update_status', issue)
+        ? availableTransitions(req.user, issue.status)
+        : [],
       images,
       status_logs: formattedStatusLogs
     }
   });
 }));
 
+/**
+ * Check a draft report for likely duplicates
+ * POST /api/issues/check-duplicates
+ */
+router.post('/check-duplicates', [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').optional().trim(),
+  body('category').notEmpty().withMessage('Category is required'),
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required')
+], optionalAuth, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const duplicates = await findDuplicateCandidates(req.body);
+
+  // Voting toggles, so the form needs to know which candidates the user already upvoted
+  const myVotes = await getUserVotes(req.user?.id, duplicates.map(duplicate => duplicate.id));
+
+  res.json({
+    duplicates: duplicates.map(duplicate => ({
+      ...duplicate,
+      my_vote: myVotes[duplicate.id] || null
+    }))
+  });
+}));
+
 /**
  * Create a new issue
  * POST /api/issues
@@ -238,26 +502,61 @@ router.post('/', upload.array('images', 5), optionalAuth, asyncHandler(async (re
     latitude,
     longitude,
     address,
-    is_anonymous = false
+    is_anonymous = false,
+    ignore_duplicates
   } = req.body;
 
+  // Multipart bodies send booleans as strings
+  const anonymous = String(is_anonymous) === 'true';
+
+  // Only verified users may report under their own name
+  if (!anonymous && !req.user?.is_verified) {
+    throw new ForbiddenError('Verify your email address to report under your name, or report anonymously');
+  }
+
+  // Offer existing reports to upvote instead, unless the reporter already declined
+  if (ignore_duplicates !== 'true' && category && latitude && longitude) {
+    const duplicates = await findDuplicateCandidates({ latitude, longitude, category, title, description });
+    if (duplicates.length > 0) {
+      throw new ConflictError('Similar issues have already been reported nearby', duplicates);
+    }
+  }
+
   const issueId = uuidv4();
   const reporterId = req.user ? req.user.id : null;
 
+  // GPS-only reports get a normalised address; a geocoder outage must not block reporting
+  let issueAddress = address && address.trim();
+  if (!issueAddress) {
+    try {
+      const place = await reverseGeocode(parseFloat(latitude), parseFloat(longitude));
+      issueAddress = place ? place.address : undefined;
+    } catch (error) {
+      console.error('Reverse geocoding failed:', error.message);
+    }
+  }
+
+  // Route the issue to the responsible department (and staff member, if configured)
+  const location = toGeoPoint(latitude, longitude);
+  const assignment = await autoAssign({ category, location });
+  const scored = await scoreIssue({ title, description, category, location });
+  const sla = await computeDueDates({ category, priority: scored.priority });
+
   // Create issue
   await run(Issue, {
     id: issueId,
     title,
     description,
     category,
-    location: {
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-      address
-    },
+    location,
+    address: issueAddress,
     reporter_id: reporterId,
-    is_anonymous,
-    is_hidden: false
+    is_anonymous: anonymous,
+    is_hidden: false,
+    ...assignment,
+    ...scored,
+    priority_updated_at: new Date(),
+    sla
   });
 
   // Process and save images
@@ -301,6 +600,14 @@ router.post('/', upload.array('images', 5), optionalAuth, asyncHandler(async (re
 
   const imageCount = await count(IssueImage, { issue_id: issueId });
 
+  publishIssueChange(issueId, 'issue_created');
+
+  try {
+    await notifyAssignment({ issue, assigneeId: assignment.assignee_id });
+  } catch (error) {
+    console.error('Failed to send assignment notification:', error);
+  }
+
   res.status(201).json({
     message: 'Issue created successfully',
     issue: {
@@ -313,20 +620,24 @@ router.post('/', upload.array('images', 5), optionalAuth, asyncHandler(async (re
 }));
 
 /**
- * Update issue status (admin only)
+ * Update issue status (staff with the issues:update_status permission)
  * PUT /api/issues/:id/status
  */
 router.put('/:id/status', [
-  body('status').isIn(['reported', 'in_progress', 'resolved']).withMessage('Invalid status'),
+  body('status').isIn(STATUS_NAMES).withMessage('Invalid status'),
   body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment must be less than 500 characters')
-], asyncHandler(async (req, res) => {
+], optionalAuth, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ValidationError('Validation failed', errors.array());
   }
 
-  if (!req.user || !req.user.is_admin) {
-    throw new ForbiddenError('Admin privileges required');
+  if (!hasPermission(req.user, 'issues:update_status')) {
+    throw new ForbiddenError('Permission required: issues:update_status');
+  }
+
+  if (requiresTwoFactor(req.user) && !req.user.two_factor?.enabled) {
+    throw new ForbiddenError('Set up two-factor authentication to use staff features');
   }
 
   const { id } = req.params;
@@ -338,10 +649,27 @@ router.put('/:id/status', [
     throw new NotFoundError('Issue not found');
   }
 
-  // Update issue status
+  // Department staff only update their own department's issues
+  if (!hasPermission(req.user, 'issues:update_status', issue)) {
+    throw new ForbiddenError('You can only update issues of your own department');
+  }
+
+  const transition = checkTransition(req.user, issue.status, status, comment);
+  if (transition.reason === 'illegal') {
+    throw new ValidationError(`Cannot move an issue from ${STATUSES[issue.status].label} to ${STATUSES[status].label}`);
+  }
+  if (transition.reason === 'role') {
+    throw new ForbiddenError(`Your role cannot move issues to ${STATUSES[status].label}`);
+  }
+  if (transition.reason === 'comment') {
+    throw new ValidationError(`A comment is required to move an issue to ${STATUSES[status].label}`);
+  }
+
+  // Update issue status, moving the SLA clocks along with it
+  const now = new Date();
   await Issue.findOneAndUpdate(
     { id },
-    { status, updated_at: new Date() }
+    { status, updated_at: now, ...(await slaStatusUpdates(issue, status, now)) }
   );
 
   // Create status log
@@ -353,6 +681,15 @@ router.put('/:id/status', [
     updated_by: req.user.id
   });
 
+  publishIssueChange(id);
+
+  // A notification failure must not fail the update itself
+  try {
+    await notifyStatusChange({ issue, status, comment, updatedBy: req.user });
+  } catch (error) {
+    console.error('Failed to send status change notifications:', error);
+  }
+
   res.json({
     message: 'Issue status updated successfully',
     status
@@ -365,21 +702,17 @@ router.put('/:id/status', [
  */
 router.post('/:id/vote', [
   body('type').isIn(['upvote', 'downvote']).withMessage('Vote type must be upvote or downvote')
-], optionalAuth, asyncHandler(async (req, res) => {
+], authenticateToken, requireVerified, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ValidationError('Validation failed', errors.array());
   }
 
-  if (!req.user) {
-    throw new ForbiddenError('Authentication required');
-  }
-
   const { id } = req.params;
   const { type } = req.body;
 
   // Check if issue exists
-  const issue = await queryOne(Issue, { id });
+  const issue = await queryOne(Issue, { id, is_hidden: false });
   if (!issue) {
     throw new NotFoundError('Issue not found');
   }
@@ -389,59 +722,79 @@ router.post('/:id/vote', [
     throw new ForbiddenError('Cannot vote on your own issue');
   }
 
-  // Check if user already voted on this issue
-  const existingVote = await queryOne(IssueVote, { issue_id: id, user_id: req.user.id });
-
-  if (existingVote) {
-    // Update existing vote
-    if (existingVote.vote_type === type) {
-      // Remove vote if clicking same button
-      await deleteOne(IssueVote, { id: existingVote.id });
-      await Issue.findOneAndUpdate(
-        { id },
-        { $inc: { [`${type}s`]: -1 } }
-      );
-      res.json({
-        message: 'Vote removed successfully',
-        upvotes: issue.upvotes + (type === 'upvote' ? -1 : 0),
-        downvotes: issue.downvotes + (type === 'downvote' ? -1 : 0)
-      });
-    } else {
-      // Change vote
-      await IssueVote.findOneAndUpdate({ id: existingVote.id }, { vote_type: type });
-      await Issue.findOneAndUpdate(
-        { id },
-        { 
-          $inc: { 
-            [`${type}s`]: 1,
-            [`${existingVote.vote_type}s`]: -1
-          } 
-        }
-      );
-      res.json({
-        message: 'Vote updated successfully',
-        upvotes: issue.upvotes + (type === 'upvote' ? 1 : -1),
-        downvotes: issue.downvotes + (type === 'downvote' ? 1 : -1)
-      });
-    }
-  } else {
-    // Create new vote
-    await run(IssueVote, {
-      id: uuidv4(),
-      issue_id: id,
-      user_id: req.user.id,
-      vote_type: type
-    });
-    await Issue.findOneAndUpdate(
-      { id },
-      { $inc: { [`${type}s`]: 1 } }
-    );
-    res.json({
-      message: 'Vote added successfully',
-      upvotes: issue.upvotes + (type === 'upvote' ? 1 : 0),
-      downvotes: issue.downvotes + (type === 'downvote' ? 1 : 0)
-    });
+  const vote = await castVote({ issueId: id, userId: req.user.id, type });
+
+  res.json({
+    message: `Vote ${vote.action} successfully`,
+    my_vote: vote.my_vote,
+    upvotes: vote.upvotes,
+    downvotes: vote.downvotes
+  });
+
+  await recomputePriority(id);
+  publishIssueChange(id);
+}));
+
+/**
+ * List who voted on an issue and how, for reviewing vote manipulation
+ * GET /api/issues/:id/voters
+ */
+router.get('/:id/voters', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('type').optional().isIn(['upvote', 'downvote']).withMessage('type must be upvote or downvote')
+], authenticateToken, requirePermission('issues:moderate'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const { page = 1, limit = 50, type } = req.query;
+  const skip = (page - 1) * limit;
+
+  if (!(await queryOne(Issue, { id }))) {
+    throw new NotFoundError('Issue not found');
   }
+
+  const filter = { issue_id: id };
+  if (type) {
+    filter.vote_type = type;
+  }
+
+  const votes = await IssueVote.find(filter)
+    .sort({ created_at: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+
+  const voters = await User.find({ id: { $in: votes.map(vote => vote.user_id) } })
+    .select('id name email is_verified created_at')
+    .lean();
+  const voterMap = {};
+  voters.forEach(voter => {
+    voterMap[voter.id] = voter;
+  });
+
+  const total = await count(IssueVote, filter);
+
+  res.json({
+    voters: votes.map(vote => ({
+      user_id: vote.user_id,
+      name: voterMap[vote.user_id]?.name || 'Deleted user',
+      email: voterMap[vote.user_id]?.email,
+      is_verified: voterMap[vote.user_id]?.is_verified || false,
+      account_created_at: voterMap[vote.user_id]?.created_at,
+      vote_type: vote.vote_type,
+      voted_at: vote.created_at
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
 }));
 
 /**
@@ -450,7 +803,7 @@ router.post('/:id/vote', [
  */
 router.post('/:id/flag', [
   body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason must be less than 200 characters')
-], optionalAuth, asyncHandler(async (req, res) => {
+], optionalAuth, flagLimiter, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     throw new ValidationError('Validation failed', errors.array());
@@ -464,7 +817,7 @@ router.post('/:id/flag', [
   const { reason } = req.body;
 
   // Check if issue exists
-  const issue = await queryOne(Issue, { id });
+  const issue = await queryOne(Issue, { id, is_hidden: false });
   if (!issue) {
     throw new NotFoundError('Issue not found');
   }
@@ -481,28 +834,39 @@ router.post('/:id/flag', [
     throw new ValidationError('You have already flagged this issue');
   }
 
-  // Create flag
+  // Create flag, weighted by how reliable the user's past flags were
+  const weight = await getFlagWeight(req.user);
   await run(IssueFlag, {
     id: uuidv4(),
     issue_id: id,
     flagged_by: req.user.id,
-    reason
+    reason,
+    weight
   });
 
   // Update flag count
-  await Issue.findOneAndUpdate(
+  const flagged = await Issue.findOneAndUpdate(
     { id },
-    { $inc: { flag_count: 1 } }
-  );
+    { $inc: { flag_count: 1, flag_weight: weight } },
+    { new: true }
+  ).lean();
+
+  // Auto-hide issue pending review once enough trusted users flagged it
+  if (flagged.flag_weight >= FLAG_AUTO_HIDE_WEIGHT && await hideIssue({ issue })) {
+    await logModerationAction({
+      issueId: id,
+      action: 'auto_hide',
+      reason: `Open flags reached a weight of ${Math.round(flagged.flag_weight * 100) / 100}`
+    });
+  }
 
-  // Auto-hide issue if flagged by multiple users (3 or more)
-  const flagCount = await count(IssueFlag, { issue_id: id });
+  await recomputePriority(id);
+  publishIssueChange(id);
 
-  if (flagCount >= 3) {
-    await Issue.findOneAndUpdate(
-      { id },
-      { is_hidden: true }
-    );
+  try {
+    await notifyFlag({ issue, flaggedBy: req.user });
+  } catch (error) {
+    console.error('Failed to send flag notifications:', error);
   }
 
   res.json({
@@ -520,9 +884,7 @@ router.get('/stats/overview', asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         total_issues: { $sum: 1 },
-        reported: { $sum: { $cond: [{ $eq: ['$status', 'reported'] }, 1, 0] } },
-        in_progress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
-        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } },
+        ...statusCountFields(),
         hidden: { $sum: { $cond: ['$is_hidden', 1, 0] } }
       }
     }
@@ -534,20 +896,14 @@ router.get('/stats/overview', asyncHandler(async (req, res) => {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        resolved_count: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+        resolved_count: { $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 1, 0] } }
       }
     },
     { $sort: { count: -1 } }
   ]);
 
   res.json({
-    overview: stats[0] || {
-      total_issues: 0,
-      reported: 0,
-      in_progress: 0,
-      resolved: 0,
-      hidden: 0
-    },
+    overview: withStatusCounts({ hidden: 0, ...stats[0] }),
     by_category: categoryStats
   });
 }));
@@ -1,16 +1,56 @@
 const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { body, query: queryParam, validationResult } = require('express-validator');
 const { 
   Issue, 
   IssueStatusLog,
+  IssueFollow,
+  AreaSubscription,
+  Notification,
+  Session,
   query,
   queryOne,
+  run,
   count 
 } = require('../database/database');
-const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
+const { withinRadius, parsePolygon } = require('../utils/geo');
+const { CLOSED_STATUSES, statusCountFields, withStatusCounts } = require('../utils/workflow');
+const { openUserStream, sendEvent } = require('../services/realtime');
+const { getUserVotes } = require('../services/votes');
+const { logModerationAction } = require('../services/moderation');
+const { notifyAppeal } = require('../services/notifications');
+const { revokeSessions, toPublicSession } = require('../services/sessions');
 
 const router = express.Router();
 
+const MAX_AREA_SUBSCRIPTIONS = 10;
+const MAX_AREA_RADIUS_KM = 25;
+
+// The feed only looks this far back
+const FEED_MAX_AGE_DAYS = 30;
+
+/**
+ * Build the Mongo filter for issues inside a subscribed area
+ * @param {Object} subscription - Area subscription document
+ * @returns {Object} - Mongo filter on location and category
+ */
+function areaSubscriptionFilter(subscription) {
+  const [longitude, latitude] = subscription.center || [];
+  const filter = {
+    location: subscription.area_type === 'circle'
+      ? withinRadius(latitude, longitude, subscription.radius_km)
+      : { $geoWithin: { $geometry: subscription.polygon } }
+  };
+
+  if (subscription.categories.length > 0) {
+    filter.category = { $in: subscription.categories };
+  }
+
+  return filter;
+}
+
 /**
  * Get user's reported issues
  * GET /api/users/issues
@@ -90,9 +130,7 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
       $group: {
         _id: null,
         total_issues: { $sum: 1 },
-        reported: { $sum: { $cond: [{ $eq: ['$status', 'reported'] }, 1, 0] } },
-        in_progress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
-        resolved: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+        ...statusCountFields()
       }
     }
   ]);
@@ -104,7 +142,7 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
       $group: {
         _id: '$category',
         count: { $sum: 1 },
-        resolved_count: { $sum: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } }
+        resolved_count: { $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 1, 0] } }
       }
     },
     { $sort: { count: -1 } }
@@ -134,12 +172,7 @@ router.get('/stats', authenticateToken, asyncHandler(async (req, res) => {
   ]);
 
   res.json({
-    overview: stats[0] || {
-      total_issues: 0,
-      reported: 0,
-      in_progress: 0,
-      resolved: 0
-    },
+    overview: withStatusCounts(stats[0]),
     by_category: categoryStats,
     recent_activity: recentActivity
   });
@@ -186,4 +219,435 @@ router.get('/issues/:id', authenticateToken, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Appeal against one of the user's issues being hidden by moderation
+ * POST /api/users/issues/:id/appeal
+ */
+router.post('/issues/:id/appeal', [
+  body('message').trim().isLength({ min: 10, max: 1000 }).withMessage('Message must be between 10 and 1000 characters')
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { id } = req.params;
+  const { message } = req.body;
+
+  const issue = await queryOne(Issue, { id, reporter_id: req.user.id });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  // Merged and deleted issues are hidden too, but not by a decision that can be appealed
+  if (!issue.is_hidden || issue.is_deleted || issue.merged_into || !issue.moderation?.hidden_at) {
+    throw new ValidationError('Only issues hidden by moderation can be appealed');
+  }
+
+  // One appeal per time the issue was hidden
+  const { modifiedCount } = await Issue.updateOne(
+    { id, 'moderation.appeal_status': null },
+    {
+      'moderation.appeal_status': 'pending',
+      'moderation.appeal_message': message,
+      'moderation.appealed_at': new Date()
+    }
+  );
+  if (modifiedCount === 0) {
+    throw new ConflictError('This issue has already been appealed');
+  }
+
+  await logModerationAction({ issueId: id, action: 'appeal', actorId: req.user.id, reason: message });
+
+  try {
+    await notifyAppeal({ issue, reporterId: req.user.id });
+  } catch (error) {
+    console.error('Failed to send appeal notifications:', error);
+  }
+
+  res.json({
+    message: 'Appeal submitted successfully',
+    appeal_status: 'pending'
+  });
+}));
+
+/**
+ * Get issues the user follows
+ * GET /api/users/followed-issues
+ */
+router.get('/followed-issues', authenticateToken, asyncHandler(async (req, res) => {
+  const follows = await IssueFollow.find({ user_id: req.user.id })
+    .sort({ created_at: -1 })
+    .lean();
+
+  const issues = await Issue.find({
+    id: { $in: follows.map(follow => follow.issue_id) },
+    is_hidden: false
+  }).lean();
+
+  const issueMap = {};
+  issues.forEach(issue => {
+    issueMap[issue.id] = issue;
+  });
+  const myVotes = await getUserVotes(req.user.id, issues.map(issue => issue.id));
+
+  // Most recently followed first
+  res.json({
+    issues: follows
+      .filter(follow => issueMap[follow.issue_id])
+      .map(follow => ({
+        ...issueMap[follow.issue_id],
+        is_following: true,
+        my_vote: myVotes[follow.issue_id] || null,
+        followed_at: follow.created_at
+      }))
+  });
+}));
+
+/**
+ * Follow an issue
+ * POST /api/users/followed-issues/:issueId
+ */
+router.post('/followed-issues/:issueId', authenticateToken, asyncHandler(async (req, res) => {
+  const { issueId } = req.params;
+
+  const issue = await queryOne(Issue, { id: issueId, is_hidden: false });
+  if (!issue) {
+    throw new NotFoundError('Issue not found');
+  }
+
+  const existingFollow = await queryOne(IssueFollow, { user_id: req.user.id, issue_id: issueId });
+  if (existingFollow) {
+    throw new ValidationError('You are already following this issue');
+  }
+
+  await run(IssueFollow, {
+    id: uuidv4(),
+    user_id: req.user.id,
+    issue_id: issueId
+  });
+
+  res.status(201).json({
+    message: 'You are now following this issue',
+    is_following: true
+  });
+}));
+
+/**
+ * Stop following an issue
+ * DELETE /api/users/followed-issues/:issueId
+ */
+router.delete('/followed-issues/:issueId', authenticateToken, asyncHandler(async (req, res) => {
+  const { deletedCount } = await IssueFollow.deleteOne({
+    user_id: req.user.id,
+    issue_id: req.params.issueId
+  });
+
+  if (deletedCount === 0) {
+    throw new NotFoundError('You are not following this issue');
+  }
+
+  res.json({
+    message: 'You are no longer following this issue',
+    is_following: false
+  });
+}));
+
+/**
+ * Get the user's area subscriptions
+ * GET /api/users/area-subscriptions
+ */
+router.get('/area-subscriptions', authenticateToken, asyncHandler(async (req, res) => {
+  const subscriptions = await query(AreaSubscription, { user_id: req.user.id }, { sort: { created_at: -1 } });
+
+  res.json({
+    subscriptions
+  });
+}));
+
+/**
+ * Subscribe to a circle or polygon, optionally limited to some categories
+ * POST /api/users/area-subscriptions
+ */
+router.post('/area-subscriptions', [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('area_type').isIn(['circle', 'polygon']).withMessage('Area type must be circle or polygon'),
+  body('latitude').if(body('area_type').equals('circle'))
+    .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude is required'),
+  body('longitude').if(body('area_type').equals('circle'))
+    .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude is required'),
+  body('radius_km').if(body('area_type').equals('circle'))
+    .isFloat({ min: 0.1, max: MAX_AREA_RADIUS_KM }).withMessage(`Radius must be between 0.1 and ${MAX_AREA_RADIUS_KM} km`),
+  body('polygon').if(body('area_type').equals('polygon')).custom(value => {
+    parsePolygon(value);
+    return true;
+  }),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('categories.*').isIn(['roads', 'lighting', 'water supply', 'cleanliness', 'public safety', 'obstructions'])
+    .withMessage('Invalid category')
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const existing = await count(AreaSubscription, { user_id: req.user.id });
+  if (existing >= MAX_AREA_SUBSCRIPTIONS) {
+    throw new ValidationError(`You can subscribe to at most ${MAX_AREA_SUBSCRIPTIONS} areas`);
+  }
+
+  const { name, area_type: areaType, latitude, longitude, radius_km: radiusKm, polygon, categories = [] } = req.body;
+
+  const subscription = await run(AreaSubscription, {
+    id: uuidv4(),
+    user_id: req.user.id,
+    name,
+    area_type: areaType,
+    ...(areaType === 'circle'
+      ? { center: [parseFloat(longitude), parseFloat(latitude)], radius_km: parseFloat(radiusKm) }
+      : { polygon: parsePolygon(polygon) }),
+    categories: [...new Set(categories)]
+  });
+
+  res.status(201).json({
+    message: 'Area subscription created successfully',
+    subscription
+  });
+}));
+
+/**
+ * Remove an area subscription
+ * DELETE /api/users/area-subscriptions/:id
+ */
+router.delete('/area-subscriptions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const { deletedCount } = await AreaSubscription.deleteOne({
+    id: req.params.id,
+    user_id: req.user.id
+  });
+
+  if (deletedCount === 0) {
+    throw new NotFoundError('Area subscription not found');
+  }
+
+  res.json({
+    message: 'Area subscription removed successfully'
+  });
+}));
+
+/**
+ * Get new reports and status changes on followed issues and in subscribed areas
+ * GET /api/users/feed
+ */
+router.get('/feed', [
+  queryParam('page').optional().isInt({ min: 1 }),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 })
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * parseInt(limit);
+  const since = new Date(Date.now() - FEED_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+
+  const follows = await query(IssueFollow, { user_id: req.user.id });
+  const areas = await query(AreaSubscription, { user_id: req.user.id });
+  const followedIds = follows.map(follow => follow.issue_id);
+
+  const scopes = areas.map(areaSubscriptionFilter);
+  if (followedIds.length > 0) {
+    scopes.push({ id: { $in: followedIds } });
+  }
+
+  const issues = scopes.length > 0
+    ? await Issue.find({ is_hidden: false, updated_at: { $gte: since }, $or: scopes })
+      .select('id title category status address reporter_id')
+      .lean()
+    : [];
+
+  const issueMap = {};
+  issues.forEach(issue => {
+    issueMap[issue.id] = issue;
+  });
+
+  // The user's own actions are not news to them
+  const filter = {
+    issue_id: { $in: Object.keys(issueMap) },
+    created_at: { $gte: since },
+    updated_by: { $ne: req.user.id }
+  };
+
+  const logs = await IssueStatusLog.find(filter)
+    .sort({ created_at: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+  const total = await count(IssueStatusLog, filter);
+
+  // Every issue starts with a "reported" log written by its reporter
+  const events = logs.map(log => {
+    const issue = issueMap[log.issue_id];
+    return {
+      id: log.id,
+      type: log.status === 'reported' && log.updated_by === issue.reporter_id ? 'new_report' : 'status_change',
+      source: followedIds.includes(issue.id) ? 'following' : 'area',
+      issue_id: issue.id,
+      issue_title: issue.title,
+      issue_category: issue.category,
+      issue_address: issue.address,
+      status: log.status,
+      comment: log.comment,
+      created_at: log.created_at
+    };
+  });
+
+  res.json({
+    events,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Get the user's notifications, newest first
+ * GET /api/users/notifications
+ */
+router.get('/notifications', [
+  queryParam('unread').optional().isBoolean(),
+  queryParam('page').optional().isInt({ min: 1 }),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 })
+], authenticateToken, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+
+  const { unread, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * parseInt(limit);
+
+  const filter = { user_id: req.user.id };
+  if (unread === 'true') {
+    filter.read_at = null;
+  }
+
+  const notifications = await Notification.find(filter)
+    .sort({ created_at: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .lean();
+
+  const total = await count(Notification, filter);
+  const unreadCount = await count(Notification, { user_id: req.user.id, read_at: null });
+
+  res.json({
+    notifications,
+    unread_count: unreadCount,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * Stream new notifications as Server-Sent Events
+ * GET /api/users/notifications/stream
+ */
+router.get('/notifications/stream', authenticateToken, asyncHandler(async (req, res) => {
+  const unreadCount = await count(Notification, { user_id: req.user.id, read_at: null });
+
+  openUserStream(req.user.id, req, res);
+  sendEvent(res, 'unread_count', { unread_count: unreadCount });
+}));
+
+/**
+ * Mark all notifications as read
+ * PUT /api/users/notifications/read-all
+ */
+router.put('/notifications/read-all', authenticateToken, asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { user_id: req.user.id, read_at: null },
+    { read_at: new Date() }
+  );
+
+  res.json({
+    message: 'All notifications marked as read',
+    updated: modifiedCount
+  });
+}));
+
+/**
+ * Mark a notification as read
+ * PUT /api/users/notifications/:id/read
+ */
+router.put('/notifications/:id/read', authenticateToken, asyncHandler(async (req, res) => {
+  const notification = await Notification.findOneAndUpdate(
+    { id: req.params.id, user_id: req.user.id },
+    { read_at: new Date() },
+    { new: true }
+  ).lean();
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  res.json({
+    message: 'Notification marked as read',
+    notification
+  });
+}));
+
+/**
+ * List the devices the user is signed in on
+ * GET /api/users/sessions
+ */
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await query(
+    Session,
+    { user_id: req.user.id, revoked_at: null, expires_at: { $gt: new Date() } },
+    { sort: { last_used_at: -1 } }
+  );
+
+  res.json({
+    sessions: sessions.map(session => toPublicSession(session, req.sessionId))
+  });
+}));
+
+/**
+ * Sign out every other device
+ * DELETE /api/users/sessions
+ */
+router.delete('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions({ user_id: req.user.id, id: { $ne: req.sessionId } }, 'revoked');
+
+  res.json({
+    message: 'Signed out of all other sessions',
+    revoked
+  });
+}));
+
+/**
+ * Sign out one device
+ * DELETE /api/users/sessions/:id
+ */
+router.delete('/sessions/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions({ id: req.params.id, user_id: req.user.id }, 'revoked');
+
+  if (revoked === 0) {
+    throw new NotFoundError('Session not found');
+  }
+
+  res.json({
+    message: 'Session revoked successfully',
+    current: req.params.id === req.sessionId
+  });
+}));
+
 module.exports = router; 
\ No newline at end of file
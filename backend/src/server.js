@@ -8,17 +8,38 @@ require('dotenv').config();
 const { connectDB } = require('./database/database');
 const authRoutes = require('./routes/auth');
 const issueRoutes = require('./routes/issues');
+const commentRoutes = require('./routes/comments');
 const adminRoutes = require('./routes/admin');
 const userRoutes = require('./routes/users');
+const geoRoutes = require('./routes/geo');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { startMailWorker } = require('./services/mailer');
+const { startSlaWorker } = require('./services/sla');
+const { startPriorityWorker } = require('./services/priority');
+const { createRateLimitStore } = require('./services/attemptStore');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a load balancer, req.ip is only the client's address once the proxy is trusted
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Connect to MongoDB
 connectDB();
 
+// Deliver queued emails in the background
+startMailWorker();
+
+// Escalate issues that miss their SLA deadlines
+startSlaWorker();
+
+// Keep priorities of open issues current as they age
+startPriorityWorker();
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -45,6 +66,7 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  store: createRateLimitStore('api'),
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
@@ -68,8 +90,10 @@ app.get('/api/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/issues', issueRoutes);
+app.use('/api/issues/:id/comments', commentRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/geo', geoRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,80 @@
+const { Department, Issue, User } = require('../database/database');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+
+/**
+ * Find the department responsible for a category at a location. A department
+ * whose zone covers the location wins over a citywide one.
+ * @param {Object} params - { category, location } with location as a GeoJSON point
+ * @returns {Promise<Object|null>} - Department document
+ */
+async function findDepartment({ category, location }) {
+  const departments = await Department.find({
+    categories: category,
+    $or: [
+      { zone: null },
+      { zone: { $geoIntersects: { $geometry: location } } }
+    ]
+  })
+    .sort({ created_at: 1 })
+    .lean();
+
+  return departments.find(department => department.zone) || departments[0] || null;
+}
+
+/**
+ * Pick the department member with the fewest open assigned issues
+ * @param {Object} department - Department document
+ * @returns {Promise<string|null>} - User ID
+ */
+async function pickAssignee(department) {
+  if (!department.auto_assign_staff) {
+    return null;
+  }
+
+  const staff = await User.find({ department_id: department.id, is_banned: { $ne: true } })
+    .select('id')
+    .lean();
+  if (staff.length === 0) {
+    return null;
+  }
+
+  const staffIds = staff.map(member => member.id);
+  const workloads = await Issue.aggregate([
+    { $match: { assignee_id: { $in: staffIds }, status: { $nin: CLOSED_STATUSES } } },
+    { $group: { _id: '$assignee_id', count: { $sum: 1 } } }
+  ]);
+
+  const workloadMap = {};
+  workloads.forEach(item => {
+    workloadMap[item._id] = item.count;
+  });
+
+  return staffIds.reduce((best, userId) =>
+    (workloadMap[userId] || 0) < (workloadMap[best] || 0) ? userId : best
+  );
+}
+
+/**
+ * Work out who should own a new issue
+ * @param {Object} params - { category, location }
+ * @returns {Promise<Object>} - { department_id, assignee_id, assigned_at }
+ */
+async function autoAssign({ category, location }) {
+  const department = await findDepartment({ category, location });
+  if (!department) {
+    return { department_id: null, assignee_id: null, assigned_at: null };
+  }
+
+  const assigneeId = await pickAssignee(department);
+
+  return {
+    department_id: department.id,
+    assignee_id: assigneeId,
+    assigned_at: new Date()
+  };
+}
+
+module.exports = {
+  findDepartment,
+  autoAssign
+};
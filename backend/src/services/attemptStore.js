@@ -0,0 +1,154 @@
+const { RateLimitCounter } = require('../database/database');
+
+// Expired in-memory counters are swept this often
+const MEMORY_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Store keeping counters in this process. Fine for a single instance; with
+ * several, each one counts on its own.
+ * @returns {Object} - Attempt store
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, MEMORY_SWEEP_INTERVAL).unref();
+
+  const get = async (key) => {
+    const counter = counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) {
+      return null;
+    }
+    return { ...counter };
+  };
+
+  return {
+    get,
+    increment: async (key, windowMs) => {
+      const counter = await get(key);
+      const next = counter
+        ? { count: counter.count + 1, resetAt: counter.resetAt }
+        : { count: 1, resetAt: Date.now() + windowMs };
+      counters.set(key, next);
+      return { ...next };
+    },
+    decrement: async (key) => {
+      const counter = counters.get(key);
+      if (counter && counter.count > 0) {
+        counter.count -= 1;
+      }
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+}
+
+/**
+ * Store keeping counters in MongoDB, so every API instance sees the same counts
+ * @returns {Object} - Attempt store
+ */
+function createMongoStore() {
+  const toCounter = (doc) => ({ count: doc.count, resetAt: doc.expires_at.getTime() });
+
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const current = await RateLimitCounter.findOneAndUpdate(
+      { key, expires_at: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    ).lean();
+    if (current) {
+      return toCounter(current);
+    }
+
+    // Start a new window, over the expired counter if there is one
+    try {
+      const fresh = await RateLimitCounter.findOneAndUpdate(
+        { key, expires_at: { $lte: now } },
+        { count: 1, expires_at: new Date(now.getTime() + windowMs) },
+        { upsert: true, new: true }
+      ).lean();
+      return toCounter(fresh);
+    } catch (error) {
+      // Another instance started the window first; count in it
+      if (error.code === 11000) {
+        return increment(key, windowMs);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    get: async (key) => {
+      const doc = await RateLimitCounter.findOne({ key, expires_at: { $gt: new Date() } }).lean();
+      return doc ? toCounter(doc) : null;
+    },
+    increment,
+    decrement: async (key) => {
+      await RateLimitCounter.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    },
+    reset: async (key) => {
+      await RateLimitCounter.deleteOne({ key });
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+/**
+ * Get the configured attempt store, created on first use
+ * @returns {Object} - { get, increment, decrement, reset }; counters are { count, resetAt }
+ */
+function getAttemptStore() {
+  if (!store) {
+    const name = process.env.ATTEMPT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown attempt store: ${name}`);
+    }
+    store = stores[name]();
+  }
+  return store;
+}
+
+/**
+ * Adapt the attempt store to express-rate-limit, so route limiters share it.
+ * Each limiter needs its own adapter with its own prefix.
+ * @param {string} prefix - Key prefix, e.g. "register"
+ * @returns {Object} - express-rate-limit store
+ */
+function createRateLimitStore(prefix) {
+  let windowMs = 60 * 1000;
+
+  return {
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+    get: async (key) => {
+      const counter = await getAttemptStore().get(`${prefix}:${key}`);
+      return counter ? { totalHits: counter.count, resetTime: new Date(counter.resetAt) } : undefined;
+    },
+    increment: async (key) => {
+      const counter = await getAttemptStore().increment(`${prefix}:${key}`, windowMs);
+      return { totalHits: counter.count, resetTime: new Date(counter.resetAt) };
+    },
+    decrement: (key) => getAttemptStore().decrement(`${prefix}:${key}`),
+    resetKey: (key) => getAttemptStore().reset(`${prefix}:${key}`)
+  };
+}
+
+module.exports = {
+  getAttemptStore,
+  createRateLimitStore
+};
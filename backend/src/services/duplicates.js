@@ -0,0 +1,100 @@
+const { Issue } = require('../database/database');
+const { toGeoPoint } = require('../utils/geo');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+
+const DUPLICATE_RADIUS_METERS = parseFloat(process.env.DUPLICATE_RADIUS_METERS || '150');
+const DUPLICATE_MIN_SIMILARITY = parseFloat(process.env.DUPLICATE_MIN_SIMILARITY || '0.25');
+const DUPLICATE_MAX_RESULTS = 5;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'has', 'have', 'with', 'this', 'that', 'there',
+  'from', 'near', 'very', 'our', 'its', 'been', 'not', 'but', 'all', 'any', 'can'
+]);
+
+/**
+ * Split text into a set of meaningful lowercase words
+ * @param {string} text - Free text
+ * @returns {Set<string>}
+ */
+function tokenize(text = '') {
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity between two word sets
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} - 0 (nothing shared) to 1 (identical)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) {
+      shared += 1;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Score how alike two reports read, favouring matching titles
+ * @param {Object} a - { title, description }
+ * @param {Object} b - { title, description }
+ * @returns {number} - 0 to 1
+ */
+function textSimilarity(a, b) {
+  const titleScore = jaccard(tokenize(a.title), tokenize(b.title));
+  const fullScore = jaccard(
+    tokenize(`${a.title} ${a.description}`),
+    tokenize(`${b.title} ${b.description}`)
+  );
+  return Math.max(titleScore, fullScore);
+}
+
+/**
+ * Find open issues in the same category close to a new report that read alike
+ * @param {Object} report - { latitude, longitude, category, title, description }
+ * @returns {Promise<Object[]>} - Candidates with distance (km) and similarity
+ */
+async function findDuplicateCandidates({ latitude, longitude, category, title, description }) {
+  const nearby = await Issue.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(latitude, longitude),
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: DUPLICATE_RADIUS_METERS,
+        query: {
+          category,
+          is_hidden: false,
+          merged_into: null,
+          status: { $nin: CLOSED_STATUSES }
+        },
+        spherical: true
+      }
+    },
+    { $limit: 50 },
+    { $project: { id: 1, title: 1, description: 1, category: 1, status: 1, address: 1, created_at: 1, distance: 1 } }
+  ]);
+
+  return nearby
+    .map(issue => ({
+      ...issue,
+      similarity: Math.round(textSimilarity({ title, description }, issue) * 100) / 100
+    }))
+    .filter(issue => issue.similarity >= DUPLICATE_MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity || a.distance - b.distance)
+    .slice(0, DUPLICATE_MAX_RESULTS);
+}
+
+module.exports = {
+  findDuplicateCandidates
+};
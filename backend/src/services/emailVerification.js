@@ -0,0 +1,79 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../database/database');
+const { enqueueMail } = require('./mailer');
+
+// Signed with their own secret so a verification link can never pass as a login token
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET ||
+  `${process.env.JWT_SECRET || 'your-secret-key'}:email-verification`;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+
+// Minimum time between two verification emails to the same user
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60', 10);
+
+/**
+ * Create the signed token for a user's verification link. It names the
+ * address, so the link stops working if the user's email changes.
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+function createVerificationToken(user) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, purpose: 'verify_email' },
+    EMAIL_VERIFICATION_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+}
+
+/**
+ * Check a verification token's signature and expiry
+ * @param {string} token - Token from the verification link
+ * @returns {Object|null} - { userId, email }, null when invalid or expired
+ */
+function readVerificationToken(token) {
+  try {
+    const payload = jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+    if (payload.purpose !== 'verify_email') {
+      return null;
+    }
+    return { userId: payload.sub, email: payload.email };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Seconds until a user may be sent another verification email
+ * @param {Object} user - User document
+ * @returns {number} - 0 when one can be sent now
+ */
+function resendCooldown(user) {
+  if (!user.verification_sent_at) {
+    return 0;
+  }
+
+  const elapsed = (Date.now() - new Date(user.verification_sent_at).getTime()) / 1000;
+  return Math.max(0, Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - elapsed));
+}
+
+/**
+ * Email a user a fresh verification link
+ * @param {Object} user - User document
+ */
+async function sendVerificationEmail(user) {
+  await enqueueMail({
+    to: user.email,
+    template: 'verify_email',
+    data: {
+      recipientName: user.name,
+      token: createVerificationToken(user)
+    }
+  });
+
+  await User.updateOne({ id: user.id }, { verification_sent_at: new Date() });
+}
+
+module.exports = {
+  readVerificationToken,
+  resendCooldown,
+  sendVerificationEmail
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const NodeGeocoder = require('node-geocoder');
+const { calculateDistance } = require('../utils/geo');
+
+const CACHE_TTL = parseInt(process.env.GEOCODER_CACHE_TTL || '86400', 10) * 1000;
+const CACHE_MAX_ENTRIES = 5000;
+
+// Gazetteer entries further than this from the requested point are not a match
+const GAZETTEER_MAX_DISTANCE_KM = 0.5;
+
+/**
+ * Normalise a provider result into the shape returned by the API
+ * @param {Object} result - Provider-specific result
+ * @returns {Object} - { address, latitude, longitude, city, state, country, postcode }
+ */
+function normalizeResult(result) {
+  return {
+    address: result.formattedAddress || result.address,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    city: result.city || null,
+    state: result.state || null,
+    country: result.country || null,
+    postcode: result.zipcode || result.postcode || null
+  };
+}
+
+/**
+ * Provider backed by a Nominatim-compatible HTTP server. The public server's
+ * usage policy asks for an identifying User-Agent and, ideally, a contact email.
+ * @param {Object} options - { url, timeout, userAgent, email }; timeout in milliseconds
+ * @returns {Object} - Geocoding provider
+ */
+function createNominatimProvider({ url, timeout, userAgent, email }) {
+  const geocoder = NodeGeocoder({
+    provider: 'openstreetmap',
+    osmServer: url,
+    // Passed through to every request; a slow server must not hold up issue creation
+    timeout,
+    headers: {
+      'user-agent': email ? `${userAgent} (${email})` : userAgent,
+      'accept': 'application/json'
+    }
+  });
+  const contact = email ? { email } : {};
+
+  return {
+    search: async (text, limit) => {
+      const results = await geocoder.geocode({ q: text, limit, ...contact });
+      return results.map(normalizeResult);
+    },
+    reverse: async (latitude, longitude) => {
+      const [result] = await geocoder.reverse({ lat: latitude, lon: longitude, ...contact });
+      return result ? normalizeResult(result) : null;
+    }
+  };
+}
+
+/**
+ * Provider backed by a local JSON gazetteer for offline and test use.
+ * The file holds an array of { address, latitude, longitude, city?, ... }
+ * @param {Object} options - { file }
+ * @returns {Object} - Geocoding provider
+ */
+function createGazetteerProvider({ file }) {
+  const entries = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+  return {
+    search: async (text, limit) => {
+      const needle = text.toLowerCase();
+      return entries
+        .filter(entry => entry.address.toLowerCase().includes(needle))
+        .slice(0, limit)
+        .map(normalizeResult);
+    },
+    reverse: async (latitude, longitude) => {
+      let nearest = null;
+      let nearestDistance = Infinity;
+
+      entries.forEach(entry => {
+        const distance = calculateDistance(latitude, longitude, entry.latitude, entry.longitude);
+        if (distance < nearestDistance) {
+          nearest = entry;
+          nearestDistance = distance;
+        }
+      });
+
+      return nearest && nearestDistance <= GAZETTEER_MAX_DISTANCE_KM ? normalizeResult(nearest) : null;
+    }
+  };
+}
+
+const providers = {
+  nominatim: () => createNominatimProvider({
+    url: process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org',
+    timeout: parseInt(process.env.GEOCODER_TIMEOUT_MS || '5000', 10),
+    userAgent: process.env.GEOCODER_USER_AGENT || 'CivicTrack/1.0',
+    email: process.env.GEOCODER_EMAIL || null
+  }),
+  gazetteer: () => createGazetteerProvider({
+    file: process.env.GEOCODER_GAZETTEER_PATH || path.join(__dirname, '../../gazetteer.example.json')
+  })
+};
+
+let provider = null;
+
+/**
+ * Get the configured provider, created on first use
+ * @returns {Object} - Geocoding provider
+ */
+function getProvider() {
+  if (!provider) {
+    const name = process.env.GEOCODER_PROVIDER || 'nominatim';
+    if (!providers[name]) {
+      throw new Error(`Unknown geocoder provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+}
+
+// In-memory cache; Map keeps insertion order so the oldest entry is evicted first
+const cache = new Map();
+
+/**
+ * Return a cached value or compute and cache it
+ * @param {string} key - Cache key
+ * @param {Function} compute - Async function producing the value
+ * @returns {Promise<*>}
+ */
+async function cached(key, compute) {
+  const hit = cache.get(key);
+  if (hit && hit.expires > Date.now()) {
+    return hit.value;
+  }
+
+  const value = await compute();
+
+  cache.delete(key);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL });
+
+  return value;
+}
+
+/**
+ * Reverse-geocode coordinates into a normalised address
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Promise<Object|null>} - Normalised result or null when nothing matched
+ */
+function reverseGeocode(latitude, longitude) {
+  // ~1 m precision is plenty and lets nearby lookups share an entry
+  const key = `reverse:${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+  return cached(key, () => getProvider().reverse(latitude, longitude));
+}
+
+/**
+ * Search for places matching a free-text address
+ * @param {string} text - Address or place name
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Object[]>} - Normalised results
+ */
+function searchAddress(text, limit = 5) {
+  const key = `search:${limit}:${text.trim().toLowerCase()}`;
+  return cached(key, () => getProvider().search(text.trim(), limit));
+}
+
+module.exports = {
+  reverseGeocode,
+  searchAddress
+};
@@ -0,0 +1,79 @@
+const { Issue, IssueImage, User, count } = require('../database/database');
+const { broadcastIssueEvent } = require('./realtime');
+
+// Fields anyone watching the live stream may see; moderation, SLA, flag
+// weights and assignment details stay with staff
+const PUBLIC_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'category',
+  'status',
+  'priority',
+  'priority_score',
+  'location',
+  'address',
+  'reporter_id',
+  'is_anonymous',
+  'is_hidden',
+  'department_id',
+  'flag_count',
+  'upvotes',
+  'downvotes',
+  'created_at',
+  'updated_at'
+];
+
+/**
+ * Load an issue shaped like an entry of the public issue list
+ * @param {string} issueId - Issue ID
+ * @returns {Promise<Object|null>}
+ */
+async function loadIssuePayload(issueId) {
+  const issue = await Issue.findOne({ id: issueId }).select(PUBLIC_FIELDS.join(' ')).lean();
+  if (!issue) {
+    return null;
+  }
+
+  const { reporter_id: reporterId, ...publicIssue } = issue;
+  const reporter = issue.is_anonymous
+    ? null
+    : await User.findOne({ id: reporterId }).select('name').lean();
+  const imageCount = await count(IssueImage, { issue_id: issueId });
+
+  return {
+    ...publicIssue,
+    // Anonymous reports keep their reporter out of the public stream
+    ...(!issue.is_anonymous && { reporter_id: reporterId }),
+    reporter_name: reporter?.name || 'Anonymous',
+    image_count: imageCount
+  };
+}
+
+/**
+ * Push the current state of an issue to live issue streams. Hidden issues
+ * go out as "issue_hidden" with only their id so clients drop them.
+ * Failures are logged; the change that triggered them has already happened.
+ * @param {string} issueId - Issue ID
+ * @param {string} event - "issue_created" or "issue_updated"
+ */
+async function publishIssueChange(issueId, event = 'issue_updated') {
+  try {
+    const issue = await loadIssuePayload(issueId);
+    if (!issue) {
+      return;
+    }
+
+    if (issue.is_hidden) {
+      broadcastIssueEvent('issue_hidden', issue, { id: issue.id });
+    } else {
+      broadcastIssueEvent(event, issue);
+    }
+  } catch (error) {
+    console.error('Failed to publish issue event:', error);
+  }
+}
+
+module.exports = {
+  publishIssueChange
+};
@@ -0,0 +1,230 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { SecurityEvent, run } = require('../database/database');
+const { TooManyRequestsError } = require('../middleware/errorHandler');
+const { getAttemptStore } = require('./attemptStore');
+const { enqueueMail } = require('./mailer');
+
+const MINUTE = 60 * 1000;
+
+// Failed sign-ins are counted per account and per IP over this window
+const LOGIN_FAILURE_WINDOW = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10) * MINUTE;
+
+// Failures on one account before it is locked, and for how long
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOGIN_LOCKOUT_DURATION = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10) * MINUTE;
+
+// Failures from one IP, over all accounts, before it is refused outright
+const LOGIN_IP_THRESHOLD = parseInt(process.env.LOGIN_IP_THRESHOLD || '50', 10);
+
+// Each failure past the free ones doubles the wait before the next answer
+const ACCOUNT_FREE_FAILURES = 3;
+const IP_FREE_FAILURES = 10;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// Signed with their own secret so an unlock link can never pass as a login token
+const UNLOCK_SECRET = `${process.env.JWT_SECRET || 'your-secret-key'}:account-unlock`;
+
+const accountKey = (email) => `login:account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+const lockKey = (email) => `login:lock:${String(email).toLowerCase()}`;
+
+/**
+ * Work out the wait for a number of failures
+ * @param {number} failures - Failures so far
+ * @param {number} freeFailures - Failures that don't slow anything down
+ * @returns {number} - Milliseconds
+ */
+function delayFor(failures, freeFailures) {
+  if (failures <= freeFailures) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (failures - freeFailures - 1));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record a sign-in event in the security log. Never fails the request.
+ * @param {Object} params - { event, user, email, req, details }
+ */
+async function logSecurityEvent({ event, user = null, email = null, req, details = null }) {
+  try {
+    await run(SecurityEvent, {
+      id: uuidv4(),
+      event,
+      user_id: user ? user.id : null,
+      email: email || (user ? user.email : null),
+      ip: req.ip,
+      user_agent: req.get('user-agent') || null,
+      details
+    });
+  } catch (error) {
+    console.error('Failed to write security event:', error);
+  }
+}
+
+/**
+ * Gate a sign-in attempt: refuse locked accounts and blocked IPs, and slow
+ * down accounts and IPs with recent failures. Runs before the password is
+ * checked, so parallel guesses wait too.
+ * @param {string} email - Email the attempt is for
+ * @param {Object} req - Express request object
+ */
+async function throttleLogin(email, req) {
+  const store = getAttemptStore();
+  const [lock, accountFailures, ipFailures] = await Promise.all([
+    store.get(lockKey(email)),
+    store.get(accountKey(email)),
+    store.get(ipKey(req.ip))
+  ]);
+
+  if (ipFailures && ipFailures.count >= LOGIN_IP_THRESHOLD) {
+    throw new TooManyRequestsError('Too many failed sign-ins from your network, please try again later');
+  }
+
+  if (lock) {
+    await logSecurityEvent({ event: 'locked_login_attempt', email, req });
+    const minutes = Math.ceil((lock.resetAt - Date.now()) / MINUTE);
+    throw new TooManyRequestsError(
+      `This account is locked after too many failed sign-ins. Use the link we emailed you, or try again in ${minutes} minutes`
+    );
+  }
+
+  const delay = Math.max(
+    delayFor(accountFailures ? accountFailures.count : 0, ACCOUNT_FREE_FAILURES),
+    delayFor(ipFailures ? ipFailures.count : 0, IP_FREE_FAILURES)
+  );
+  if (delay > 0) {
+    await sleep(delay);
+  }
+}
+
+/**
+ * Sign the link that unlocks an account early. It names the lock it lifts,
+ * so it stops working once that lock is over.
+ * @param {Object} user - User document
+ * @param {number} lockedUntil - When the lock ends, in milliseconds
+ * @returns {string}
+ */
+function createUnlockToken(user, lockedUntil) {
+  return jwt.sign(
+    { sub: user.id, email: user.email, lockedUntil, purpose: 'unlock_account' },
+    UNLOCK_SECRET,
+    { expiresIn: Math.ceil(LOGIN_LOCKOUT_DURATION / 1000) }
+  );
+}
+
+/**
+ * Lock an account and email its owner an unlock link. Accounts that don't
+ * exist are "locked" too, so lockouts don't reveal which emails are registered.
+ * @param {string} email - Email the failures were for
+ * @param {Object|null} user - User document, when the account exists
+ * @param {Object} req - Express request object
+ */
+async function lockAccount(email, user, req) {
+  const lock = await getAttemptStore().increment(lockKey(email), LOGIN_LOCKOUT_DURATION);
+  await getAttemptStore().reset(accountKey(email));
+
+  await logSecurityEvent({
+    event: 'account_locked',
+    user,
+    email,
+    req,
+    details: { locked_until: new Date(lock.resetAt) }
+  });
+
+  if (!user) {
+    return;
+  }
+
+  try {
+    await enqueueMail({
+      to: user.email,
+      template: 'account_locked',
+      data: {
+        recipientName: user.name,
+        token: createUnlockToken(user, lock.resetAt),
+        lockoutMinutes: Math.round(LOGIN_LOCKOUT_DURATION / MINUTE),
+        ip: req.ip
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send account locked email:', error);
+  }
+}
+
+/**
+ * Count a failed sign-in against the account and the IP, and lock the
+ * account once it crosses the threshold
+ * @param {Object} params - { email, user, req, event }; event is "login_failed" or "two_factor_failed"
+ */
+async function recordLoginFailure({ email, user = null, req, event = 'login_failed' }) {
+  const store = getAttemptStore();
+  const [accountFailures, ipFailures] = await Promise.all([
+    store.increment(accountKey(email), LOGIN_FAILURE_WINDOW),
+    store.increment(ipKey(req.ip), LOGIN_FAILURE_WINDOW)
+  ]);
+
+  await logSecurityEvent({
+    event,
+    user,
+    email,
+    req,
+    details: { account_failures: accountFailures.count, ip_failures: ipFailures.count }
+  });
+
+  if (ipFailures.count === LOGIN_IP_THRESHOLD) {
+    await logSecurityEvent({ event: 'ip_blocked', email, req, details: { ip_failures: ipFailures.count } });
+  }
+
+  if (accountFailures.count >= LOGIN_LOCKOUT_THRESHOLD) {
+    await lockAccount(email, user, req);
+  }
+}
+
+/**
+ * Forget an account's failures after it signed in. The IP keeps its count,
+ * so one good account doesn't cover for guessing at others.
+ * @param {string} email - Email that signed in
+ */
+async function recordLoginSuccess(email) {
+  await getAttemptStore().reset(accountKey(email));
+}
+
+/**
+ * Lift a lock with the link from the lockout email
+ * @param {string} token - Token from the unlock link
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - { userId, email }, null when invalid or the lock is over
+ */
+async function unlockAccount(token, req) {
+  let payload;
+  try {
+    payload = jwt.verify(token, UNLOCK_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== 'unlock_account') {
+    return null;
+  }
+
+  const store = getAttemptStore();
+  const lock = await store.get(lockKey(payload.email));
+  if (!lock || lock.resetAt !== payload.lockedUntil) {
+    return null;
+  }
+
+  await Promise.all([store.reset(lockKey(payload.email)), store.reset(accountKey(payload.email))]);
+  await logSecurityEvent({ event: 'account_unlocked', user: { id: payload.sub, email: payload.email }, req });
+
+  return { userId: payload.sub, email: payload.email };
+}
+
+module.exports = {
+  throttleLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+};
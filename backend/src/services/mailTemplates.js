@@ -0,0 +1,197 @@
+const { STATUSES } = require('../utils/workflow');
+
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Escape text for safe inclusion in HTML email bodies
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap template content in the shared CivicTrack email layout
+ * @param {string} body - HTML content
+ * @returns {string}
+ */
+function layout(body) {
+  return `<div style="font-family: Inter, Arial, sans-serif; color: #111827; max-width: 560px;">
+  <h2 style="color: #2563eb;">CivicTrack</h2>
+  ${body}
+  <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">
+    You can change which emails you receive from your CivicTrack profile.
+  </p>
+</div>`;
+}
+
+// Each template turns job data into { subject, text, html }
+const templates = {
+  status_change: ({ recipientName, issueId, issueTitle, status, comment }) => {
+    const label = STATUSES[status]?.label || status;
+    const url = `${APP_URL}/dashboard?issue=${encodeURIComponent(issueId)}`;
+
+    return {
+      subject: `Issue update: "${issueTitle}" is now ${label}`,
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        `The issue "${issueTitle}" has been updated to: ${label}.`,
+        comment ? `\nComment from the team: ${comment}` : '',
+        '',
+        `View the issue: ${url}`
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>The issue <strong>${escapeHtml(issueTitle)}</strong> has been updated to <strong>${escapeHtml(label)}</strong>.</p>
+  ${comment ? `<blockquote style="border-left: 3px solid #d1d5db; padding-left: 12px; color: #374151;">${escapeHtml(comment)}</blockquote>` : ''}
+  <p><a href="${escapeHtml(url)}" style="color: #2563eb;">View the issue</a></p>`)
+    };
+  },
+
+  sla_breach: ({ recipientName, issueId, issueTitle, target, dueAt }) => {
+    const url = `${APP_URL}/dashboard?issue=${encodeURIComponent(issueId)}`;
+    const due = new Date(dueAt).toUTCString();
+
+    return {
+      subject: `SLA missed: "${issueTitle}" was not ${target} in time`,
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        `The issue "${issueTitle}" should have been ${target} by ${due} and has been escalated to you.`,
+        '',
+        `View the issue: ${url}`
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>The issue <strong>${escapeHtml(issueTitle)}</strong> should have been ${escapeHtml(target)} by <strong>${escapeHtml(due)}</strong> and has been escalated to you.</p>
+  <p><a href="${escapeHtml(url)}" style="color: #2563eb;">View the issue</a></p>`)
+    };
+  },
+
+  verify_email: ({ recipientName, token }) => {
+    const url = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: 'Confirm your CivicTrack email address',
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        'Please confirm your email address to report issues under your name and to vote:',
+        url,
+        '',
+        'If you did not create a CivicTrack account, you can ignore this email.'
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>Please confirm your email address to report issues under your name and to vote.</p>
+  <p><a href="${escapeHtml(url)}" style="color: #2563eb;">Confirm my email address</a></p>
+  <p style="color: #6b7280;">If you did not create a CivicTrack account, you can ignore this email.</p>`)
+    };
+  },
+
+  password_reset: ({ recipientName, token, expiresInMinutes }) => {
+    const url = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: 'Reset your CivicTrack password',
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        `Someone asked to reset the password of your CivicTrack account. The link works once, for ${expiresInMinutes} minutes:`,
+        url,
+        '',
+        'If this was not you, you can ignore this email; your password stays the same.'
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>Someone asked to reset the password of your CivicTrack account. The link works once, for ${escapeHtml(expiresInMinutes)} minutes.</p>
+  <p><a href="${escapeHtml(url)}" style="color: #2563eb;">Choose a new password</a></p>
+  <p style="color: #6b7280;">If this was not you, you can ignore this email; your password stays the same.</p>`)
+    };
+  },
+
+  account_locked: ({ recipientName, token, lockoutMinutes, ip }) => {
+    const url = `${APP_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+
+    return {
+      subject: 'Your CivicTrack account was locked',
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        `After too many failed sign-ins (the last one from ${ip}), your account is locked for ${lockoutMinutes} minutes.`,
+        'If that was you, unlock it now:',
+        url,
+        '',
+        'If it was not you, someone may be guessing your password. Consider resetting it and turning on two-factor authentication.'
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>After too many failed sign-ins (the last one from ${escapeHtml(ip)}), your account is locked for ${escapeHtml(lockoutMinutes)} minutes.</p>
+  <p><a href="${escapeHtml(url)}" style="color: #2563eb;">Unlock my account</a></p>
+  <p style="color: #6b7280;">If it was not you, someone may be guessing your password. Consider resetting it and turning on two-factor authentication.</p>`)
+    };
+  },
+
+  two_factor_reset: ({ recipientName }) => ({
+    subject: 'Two-factor authentication was turned off',
+    text: [
+      `Hi ${recipientName},`,
+      '',
+      'An administrator turned off two-factor authentication on your CivicTrack account and signed you out everywhere.',
+      'Sign in with your password and set it up again under Security.',
+      '',
+      'If you did not ask for this, reset your password and contact us right away.'
+    ].join('\n'),
+    html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>An administrator turned off two-factor authentication on your CivicTrack account and signed you out everywhere.</p>
+  <p><a href="${escapeHtml(`${APP_URL}/security`)}" style="color: #2563eb;">Set it up again</a></p>
+  <p style="color: #6b7280;">If you did not ask for this, reset your password and contact us right away.</p>`)
+  }),
+
+  issue_hidden: ({ recipientName, issueId, issueTitle, reason }) => {
+    const url = `${APP_URL}/appeal?issue=${encodeURIComponent(issueId)}`;
+
+    return {
+      subject: `Your report "${issueTitle}" has been hidden`,
+      text: [
+        `Hi ${recipientName},`,
+        '',
+        `Your report "${issueTitle}" has been hidden from the public after it was flagged by the community.`,
+        reason ? `\nReason: ${reason}` : '',
+        '',
+        `If you think this is a mistake, you can appeal: ${url}`
+      ].join('\n'),
+      html: layout(`
+  <p>Hi ${escapeHtml(recipientName)},</p>
+  <p>Your report <strong>${escapeHtml(issueTitle)}</strong> has been hidden from the public after it was flagged by the community.</p>
+  ${reason ? `<blockquote style="border-left: 3px solid #d1d5db; padding-left: 12px; color: #374151;">${escapeHtml(reason)}</blockquote>` : ''}
+  <p>If you think this is a mistake, <a href="${escapeHtml(url)}" style="color: #2563eb;">you can appeal</a>.</p>`)
+    };
+  }
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} - { subject, text, html }
+ */
+function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderTemplate
+};
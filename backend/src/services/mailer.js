@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { MailJob, run } = require('../database/database');
+const { renderTemplate } = require('./mailTemplates');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'CivicTrack <no-reply@civictrack.local>';
+const MAIL_POLL_INTERVAL = parseInt(process.env.MAIL_POLL_INTERVAL || '10000', 10);
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_BATCH_SIZE = 20;
+
+// Jobs stuck in "sending" this long (e.g. after a crash) are picked up again
+const MAIL_LOCK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Create the nodemailer transport selected by MAIL_TRANSPORT:
+ * "smtp", "file" (writes .eml files to MAIL_FILE_DIR) or "console"
+ * @returns {Object} - { sendMail(message) }
+ */
+function createTransport() {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  if (transport === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  if (transport === 'file') {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || './mail');
+    const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      sendMail: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`), info.message);
+        return info;
+      }
+    };
+  }
+
+  if (transport === 'console') {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      sendMail: async (message) => {
+        const info = await jsonTransport.sendMail(message);
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return info;
+      }
+    };
+  }
+
+  throw new Error(`Unknown mail transport: ${transport}`);
+}
+
+let transporter = null;
+
+/**
+ * Queue a templated email; delivery happens in the background worker
+ * @param {Object} mail - { to, template, data }
+ * @returns {Promise<Object>} - Created job
+ */
+async function enqueueMail({ to, template, data }) {
+  // Fail fast on unknown templates instead of in the worker
+  renderTemplate(template, data);
+
+  return run(MailJob, {
+    id: uuidv4(),
+    to,
+    template,
+    data
+  });
+}
+
+/**
+ * Claim the next due job so concurrent workers never send it twice
+ * @returns {Promise<Object|null>}
+ */
+function claimNextJob() {
+  const now = new Date();
+
+  return MailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', next_attempt_at: { $lte: now } },
+        { status: 'sending', locked_at: { $lte: new Date(now - MAIL_LOCK_TIMEOUT) } }
+      ]
+    },
+    { status: 'sending', locked_at: now },
+    { new: true, sort: { next_attempt_at: 1 } }
+  ).lean();
+}
+
+/**
+ * Send one job, scheduling a retry with exponential backoff on failure
+ * @param {Object} job - Mail job
+ */
+async function deliver(job) {
+  try {
+    if (!transporter) {
+      transporter = createTransport();
+    }
+
+    const { subject, text, html } = renderTemplate(job.template, job.data);
+    await transporter.sendMail({ from: MAIL_FROM, to: job.to, subject, text, html });
+
+    await MailJob.updateOne(
+      { id: job.id },
+      { status: 'sent', sent_at: new Date(), attempts: job.attempts + 1 }
+    );
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const delay = Math.min(Math.pow(2, attempts) * 30 * 1000, 60 * 60 * 1000);
+
+    console.error(`Mail delivery failed (attempt ${attempts}/${MAIL_MAX_ATTEMPTS}):`, error.message);
+
+    await MailJob.updateOne(
+      { id: job.id },
+      {
+        status: attempts >= MAIL_MAX_ATTEMPTS ? 'failed' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + delay)
+      }
+    );
+  }
+}
+
+/**
+ * Deliver a batch of due jobs
+ * @returns {Promise<number>} - Number of jobs processed
+ */
+async function processMailQueue() {
+  let processed = 0;
+
+  while (processed < MAIL_BATCH_SIZE) {
+    const job = await claimNextJob();
+    if (!job) {
+      break;
+    }
+    await deliver(job);
+    processed += 1;
+  }
+
+  return processed;
+}
+
+/**
+ * Poll the mail queue in the background
+ * @returns {Object} - Interval handle
+ */
+function startMailWorker() {
+  let busy = false;
+
+  return setInterval(async () => {
+    if (busy || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    busy = true;
+    try {
+      await processMailQueue();
+    } catch (error) {
+      console.error('Mail worker error:', error);
+    } finally {
+      busy = false;
+    }
+  }, MAIL_POLL_INTERVAL);
+}
+
+module.exports = {
+  enqueueMail,
+  processMailQueue,
+  startMailWorker
+};
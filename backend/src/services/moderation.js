@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require('uuid');
+const { Issue, IssueFlag, IssueComment, IssueCommentFlag, ModerationLog, run } = require('../database/database');
+const { notifyIssueHidden } = require('./notifications');
+
+// Combined weight of open flags at which an issue or comment is hidden pending review
+const FLAG_AUTO_HIDE_WEIGHT = parseFloat(process.env.FLAG_AUTO_HIDE_WEIGHT || '3');
+
+// A flagger with no review history counts once; verified accounts with a
+// good track record count for more, new accounts and bad flaggers for less
+const VERIFIED_BONUS = 0.5;
+const NEW_ACCOUNT_DAYS = 7;
+const MIN_FLAG_WEIGHT = 0.25;
+const MAX_FLAG_WEIGHT = 2.5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Work out how much a user's flag counts towards auto-hiding, from how
+ * often moderators agreed with their past issue and comment flags
+ * @param {Object} user - Flagging user
+ * @returns {Promise<number>}
+ */
+async function getFlagWeight(user) {
+  const [issueUpheld, issueRejected, commentUpheld, commentRejected] = await Promise.all([
+    IssueFlag.countDocuments({ flagged_by: user.id, status: 'upheld' }),
+    IssueFlag.countDocuments({ flagged_by: user.id, status: 'rejected' }),
+    IssueCommentFlag.countDocuments({ flagged_by: user.id, status: 'upheld' }),
+    IssueCommentFlag.countDocuments({ flagged_by: user.id, status: 'rejected' })
+  ]);
+  const upheld = issueUpheld + commentUpheld;
+  const rejected = issueRejected + commentRejected;
+
+  // Share of reviewed flags that were upheld, starting from one half
+  const accuracy = (upheld + 1) / (upheld + rejected + 2);
+  let weight = accuracy * 2 + (user.is_verified ? VERIFIED_BONUS : 0);
+
+  if (Date.now() - new Date(user.created_at).getTime() < NEW_ACCOUNT_DAYS * DAY) {
+    weight /= 2;
+  }
+
+  return Math.round(Math.min(MAX_FLAG_WEIGHT, Math.max(MIN_FLAG_WEIGHT, weight)) * 100) / 100;
+}
+
+/**
+ * Recount an issue's open flags and their combined weight
+ * @param {string} issueId - Issue ID
+ * @returns {Promise<Object>} - { flag_count, flag_weight }
+ */
+async function syncFlagCounts(issueId) {
+  const [totals] = await IssueFlag.aggregate([
+    { $match: { issue_id: issueId, status: 'open' } },
+    { $group: { _id: null, flag_count: { $sum: 1 }, flag_weight: { $sum: '$weight' } } }
+  ]);
+
+  const counts = {
+    flag_count: totals ? totals.flag_count : 0,
+    flag_weight: totals ? totals.flag_weight : 0
+  };
+  await Issue.updateOne({ id: issueId }, counts);
+  return counts;
+}
+
+/**
+ * Close an issue's open flags with a moderator's verdict
+ * @param {string} issueId - Issue ID
+ * @param {string} status - "upheld", "rejected" or "dismissed"
+ * @param {string} reviewerId - Moderator's user ID
+ * @returns {Promise<number>} - Number of flags reviewed
+ */
+async function reviewFlags(issueId, status, reviewerId) {
+  const { modifiedCount } = await IssueFlag.updateMany(
+    { issue_id: issueId, status: 'open' },
+    { status, reviewed_by: reviewerId, reviewed_at: new Date() }
+  );
+
+  await syncFlagCounts(issueId);
+  return modifiedCount;
+}
+
+/**
+ * Recount a comment's open flags and their combined weight
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} - { flag_count, flag_weight }
+ */
+async function syncCommentFlagCounts(commentId) {
+  const [totals] = await IssueCommentFlag.aggregate([
+    { $match: { comment_id: commentId, status: 'open' } },
+    { $group: { _id: null, flag_count: { $sum: 1 }, flag_weight: { $sum: '$weight' } } }
+  ]);
+
+  const counts = {
+    flag_count: totals ? totals.flag_count : 0,
+    flag_weight: totals ? totals.flag_weight : 0
+  };
+  await IssueComment.updateOne({ id: commentId }, counts);
+  return counts;
+}
+
+/**
+ * Close a comment's open flags with a moderator's verdict
+ * @param {string} commentId - Comment ID
+ * @param {string} status - "upheld", "rejected" or "dismissed"
+ * @param {string} reviewerId - Moderator's user ID
+ * @returns {Promise<number>} - Number of flags reviewed
+ */
+async function reviewCommentFlags(commentId, status, reviewerId) {
+  const { modifiedCount } = await IssueCommentFlag.updateMany(
+    { comment_id: commentId, status: 'open' },
+    { status, reviewed_by: reviewerId, reviewed_at: new Date() }
+  );
+
+  await syncCommentFlagCounts(commentId);
+  return modifiedCount;
+}
+
+/**
+ * Hide an issue and tell its reporter how to appeal. Hiding an issue that
+ * is already hidden only records who confirmed it and why.
+ * @param {Object} params - { issue, moderatorId, reason }; no moderator for automatic hiding
+ * @returns {Promise<boolean>} - Whether the issue was visible until now
+ */
+async function hideIssue({ issue, moderatorId = null, reason = null }) {
+  const now = new Date();
+  const { modifiedCount } = await Issue.updateOne(
+    { id: issue.id, is_hidden: false },
+    {
+      is_hidden: true,
+      'moderation.hidden_at': now,
+      'moderation.hidden_by': moderatorId,
+      'moderation.hidden_reason': reason,
+      'moderation.appeal_status': null,
+      'moderation.appeal_message': null,
+      'moderation.appealed_at': null,
+      'moderation.appeal_reviewed_by': null,
+      'moderation.appeal_reviewed_at': null,
+      updated_at: now
+    }
+  );
+
+  if (modifiedCount === 0) {
+    await Issue.updateOne(
+      { id: issue.id },
+      { 'moderation.hidden_by': moderatorId, 'moderation.hidden_reason': reason }
+    );
+    return false;
+  }
+
+  try {
+    await notifyIssueHidden({ issue, reason, moderatorId });
+  } catch (error) {
+    console.error('Failed to notify reporter about hidden issue:', error);
+  }
+  return true;
+}
+
+/**
+ * Record a moderation decision in the audit trail
+ * @param {Object} params - { issueId, commentId, action, actorId, reason, flagsReviewed }; commentId only for comment decisions
+ * @returns {Promise<Object>} - Moderation log entry
+ */
+async function logModerationAction({ issueId, commentId = null, action, actorId = null, reason = null, flagsReviewed = 0 }) {
+  return run(ModerationLog, {
+    id: uuidv4(),
+    issue_id: issueId,
+    comment_id: commentId,
+    action,
+    actor_id: actorId,
+    reason,
+    flags_reviewed: flagsReviewed
+  });
+}
+
+module.exports = {
+  FLAG_AUTO_HIDE_WEIGHT,
+  getFlagWeight,
+  syncFlagCounts,
+  reviewFlags,
+  syncCommentFlagCounts,
+  reviewCommentFlags,
+  hideIssue,
+  logModerationAction
+};
@@ -0,0 +1,282 @@
+const { v4: uuidv4 } = require('uuid');
+const { User, IssueFollow, Notification } = require('../database/database');
+const { enqueueMail } = require('./mailer');
+const { pushToUser } = require('./realtime');
+const { rolesWithPermission } = require('../utils/permissions');
+
+// Notification emails users may opt out of; account emails such as password
+// resets and moderation notices with an appeal link always go out
+const EMAIL_PREFERENCES = ['status_change', 'sla_breach'];
+
+/**
+ * Keep the recipients who haven't opted out of a kind of email
+ * @param {Object[]} users - User documents
+ * @param {string} type - One of EMAIL_PREFERENCES
+ * @returns {Object[]}
+ */
+function wantsEmail(users, type) {
+  return users.filter(user => user.notification_preferences?.[type] !== false);
+}
+
+/**
+ * Get the ids of users who should hear about changes to an issue
+ * @param {Object} issue - Issue document
+ * @returns {Promise<string[]>}
+ */
+async function getIssueSubscriberIds(issue) {
+  const followerIds = await IssueFollow.distinct('user_id', { issue_id: issue.id });
+  return [...new Set([issue.reporter_id, ...followerIds].filter(Boolean))];
+}
+
+/**
+ * Store in-app notifications and push them to recipients who are online
+ * @param {string[]} userIds - Recipients
+ * @param {Object} notification - { type, issueId, commentId, actorId, message }
+ * @returns {Promise<number>} - Number of notifications created
+ */
+async function createNotifications(userIds, { type, issueId, commentId = null, actorId = null, message }) {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const notifications = await Notification.insertMany(userIds.map(userId => ({
+    id: uuidv4(),
+    user_id: userId,
+    type,
+    issue_id: issueId,
+    comment_id: commentId,
+    actor_id: actorId,
+    message
+  })));
+
+  notifications.forEach(notification => {
+    pushToUser(notification.user_id, 'notification', notification.toObject());
+  });
+
+  return notifications.length;
+}
+
+/**
+ * Tell an issue's subscribers about a status change, in-app and by email
+ * @param {Object} params - { issue, status, comment, updatedBy }
+ */
+async function notifyStatusChange({ issue, status, comment, updatedBy }) {
+  const subscriberIds = (await getIssueSubscriberIds(issue))
+    .filter(userId => userId !== updatedBy?.id);
+
+  await createNotifications(subscriberIds, {
+    type: 'status_change',
+    issueId: issue.id,
+    actorId: updatedBy?.id,
+    message: `"${issue.title}" is now ${status.replace('_', ' ')}`
+  });
+
+  // Email is opt-out per user; in-app notifications always go out
+  const recipients = wantsEmail(await User.find({ id: { $in: subscriberIds } }).lean(), 'status_change');
+
+  for (const recipient of recipients) {
+    await enqueueMail({
+      to: recipient.email,
+      template: 'status_change',
+      data: {
+        recipientName: recipient.name,
+        issueId: issue.id,
+        issueTitle: issue.title,
+        status,
+        comment
+      }
+    });
+  }
+}
+
+/**
+ * Tell the parent's author about a reply and subscribers about a new comment
+ * @param {Object} params - { issue, comment, parent, author }
+ */
+async function notifyComment({ issue, comment, parent, author }) {
+  const replyTo = parent && parent.author_id !== author.id ? parent.author_id : null;
+
+  if (replyTo) {
+    await createNotifications([replyTo], {
+      type: 'reply',
+      issueId: issue.id,
+      commentId: comment.id,
+      actorId: author.id,
+      message: `${author.name} replied to your comment on "${issue.title}"`
+    });
+  }
+
+  const subscriberIds = (await getIssueSubscriberIds(issue))
+    .filter(userId => userId !== author.id && userId !== replyTo);
+
+  await createNotifications(subscriberIds, {
+    type: 'comment',
+    issueId: issue.id,
+    commentId: comment.id,
+    actorId: author.id,
+    message: `${author.name} commented on "${issue.title}"`
+  });
+}
+
+/**
+ * Tell moderators that an issue or a comment was flagged for review
+ * @param {Object} params - { issue, comment, flaggedBy }
+ */
+async function notifyFlag({ issue, comment = null, flaggedBy }) {
+  const moderatorIds = (await User.distinct('id', { role: { $in: rolesWithPermission('issues:moderate') } }))
+    .filter(userId => userId !== flaggedBy.id);
+
+  await createNotifications(moderatorIds, {
+    type: comment ? 'comment_flagged' : 'issue_flagged',
+    issueId: issue.id,
+    commentId: comment?.id,
+    actorId: flaggedBy.id,
+    message: comment
+      ? `A comment on "${issue.title}" was flagged for review`
+      : `"${issue.title}" was flagged for review`
+  });
+}
+
+/**
+ * Tell a staff member that an issue was assigned to them
+ * @param {Object} params - { issue, assigneeId, assignedBy }
+ */
+async function notifyAssignment({ issue, assigneeId, assignedBy = null }) {
+  if (!assigneeId || assigneeId === assignedBy?.id) {
+    return;
+  }
+
+  await createNotifications([assigneeId], {
+    type: 'assigned',
+    issueId: issue.id,
+    actorId: assignedBy?.id,
+    message: `"${issue.title}" was assigned to you`
+  });
+}
+
+/**
+ * Escalate a missed SLA deadline to the heads of the issue's department,
+ * or to super admins when the issue has no department (or it has no head)
+ * @param {Object} params - { issue, breach } where breach is "acknowledge" or "resolve"
+ */
+async function notifySlaBreach({ issue, breach }) {
+  let recipients = issue.department_id
+    ? await User.find({ role: 'department_head', department_id: issue.department_id, is_banned: { $ne: true } }).lean()
+    : [];
+  if (recipients.length === 0) {
+    recipients = await User.find({ role: 'super_admin' }).lean();
+  }
+
+  const target = breach === 'acknowledge' ? 'acknowledged' : 'resolved';
+  const dueAt = breach === 'acknowledge' ? issue.sla.acknowledge_due_at : issue.sla.resolve_due_at;
+
+  await createNotifications(recipients.map(recipient => recipient.id), {
+    type: 'sla_breach',
+    issueId: issue.id,
+    message: `"${issue.title}" was not ${target} within its SLA`
+  });
+
+  for (const recipient of wantsEmail(recipients, 'sla_breach')) {
+    await enqueueMail({
+      to: recipient.email,
+      template: 'sla_breach',
+      data: {
+        recipientName: recipient.name,
+        issueId: issue.id,
+        issueTitle: issue.title,
+        target,
+        dueAt
+      }
+    });
+  }
+}
+
+/**
+ * Tell a reporter that their issue was hidden, in-app and by email, with a
+ * link to appeal. Deleted issues cannot be appealed.
+ * @param {Object} params - { issue, reason, deleted, moderatorId }
+ */
+async function notifyIssueHidden({ issue, reason = null, deleted = false, moderatorId = null }) {
+  const reporter = await User.findOne({ id: issue.reporter_id }).lean();
+  if (!reporter) {
+    return;
+  }
+
+  await createNotifications([reporter.id], {
+    type: deleted ? 'issue_deleted' : 'issue_hidden',
+    issueId: issue.id,
+    actorId: moderatorId,
+    message: deleted
+      ? `Your report "${issue.title}" was removed by a moderator`
+      : `Your report "${issue.title}" was hidden after review. You can appeal this decision.`
+  });
+
+  if (!deleted) {
+    await enqueueMail({
+      to: reporter.email,
+      template: 'issue_hidden',
+      data: {
+        recipientName: reporter.name,
+        issueId: issue.id,
+        issueTitle: issue.title,
+        reason
+      }
+    });
+  }
+}
+
+/**
+ * Warn a reporter about the content of one of their issues
+ * @param {Object} params - { issue, reason, moderatorId }
+ */
+async function notifyModerationWarning({ issue, reason, moderatorId }) {
+  await createNotifications([issue.reporter_id], {
+    type: 'moderation_warning',
+    issueId: issue.id,
+    actorId: moderatorId,
+    message: `A moderator warned you about "${issue.title}": ${reason}`
+  });
+}
+
+/**
+ * Tell moderators that a reporter appealed against a hidden issue
+ * @param {Object} params - { issue, reporterId }
+ */
+async function notifyAppeal({ issue, reporterId }) {
+  const moderatorIds = await User.distinct('id', { role: { $in: rolesWithPermission('issues:moderate') } });
+
+  await createNotifications(moderatorIds, {
+    type: 'appeal_submitted',
+    issueId: issue.id,
+    actorId: reporterId,
+    message: `The reporter of "${issue.title}" appealed against it being hidden`
+  });
+}
+
+/**
+ * Tell a reporter how their appeal was decided
+ * @param {Object} params - { issue, granted, moderatorId }
+ */
+async function notifyAppealDecision({ issue, granted, moderatorId }) {
+  await createNotifications([issue.reporter_id], {
+    type: 'appeal_decided',
+    issueId: issue.id,
+    actorId: moderatorId,
+    message: granted
+      ? `Your appeal was granted: "${issue.title}" is visible again`
+      : `Your appeal against hiding "${issue.title}" was denied`
+  });
+}
+
+module.exports = {
+  EMAIL_PREFERENCES,
+  notifyStatusChange,
+  notifyComment,
+  notifyFlag,
+  notifyAssignment,
+  notifySlaBreach,
+  notifyIssueHidden,
+  notifyModerationWarning,
+  notifyAppeal,
+  notifyAppealDecision
+};
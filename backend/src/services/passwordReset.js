@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { PasswordResetToken, run } = require('../database/database');
+const { enqueueMail } = require('./mailer');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} token - Token from the reset link
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Email a user a one-time password reset link; links sent earlier stop working
+ * @param {Object} user - User document
+ * @param {string} requestedIp - IP address the reset was requested from
+ */
+async function sendPasswordReset(user, requestedIp = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await PasswordResetToken.deleteMany({ user_id: user.id, used_at: null });
+  await run(PasswordResetToken, {
+    id: uuidv4(),
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+    requested_ip: requestedIp
+  });
+
+  await enqueueMail({
+    to: user.email,
+    template: 'password_reset',
+    data: {
+      recipientName: user.name,
+      token,
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    }
+  });
+}
+
+/**
+ * Use up a reset token. Marking it used and checking it is one atomic step,
+ * so the same link can never reset a password twice.
+ * @param {string} token - Token from the reset link
+ * @returns {Promise<string|null>} - User ID, null when invalid, used or expired
+ */
+async function consumeResetToken(token) {
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+    { used_at: new Date() }
+  ).lean();
+
+  if (!resetToken) {
+    return null;
+  }
+
+  // Any other link still out there is void once the password changed
+  await PasswordResetToken.deleteMany({ user_id: resetToken.user_id, used_at: null });
+  return resetToken.user_id;
+}
+
+module.exports = {
+  sendPasswordReset,
+  consumeResetToken
+};
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { Issue, IssueVote, count } = require('../database/database');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+const { findDuplicateCandidates } = require('./duplicates');
+const { refreshDueDates } = require('./sla');
+
+const PRIORITY_REFRESH_INTERVAL = parseInt(process.env.PRIORITY_REFRESH_INTERVAL || '3600000', 10);
+const PRIORITY_BATCH_SIZE = 200;
+
+// Points a report starts with for how much harm its category can do
+const CATEGORY_SEVERITY = {
+  'public safety': 40,
+  'water supply': 30,
+  roads: 25,
+  obstructions: 20,
+  lighting: 20,
+  cleanliness: 10
+};
+
+// Phrases that point at an immediate danger, whatever the category
+const URGENT_KEYWORDS = [
+  'open manhole', 'live wire', 'exposed wire', 'sparking', 'gas leak', 'sinkhole',
+  'collapsed', 'flooding', 'burst pipe', 'fire', 'accident', 'injured', 'blocking traffic'
+];
+
+// Each factor is capped so that no single one can decide the priority alone
+const KEYWORD_POINTS = 15;
+const KEYWORD_MAX = 30;
+const UPVOTE_POINTS = 2;
+const UPVOTE_MAX = 20;
+const DUPLICATE_POINTS = 5;
+const DUPLICATE_MAX = 15;
+const AGE_POINTS_PER_DAY = 1;
+const AGE_MAX = 10;
+const FLAG_PENALTY = 5;
+
+// Score thresholds out of 100
+const PRIORITY_BANDS = [
+  { priority: 'high', min: 60, max: 100 },
+  { priority: 'medium', min: 30, max: 59 },
+  { priority: 'low', min: 0, max: 29 }
+];
+
+/**
+ * Map a score to a priority level
+ * @param {number} score - 0 to 100
+ * @returns {string} - "low", "medium" or "high"
+ */
+function priorityForScore(score) {
+  return PRIORITY_BANDS.find(band => score >= band.min).priority;
+}
+
+/**
+ * Move a score into a priority's band, so sorting by score agrees with a
+ * priority an admin set by hand
+ * @param {number} score - Computed score
+ * @param {string} priority - Manual priority
+ * @returns {number}
+ */
+function clampToPriority(score, priority) {
+  const band = PRIORITY_BANDS.find(item => item.priority === priority);
+  return Math.min(band.max, Math.max(band.min, score));
+}
+
+/**
+ * Score an issue from its category, wording, support and age
+ * @param {Object} issue - Issue document; a new report has no id yet
+ * @returns {Promise<Object>} - { priority, priority_score, priority_factors }
+ */
+async function scoreIssue(issue) {
+  const text = `${issue.title} ${issue.description}`.toLowerCase();
+  const [longitude, latitude] = issue.location.coordinates;
+
+  const keywords = URGENT_KEYWORDS.filter(keyword => text.includes(keyword));
+  const upvotes = issue.id ? await count(IssueVote, { issue_id: issue.id, vote_type: 'upvote' }) : 0;
+
+  // Similar open reports nearby, plus duplicates already merged into this one
+  const candidates = await findDuplicateCandidates({ latitude, longitude, ...issue });
+  const merged = issue.id ? await count(Issue, { merged_into: issue.id }) : 0;
+  const duplicates = candidates.filter(candidate => candidate.id !== issue.id).length + merged;
+
+  const ageDays = (Date.now() - new Date(issue.created_at || Date.now()).getTime()) / (24 * 60 * 60 * 1000);
+
+  const factors = {
+    severity: CATEGORY_SEVERITY[issue.category] || 15,
+    keywords: Math.min(keywords.length * KEYWORD_POINTS, KEYWORD_MAX),
+    upvotes: Math.min(upvotes * UPVOTE_POINTS, UPVOTE_MAX),
+    duplicates: Math.min(duplicates * DUPLICATE_POINTS, DUPLICATE_MAX),
+    age: Math.min(Math.floor(ageDays) * AGE_POINTS_PER_DAY, AGE_MAX),
+    flags: -(issue.flag_count || 0) * FLAG_PENALTY
+  };
+
+  const score = Math.max(0, Math.min(100, Object.values(factors).reduce((sum, value) => sum + value, 0)));
+
+  return {
+    priority: priorityForScore(score),
+    priority_score: score,
+    priority_factors: { ...factors, matched_keywords: keywords }
+  };
+}
+
+/**
+ * Recompute and store an issue's priority unless an admin locked it. SLA
+ * deadlines that are still running follow a change of priority.
+ * Failures are logged; the change that triggered them has already happened.
+ * @param {string} issueId - Issue ID
+ */
+async function recomputePriority(issueId) {
+  try {
+    const issue = await Issue.findOne({ id: issueId }).lean();
+    if (!issue || issue.priority_locked) {
+      return;
+    }
+
+    const scored = await scoreIssue(issue);
+    const updates = { ...scored, priority_updated_at: new Date() };
+    if (scored.priority !== issue.priority) {
+      Object.assign(updates, await refreshDueDates({ ...issue, priority: scored.priority }));
+    }
+
+    await Issue.updateOne({ id: issueId }, updates);
+  } catch (error) {
+    console.error('Failed to recompute issue priority:', error);
+  }
+}
+
+/**
+ * Refresh the priority of open issues, so that age keeps counting
+ * @returns {Object} - Interval handle
+ */
+function startPriorityWorker() {
+  let busy = false;
+
+  return setInterval(async () => {
+    if (busy || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    busy = true;
+    try {
+      const issues = await Issue.find({
+        status: { $nin: CLOSED_STATUSES },
+        merged_into: null,
+        priority_locked: { $ne: true }
+      })
+        .select('id')
+        .sort({ priority_updated_at: 1 })
+        .limit(PRIORITY_BATCH_SIZE)
+        .lean();
+
+      for (const issue of issues) {
+        await recomputePriority(issue.id);
+      }
+    } catch (error) {
+      console.error('Priority worker error:', error);
+    } finally {
+      busy = false;
+    }
+  }, PRIORITY_REFRESH_INTERVAL);
+}
+
+module.exports = {
+  scoreIssue,
+  clampToPriority,
+  recomputePriority,
+  startPriorityWorker
+};
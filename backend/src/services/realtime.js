@@ -0,0 +1,130 @@
+const { calculateDistance } = require('../utils/geo');
+
+// Server-Sent Events connections. They live in this process, so running
+// several API instances needs a shared pub/sub instead.
+const userClients = new Map();
+const issueClients = new Set();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Turn a response into an event stream that lives until the client disconnects
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} onClose - Called once the client is gone
+ */
+function startStream(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop reverse proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+}
+
+/**
+ * Write one event to a stream
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Open a user's private event stream
+ * @param {string} userId - User the stream belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function openUserStream(userId, req, res) {
+  if (!userClients.has(userId)) {
+    userClients.set(userId, new Set());
+  }
+  userClients.get(userId).add(res);
+
+  startStream(req, res, () => {
+    const connections = userClients.get(userId);
+    connections.delete(res);
+    if (connections.size === 0) {
+      userClients.delete(userId);
+    }
+  });
+}
+
+/**
+ * Send an event to every open stream of a user
+ * @param {string} userId - Recipient
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function pushToUser(userId, event, data) {
+  const connections = userClients.get(userId);
+  if (connections) {
+    connections.forEach(res => sendEvent(res, event, data));
+  }
+}
+
+/**
+ * Open a public stream of issue events near a location
+ * @param {Object} filter - { latitude, longitude, radius, category }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function openIssueStream(filter, req, res) {
+  const client = { res, filter };
+  issueClients.add(client);
+  startStream(req, res, () => issueClients.delete(client));
+}
+
+/**
+ * Whether an issue falls inside a stream's location and category filter
+ * @param {Object} filter - { latitude, longitude, radius, category }
+ * @param {Object} issue - Issue document
+ * @returns {boolean}
+ */
+function matchesIssueFilter({ latitude, longitude, radius, category }, issue) {
+  if (category && category !== 'all' && issue.category !== category) {
+    return false;
+  }
+
+  if (latitude !== undefined && longitude !== undefined) {
+    const [issueLongitude, issueLatitude] = issue.location.coordinates;
+    return calculateDistance(latitude, longitude, issueLatitude, issueLongitude) <= radius;
+  }
+
+  return true;
+}
+
+/**
+ * Send an issue event to every stream watching the issue's location
+ * @param {string} event - Event name
+ * @param {Object} issue - Issue document used for matching
+ * @param {Object} data - JSON payload, the issue itself by default
+ */
+function broadcastIssueEvent(event, issue, data = issue) {
+  issueClients.forEach(({ res, filter }) => {
+    if (matchesIssueFilter(filter, issue)) {
+      sendEvent(res, event, data);
+    }
+  });
+}
+
+module.exports = {
+  sendEvent,
+  openUserStream,
+  pushToUser,
+  openIssueStream,
+  broadcastIssueEvent
+};
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { Session, queryOne, run } = require('../database/database');
+const { UnauthorizedError } = require('../middleware/errorHandler');
+
+// A session ends after this many days without a refresh
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const REFRESH_COOKIE = 'civictrack_refresh';
+
+// Only the auth routes need the cookie, so the browser sends it nowhere else
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Tabs opening at once all refresh with the same cookie; the ones that lose
+// the race within this window still get an access token instead of tripping
+// reuse detection
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Checked in order; Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//]
+];
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} secret - Secret part of the refresh token
+ * @returns {string}
+ */
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Name the browser and OS of a user agent, e.g. "Firefox on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null}
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    return 'Unknown device';
+  }
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Make a new refresh token for a session. The session ID in front lets a
+ * token that was already rotated away be traced back to its session.
+ * @param {string} sessionId - Session ID
+ * @returns {Object} - { refreshToken, refreshTokenHash }
+ */
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+async function createSession(user, req) {
+  const id = uuidv4();
+  const { refreshToken, refreshTokenHash } = newRefreshToken(id);
+  const userAgent = req.get('user-agent') || null;
+
+  const session = await run(Session, {
+    id,
+    user_id: user.id,
+    refresh_token_hash: refreshTokenHash,
+    user_agent: userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY)
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Trade a refresh token for a new one. A refresh token is good for one use:
+ * presenting one that was already rotated away means it was copied, so the
+ * whole session is revoked.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { session, refreshToken }; no refreshToken when
+ *   a concurrent request already rotated it and the cookie is being replaced
+ */
+async function rotateSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  const session = sessionId && secret && await queryOne(Session, { id: sessionId });
+
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    throw new UnauthorizedError('Your session has ended, please sign in again');
+  }
+
+  const secretHash = hashToken(secret);
+  const next = newRefreshToken(session.id);
+  const rotated = await Session.findOneAndUpdate(
+    { id: session.id, refresh_token_hash: secretHash, revoked_at: null },
+    {
+      refresh_token_hash: next.refreshTokenHash,
+      previous_token_hash: secretHash,
+      rotated_at: new Date(),
+      ip: req.ip,
+      last_used_at: new Date(),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY)
+    },
+    { new: true }
+  ).lean();
+
+  if (!rotated) {
+    const current = await queryOne(Session, { id: session.id, revoked_at: null });
+    if (current && current.previous_token_hash === secretHash &&
+        Date.now() - current.rotated_at.getTime() < ROTATION_GRACE_MS) {
+      return { session: current, refreshToken: null };
+    }
+
+    await revokeSessions({ id: session.id }, 'reuse_detected');
+    console.warn(`Refresh token reuse detected, revoked session ${session.id} of user ${session.user_id}`);
+    throw new UnauthorizedError('Your session has ended, please sign in again');
+  }
+
+  return { session: rotated, refreshToken: next.refreshToken };
+}
+
+/**
+ * Look up a session that is still active
+ * @param {string} sessionId - Session ID from an access token
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  return queryOne(Session, { id: sessionId, revoked_at: null, expires_at: { $gt: new Date() } });
+}
+
+/**
+ * Revoke the active sessions matching a filter
+ * @param {Object} filter - Session filter, e.g. { user_id }
+ * @param {string} reason - Why the sessions end, see Session.revoked_reason
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+async function revokeSessions(filter, reason) {
+  const { modifiedCount } = await Session.updateMany(
+    { ...filter, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Revoke the session a refresh token belongs to. Only the current token
+ * counts, so a stale or forged cookie naming a session ID can't end it.
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {string} reason - Why the session ends, see Session.revoked_reason
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+async function revokeRefreshToken(refreshToken, reason) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    return false;
+  }
+
+  const revoked = await revokeSessions({ id: sessionId, refresh_token_hash: hashToken(secret) }, reason);
+  return revoked > 0;
+}
+
+/**
+ * Read the refresh token cookie; cookie-parser isn't worth a dependency for one cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+function readRefreshCookie(req) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${REFRESH_COOKIE}=`));
+
+  if (!cookie) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(cookie.slice(REFRESH_COOKIE.length + 1));
+  } catch (error) {
+    // Malformed percent-encoding; treat it as no session rather than a server error
+    return null;
+  }
+}
+
+/**
+ * Hand the browser a refresh token it can send but scripts can't read
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken - Refresh token
+ */
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * DAY
+  });
+}
+
+/**
+ * Remove the refresh token cookie
+ * @param {Object} res - Express response object
+ */
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || 'lax',
+    path: REFRESH_COOKIE_PATH
+  });
+}
+
+/**
+ * Shape a session for its owner's session list
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session of the request
+ * @returns {Object}
+ */
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: session.device,
+    user_agent: session.user_agent,
+    ip: session.ip,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: session.id === currentSessionId
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  findActiveSession,
+  revokeSessions,
+  revokeRefreshToken,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  toPublicSession
+};
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const { Issue, SlaPolicy, Department } = require('../database/database');
+const { CLOSED_STATUSES } = require('../utils/workflow');
+const { notifySlaBreach } = require('./notifications');
+
+// Targets for issues no SLA policy covers
+const DEFAULT_ACKNOWLEDGE_HOURS = parseFloat(process.env.SLA_DEFAULT_ACKNOWLEDGE_HOURS || '24');
+const DEFAULT_RESOLVE_HOURS = parseFloat(process.env.SLA_DEFAULT_RESOLVE_HOURS || '168');
+
+const SLA_CHECK_INTERVAL = parseInt(process.env.SLA_CHECK_INTERVAL || '300000', 10);
+const SLA_BATCH_SIZE = 100;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Find the most specific SLA policy for an issue: category and priority
+ * beat category only, which beats priority only, which beats the catch-all
+ * @param {Object} params - { category, priority }
+ * @returns {Promise<Object|null>} - SLA policy document
+ */
+async function findPolicy({ category, priority }) {
+  const policies = await SlaPolicy.find({
+    category: { $in: [category, null] },
+    priority: { $in: [priority, null] }
+  }).lean();
+
+  const specificity = policy => (policy.category ? 2 : 0) + (policy.priority ? 1 : 0);
+
+  return policies.reduce((best, policy) =>
+    !best || specificity(policy) > specificity(best) ? policy : best
+  , null);
+}
+
+/**
+ * Work out an issue's SLA deadlines from its policy and creation time
+ * @param {Object} issue - { category, priority, created_at }
+ * @returns {Promise<Object>} - { policy_id, acknowledge_due_at, resolve_due_at }
+ */
+async function computeDueDates({ category, priority, created_at: createdAt = new Date() }) {
+  const policy = await findPolicy({ category, priority });
+  const start = new Date(createdAt).getTime();
+
+  return {
+    policy_id: policy ? policy.id : null,
+    acknowledge_due_at: new Date(start + (policy ? policy.acknowledge_hours : DEFAULT_ACKNOWLEDGE_HOURS) * HOUR),
+    resolve_due_at: new Date(start + (policy ? policy.resolve_hours : DEFAULT_RESOLVE_HOURS) * HOUR)
+  };
+}
+
+/**
+ * Recalculate the deadlines that are still running, e.g. after the issue's
+ * priority changed. Met or missed deadlines stay as they were.
+ * @param {Object} issue - Issue with its new category/priority
+ * @returns {Promise<Object>} - Dotted `sla.*` fields to $set
+ */
+async function refreshDueDates(issue) {
+  const sla = issue.sla || {};
+  const dueDates = await computeDueDates(issue);
+  const updates = { 'sla.policy_id': dueDates.policy_id };
+
+  if (!sla.acknowledged_at && !sla.acknowledge_breached) {
+    updates['sla.acknowledge_due_at'] = dueDates.acknowledge_due_at;
+  }
+  // Paused or reopened clocks were moved on purpose; leave them be
+  if (!sla.resolved_at && !sla.resolve_breached && !sla.paused_at) {
+    updates['sla.resolve_due_at'] = dueDates.resolve_due_at;
+  }
+
+  return updates;
+}
+
+/**
+ * Move an issue's SLA clocks along with a status change. Leaving "reported"
+ * acknowledges the issue, "on_hold" pauses the resolve clock, closing stops
+ * it and reopening starts a fresh one.
+ * @param {Object} issue - Issue before the change
+ * @param {string} status - New status
+ * @param {Date} now - Time of the change
+ * @returns {Promise<Object>} - Dotted `sla.*` fields to $set
+ */
+async function slaStatusUpdates(issue, status, now = new Date()) {
+  const sla = issue.sla || {};
+  const updates = {};
+
+  if (status !== 'reported' && !sla.acknowledged_at) {
+    updates['sla.acknowledged_at'] = now;
+    if (sla.acknowledge_due_at && now > sla.acknowledge_due_at) {
+      updates['sla.acknowledge_breached'] = true;
+    }
+  }
+
+  // Time spent on hold does not count against the resolve target
+  let resolveDueAt = sla.resolve_due_at;
+  if (sla.paused_at && resolveDueAt && status !== 'on_hold') {
+    resolveDueAt = new Date(resolveDueAt.getTime() + (now - sla.paused_at));
+    updates['sla.resolve_due_at'] = resolveDueAt;
+    updates['sla.paused_at'] = null;
+  }
+
+  if (status === 'on_hold' && !sla.paused_at) {
+    updates['sla.paused_at'] = now;
+  }
+
+  const closing = CLOSED_STATUSES.includes(status);
+  if (closing && !sla.resolved_at) {
+    updates['sla.resolved_at'] = now;
+    if (resolveDueAt && now > resolveDueAt) {
+      updates['sla.resolve_breached'] = true;
+    }
+  } else if (!closing && sla.resolved_at) {
+    const policy = await findPolicy(issue);
+    updates['sla.resolved_at'] = null;
+    updates['sla.resolve_due_at'] = new Date(now.getTime() + (policy ? policy.resolve_hours : DEFAULT_RESOLVE_HOURS) * HOUR);
+  }
+
+  return updates;
+}
+
+/**
+ * Filter for open issues past one of their SLA deadlines
+ * @param {Date} now - Reference time
+ * @returns {Object} - MongoDB filter
+ */
+function overdueFilter(now = new Date()) {
+  return {
+    status: { $nin: CLOSED_STATUSES },
+    $or: [
+      { 'sla.acknowledged_at': null, 'sla.acknowledge_due_at': { $lt: now } },
+      { 'sla.paused_at': null, 'sla.resolve_due_at': { $lt: now } }
+    ]
+  };
+}
+
+/**
+ * Mark issues that just missed a deadline as breached and escalate them
+ * @returns {Promise<number>} - Number of breaches recorded
+ */
+async function checkSlaBreaches() {
+  const now = new Date();
+  let breaches = 0;
+
+  const checks = [
+    {
+      breach: 'acknowledge',
+      flag: 'sla.acknowledge_breached',
+      filter: { 'sla.acknowledged_at': null, 'sla.acknowledge_due_at': { $lt: now } }
+    },
+    {
+      breach: 'resolve',
+      flag: 'sla.resolve_breached',
+      filter: { 'sla.resolved_at': null, 'sla.paused_at': null, 'sla.resolve_due_at': { $lt: now } }
+    }
+  ];
+
+  for (const { breach, flag, filter } of checks) {
+    const issues = await Issue.find({
+      ...filter,
+      [flag]: false,
+      status: { $nin: CLOSED_STATUSES },
+      merged_into: null
+    })
+      .limit(SLA_BATCH_SIZE)
+      .lean();
+
+    for (const issue of issues) {
+      // Only the worker that flips the flag escalates
+      const { modifiedCount } = await Issue.updateOne(
+        { id: issue.id, [flag]: false },
+        { [flag]: true, 'sla.escalated_at': now }
+      );
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      breaches += 1;
+      try {
+        await notifySlaBreach({ issue, breach });
+      } catch (error) {
+        console.error('Failed to escalate SLA breach:', error);
+      }
+    }
+  }
+
+  return breaches;
+}
+
+/**
+ * Share of SLA targets met per department for issues created since a date
+ * @param {Date} since - Start of the reporting window
+ * @returns {Promise<Object[]>}
+ */
+async function getSlaCompliance(since) {
+  const now = new Date();
+
+  const rows = await Issue.aggregate([
+    { $match: { created_at: { $gte: since }, merged_into: null, 'sla.resolve_due_at': { $ne: null } } },
+    {
+      $group: {
+        _id: '$department_id',
+        total_issues: { $sum: 1 },
+        acknowledged_on_time: {
+          $sum: { $cond: [{ $and: [{ $gt: ['$sla.acknowledged_at', null] }, { $not: ['$sla.acknowledge_breached'] }] }, 1, 0] }
+        },
+        acknowledge_breached: { $sum: { $cond: ['$sla.acknowledge_breached', 1, 0] } },
+        resolved_on_time: {
+          $sum: { $cond: [{ $and: [{ $gt: ['$sla.resolved_at', null] }, { $not: ['$sla.resolve_breached'] }] }, 1, 0] }
+        },
+        resolve_breached: { $sum: { $cond: ['$sla.resolve_breached', 1, 0] } },
+        overdue: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $not: [{ $in: ['$status', CLOSED_STATUSES] }] },
+                  {
+                    $or: [
+                      { $and: [{ $lte: ['$sla.acknowledged_at', null] }, { $lt: ['$sla.acknowledge_due_at', now] }] },
+                      { $and: [{ $lte: ['$sla.paused_at', null] }, { $lt: ['$sla.resolve_due_at', now] }] }
+                    ]
+                  }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const departments = await Department.find({ id: { $in: rows.map(row => row._id) } })
+    .select('id name')
+    .lean();
+  const departmentNames = {};
+  departments.forEach(department => {
+    departmentNames[department.id] = department.name;
+  });
+
+  // Rates only count targets that were met or missed, not ones still running
+  const rate = (met, missed) => (met + missed > 0 ? Math.round((met / (met + missed)) * 1000) / 10 : null);
+
+  return rows
+    .map(({ _id: departmentId, ...row }) => ({
+      department_id: departmentId,
+      department_name: departmentNames[departmentId] || 'Unassigned',
+      ...row,
+      acknowledge_compliance: rate(row.acknowledged_on_time, row.acknowledge_breached),
+      resolve_compliance: rate(row.resolved_on_time, row.resolve_breached)
+    }))
+    .sort((a, b) => a.department_name.localeCompare(b.department_name));
+}
+
+/**
+ * Look for missed SLA deadlines in the background
+ * @returns {Object} - Interval handle
+ */
+function startSlaWorker() {
+  let busy = false;
+
+  return setInterval(async () => {
+    if (busy || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    busy = true;
+    try {
+      await checkSlaBreaches();
+    } catch (error) {
+      console.error('SLA worker error:', error);
+    } finally {
+      busy = false;
+    }
+  }, SLA_CHECK_INTERVAL);
+}
+
+module.exports = {
+  computeDueDates,
+  refreshDueDates,
+  slaStatusUpdates,
+  overdueFilter,
+  checkSlaBreaches,
+  getSlaCompliance,
+  startSlaWorker
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User } = require('../database/database');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+const { enqueueMail } = require('./mailer');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'CivicTrack';
+
+// Secrets are encrypted at rest, so a database dump alone can't mint codes
+const TWO_FACTOR_ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET || 'your-secret-key'}:two-factor`)
+  .digest();
+
+// Signed with their own secret so a login challenge can never pass as a login token
+const TWO_FACTOR_CHALLENGE_SECRET = `${process.env.JWT_SECRET || 'your-secret-key'}:two-factor-challenge`;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const BACKUP_CODE_COUNT = 10;
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} - iv:tag:ciphertext, base64
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TWO_FACTOR_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} - Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TWO_FACTOR_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash a backup code; they are random enough that a plain hash will do
+ * @param {string} code - Backup code, with or without the dash
+ * @returns {string}
+ */
+function hashBackupCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Create a fresh set of one-time backup codes
+ * @returns {Object} - { codes, hashes }; only the hashes are stored
+ */
+function generateBackupCodes() {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+}
+
+/**
+ * Start enrolling: store a new secret that becomes active once confirmed
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - { secret, otpauth_url }
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+
+  await User.updateOne(
+    { id: user.id },
+    { 'two_factor.pending_secret': encryptSecret(secret), updated_at: new Date() }
+  );
+
+  return {
+    secret,
+    otpauth_url: otpauthUrl({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Finish enrolling with a code from the authenticator app
+ * @param {Object} user - User document
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]|null>} - Backup codes, null when the code is wrong
+ */
+async function confirmEnrollment(user, code) {
+  const pendingSecret = user.two_factor?.pending_secret;
+  const step = pendingSecret && verifyCode(decryptSecret(pendingSecret), code);
+  if (step === null || step === undefined) {
+    return null;
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne(
+    { id: user.id },
+    {
+      'two_factor.enabled': true,
+      'two_factor.secret': pendingSecret,
+      'two_factor.pending_secret': null,
+      'two_factor.backup_code_hashes': hashes,
+      'two_factor.last_used_step': step,
+      'two_factor.enabled_at': new Date(),
+      updated_at: new Date()
+    }
+  );
+
+  return codes;
+}
+
+/**
+ * Check a second factor: a TOTP code, or else an unused backup code.
+ * Accepting either one is a single conditional update, so neither a code
+ * nor a backup code works twice.
+ * @param {Object} user - User document
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(user, code) {
+  const twoFactor = user.two_factor;
+  if (!twoFactor?.enabled || !twoFactor.secret || !code) {
+    return false;
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.secret), code, twoFactor.last_used_step);
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        id: user.id,
+        $or: [{ 'two_factor.last_used_step': null }, { 'two_factor.last_used_step': { $lt: step } }]
+      },
+      { 'two_factor.last_used_step': step }
+    );
+    return modifiedCount === 1;
+  }
+
+  const codeHash = hashBackupCode(code);
+  const { modifiedCount } = await User.updateOne(
+    { id: user.id, 'two_factor.backup_code_hashes': codeHash },
+    { $pull: { 'two_factor.backup_code_hashes': codeHash } }
+  );
+  return modifiedCount === 1;
+}
+
+/**
+ * Replace a user's backup codes
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>}
+ */
+async function regenerateBackupCodes(user) {
+  const { codes, hashes } = generateBackupCodes();
+  await User.updateOne(
+    { id: user.id },
+    { 'two_factor.backup_code_hashes': hashes, updated_at: new Date() }
+  );
+  return codes;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * @param {string} userId - User ID
+ */
+async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { id: userId },
+    {
+      'two_factor.enabled': false,
+      'two_factor.secret': null,
+      'two_factor.pending_secret': null,
+      'two_factor.backup_code_hashes': [],
+      'two_factor.last_used_step': null,
+      'two_factor.enabled_at': null,
+      updated_at: new Date()
+    }
+  );
+}
+
+/**
+ * Let a user know an admin turned off their two-factor authentication
+ * @param {Object} user - User whose second factor was reset
+ */
+async function notifyTwoFactorReset(user) {
+  try {
+    await enqueueMail({
+      to: user.email,
+      template: 'two_factor_reset',
+      data: { recipientName: user.name }
+    });
+  } catch (error) {
+    console.error('Failed to send two-factor reset email:', error);
+  }
+}
+
+/**
+ * Sign the short-lived token that carries a login from the password step to
+ * the code step
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+function createLoginChallenge(user) {
+  return jwt.sign(
+    { sub: user.id, tokenVersion: user.token_version || 0, purpose: 'two_factor_login' },
+    TWO_FACTOR_CHALLENGE_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Check a login challenge's signature and expiry
+ * @param {string} token - Challenge token from the password step
+ * @returns {Object|null} - { userId, tokenVersion }, null when invalid or expired
+ */
+function readLoginChallenge(token) {
+  try {
+    const payload = jwt.verify(token, TWO_FACTOR_CHALLENGE_SECRET);
+    if (payload.purpose !== 'two_factor_login') {
+      return null;
+    }
+    return { userId: payload.sub, tokenVersion: payload.tokenVersion };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  notifyTwoFactorReset,
+  createLoginChallenge,
+  readLoginChallenge
+};
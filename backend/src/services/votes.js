@@ -0,0 +1,111 @@
+const { v4: uuidv4 } = require('uuid');
+const { Issue, IssueVote } = require('../database/database');
+
+const OTHER_VOTE = { upvote: 'downvote', downvote: 'upvote' };
+
+// MongoDB duplicate key error, raised by the unique issue/user vote index
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Apply a vote change to the issue counters and return the new counts
+ * @param {string} issueId - Issue ID
+ * @param {Object} inc - Counter increments, e.g. { upvotes: 1 }
+ * @returns {Promise<Object>} - { upvotes, downvotes }
+ */
+async function incrementCounts(issueId, inc) {
+  const issue = await Issue.findOneAndUpdate(
+    { id: issueId },
+    { $inc: inc },
+    { new: true, projection: { upvotes: 1, downvotes: 1 } }
+  ).lean();
+
+  return { upvotes: issue.upvotes, downvotes: issue.downvotes };
+}
+
+/**
+ * Toggle a user's vote on an issue: voting the same way again removes the
+ * vote, voting the other way switches it. Every step only goes through when
+ * the user's vote is still what it expects, so concurrent requests can never
+ * move a counter twice for one vote.
+ * @param {Object} params - { issueId, userId, type }
+ * @returns {Promise<Object>} - { action, my_vote, upvotes, downvotes }
+ */
+async function castVote({ issueId, userId, type }) {
+  const other = OTHER_VOTE[type];
+
+  const removed = await IssueVote.findOneAndDelete({ issue_id: issueId, user_id: userId, vote_type: type });
+  if (removed) {
+    const counts = await incrementCounts(issueId, { [`${type}s`]: -1 });
+    return { action: 'removed', my_vote: null, ...counts };
+  }
+
+  const switched = await IssueVote.findOneAndUpdate(
+    { issue_id: issueId, user_id: userId, vote_type: other },
+    { vote_type: type }
+  );
+  if (switched) {
+    const counts = await incrementCounts(issueId, { [`${type}s`]: 1, [`${other}s`]: -1 });
+    return { action: 'updated', my_vote: type, ...counts };
+  }
+
+  try {
+    await IssueVote.create({
+      id: uuidv4(),
+      issue_id: issueId,
+      user_id: userId,
+      vote_type: type
+    });
+  } catch (error) {
+    // Another request created the vote first; apply this one on top of it
+    if (error.code === DUPLICATE_KEY) {
+      return castVote({ issueId, userId, type });
+    }
+    throw error;
+  }
+
+  const counts = await incrementCounts(issueId, { [`${type}s`]: 1 });
+  return { action: 'added', my_vote: type, ...counts };
+}
+
+/**
+ * Recount an issue's votes from IssueVote, e.g. after votes were moved
+ * @param {string} issueId - Issue ID
+ * @returns {Promise<Object>} - { upvotes, downvotes }
+ */
+async function syncVoteCounts(issueId) {
+  const [upvotes, downvotes] = await Promise.all([
+    IssueVote.countDocuments({ issue_id: issueId, vote_type: 'upvote' }),
+    IssueVote.countDocuments({ issue_id: issueId, vote_type: 'downvote' })
+  ]);
+
+  await Issue.updateOne({ id: issueId }, { upvotes, downvotes });
+  return { upvotes, downvotes };
+}
+
+/**
+ * Look up how a user voted on a set of issues
+ * @param {string|null} userId - User ID, null for anonymous visitors
+ * @param {string[]} issueIds - Issue IDs
+ * @returns {Promise<Object>} - Map of issue ID to "upvote"/"downvote"
+ */
+async function getUserVotes(userId, issueIds) {
+  if (!userId || issueIds.length === 0) {
+    return {};
+  }
+
+  const votes = await IssueVote.find({ user_id: userId, issue_id: { $in: issueIds } })
+    .select('issue_id vote_type')
+    .lean();
+
+  const voteMap = {};
+  votes.forEach(vote => {
+    voteMap[vote.issue_id] = vote.vote_type;
+  });
+  return voteMap;
+}
+
+module.exports = {
+  castVote,
+  syncVoteCounts,
+  getUserVotes
+};
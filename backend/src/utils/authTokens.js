@@ -0,0 +1,46 @@
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Access tokens are short-lived; sessions last through refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+/**
+ * Sign an access token for one of a user's sessions. It carries the user's
+ * token version, so bumping the version (e.g. on a password reset) revokes
+ * every older token.
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string}
+ */
+function signAuthToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, sessionId, tokenVersion: user.token_version || 0 },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Check a login token's signature and expiry; throws like jwt.verify
+ * @param {string} token - Login token
+ * @returns {Object} - Decoded payload
+ */
+function verifyAuthToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Check that a decoded token was issued after the user's last revocation
+ * @param {Object} decoded - Decoded token payload
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function isTokenCurrent(decoded, user) {
+  return (decoded.tokenVersion || 0) === (user.token_version || 0);
+}
+
+module.exports = {
+  signAuthToken,
+  verifyAuthToken,
+  isTokenCurrent
+};
@@ -0,0 +1,176 @@
+/**
+ * Build a GeoJSON point from latitude/longitude values
+ * @param {number|string} latitude - Latitude in degrees
+ * @param {number|string} longitude - Longitude in degrees
+ * @returns {Object} - GeoJSON Point ([longitude, latitude] order)
+ */
+function toGeoPoint(latitude, longitude) {
+  return {
+    type: 'Point',
+    coordinates: [parseFloat(longitude), parseFloat(latitude)]
+  };
+}
+
+// Radius MongoDB uses to turn $centerSphere distances into radians
+const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Build a $geoWithin condition matching points inside a circle
+ * @param {number|string} latitude - Center latitude in degrees
+ * @param {number|string} longitude - Center longitude in degrees
+ * @param {number|string} radiusKm - Radius in kilometers
+ * @returns {Object} - Mongo query condition for a location field
+ */
+function withinRadius(latitude, longitude, radiusKm) {
+  return {
+    $geoWithin: {
+      $centerSphere: [
+        [parseFloat(longitude), parseFloat(latitude)],
+        parseFloat(radiusKm) / EARTH_RADIUS_KM
+      ]
+    }
+  };
+}
+
+/**
+ * Calculate distance between two coordinates using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} - Distance in kilometers
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box string
+ * @param {string} value - Bounding box string
+ * @returns {number[]} - [minLon, minLat, maxLon, maxLat]
+ */
+function parseBBox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    throw new Error('bbox must be minLon,minLat,maxLon,maxLat');
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) {
+    throw new Error('bbox is out of range');
+  }
+  if (minLon >= maxLon || minLat >= maxLat) {
+    throw new Error('bbox minimums must be less than maximums');
+  }
+
+  return parts;
+}
+
+/**
+ * Check whether a bounding box spans the whole map
+ * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat]
+ * @returns {boolean}
+ */
+function isWorldBBox([minLon, minLat, maxLon, maxLat]) {
+  return minLon <= -180 && minLat <= -90 && maxLon >= 180 && maxLat >= 90;
+}
+
+/**
+ * Build a $geoWithin condition matching points inside a bounding box.
+ * $box compares flat coordinates, so viewports wider than a hemisphere
+ * (where a GeoJSON polygon's edges would be ambiguous) still work.
+ * @param {number[]} bbox - [minLon, minLat, maxLon, maxLat]
+ * @returns {Object} - Mongo query condition for a location field
+ */
+function withinBBox([minLon, minLat, maxLon, maxLat]) {
+  return {
+    $geoWithin: {
+      $box: [
+        [minLon, minLat],
+        [maxLon, maxLat]
+      ]
+    }
+  };
+}
+
+/**
+ * Check that a GeoJSON linear ring is closed and has valid positions
+ * @param {Array} ring - Array of [longitude, latitude] positions
+ * @returns {boolean}
+ */
+function isValidRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return false;
+  }
+
+  const validPositions = ring.every(position =>
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90
+  );
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+
+  return validPositions && first[0] === last[0] && first[1] === last[1];
+}
+
+/**
+ * Parse and validate a GeoJSON Polygon or MultiPolygon
+ * @param {string|Object} value - GeoJSON geometry or its JSON string
+ * @returns {Object} - GeoJSON geometry
+ */
+function parsePolygon(value) {
+  let geometry = value;
+  if (typeof value === 'string') {
+    try {
+      geometry = JSON.parse(value);
+    } catch (error) {
+      throw new Error('polygon must be valid GeoJSON');
+    }
+  }
+
+  // Accept a Feature wrapping the geometry as exported by most map tools
+  if (geometry && geometry.type === 'Feature') {
+    geometry = geometry.geometry;
+  }
+
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    throw new Error('polygon must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    throw new Error('polygon must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const valid = polygons.every(rings =>
+    Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing)
+  );
+  if (!valid) {
+    throw new Error('polygon rings must be closed with at least 4 valid positions');
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+module.exports = {
+  toGeoPoint,
+  withinRadius,
+  calculateDistance,
+  parseBBox,
+  isWorldBBox,
+  withinBBox,
+  parsePolygon
+};
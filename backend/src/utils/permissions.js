@@ -0,0 +1,153 @@
+const PERMISSIONS = {
+  'admin:access': 'Open the admin dashboard',
+  'issues:view': 'List issues with admin details, including hidden ones',
+  'issues:update_status': 'Change the status of issues',
+  'issues:assign': 'Assign issues to departments and staff',
+  'issues:moderate': 'Hide, unhide and merge issues and review flags',
+  'comments:moderate': 'Delete other users\' comments',
+  'comments:official': 'Comment with the official badge',
+  'users:manage': 'Ban, unban and verify users',
+  'roles:manage': 'Change user roles',
+  'departments:manage': 'Create departments and manage their staff',
+  'sla:manage': 'Define SLA targets per category and priority'
+};
+
+// Department-scoped permissions only apply to issues of the user's own department
+const ROLES = {
+  citizen: {
+    label: 'Citizen',
+    permissions: [],
+    department_permissions: []
+  },
+  moderator: {
+    label: 'Moderator',
+    permissions: ['admin:access', 'issues:view', 'issues:moderate', 'comments:moderate', 'users:manage'],
+    department_permissions: []
+  },
+  department_officer: {
+    label: 'Department Officer',
+    permissions: ['admin:access', 'comments:official'],
+    department_permissions: ['issues:view', 'issues:update_status']
+  },
+  department_head: {
+    label: 'Department Head',
+    permissions: ['admin:access', 'comments:official'],
+    department_permissions: ['issues:view', 'issues:update_status', 'issues:assign']
+  },
+  super_admin: {
+    label: 'Super Admin',
+    permissions: Object.keys(PERMISSIONS),
+    department_permissions: []
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Roles whose permissions are scoped to a department need one
+const DEPARTMENT_ROLES = ROLE_NAMES.filter(role => ROLES[role].department_permissions.length > 0);
+
+/**
+ * Work out how far a user's permission reaches
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @returns {string|null} - "all", "department" or null when not granted
+ */
+function getPermissionScope(user, permission) {
+  const role = user && ROLES[user.role];
+  if (!role) {
+    return null;
+  }
+
+  if (role.permissions.includes(permission)) {
+    return 'all';
+  }
+
+  if (role.department_permissions.includes(permission) && user.department_id) {
+    return 'department';
+  }
+
+  return null;
+}
+
+/**
+ * Check a permission, optionally against a resource with a department_id
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name
+ * @param {Object} resource - Issue or department-owned document
+ * @returns {boolean}
+ */
+function hasPermission(user, permission, resource = null) {
+  const scope = getPermissionScope(user, permission);
+
+  if (scope === 'department' && resource) {
+    return resource.department_id === user.department_id;
+  }
+
+  return scope !== null;
+}
+
+/**
+ * List every permission a user holds in some scope
+ * @param {Object} user - User document
+ * @returns {string[]}
+ */
+function listPermissions(user) {
+  const role = user && ROLES[user.role];
+  if (!role) {
+    return [];
+  }
+
+  const departmentPermissions = user.department_id ? role.department_permissions : [];
+  return [...new Set([...role.permissions, ...departmentPermissions])];
+}
+
+/**
+ * Get the roles that grant a permission
+ * @param {string} permission - Permission name
+ * @returns {string[]}
+ */
+function rolesWithPermission(permission) {
+  return ROLE_NAMES.filter(role =>
+    ROLES[role].permissions.includes(permission) ||
+    ROLES[role].department_permissions.includes(permission)
+  );
+}
+
+/**
+ * Check whether a user must use two-factor authentication: everyone who
+ * can open the admin dashboard
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function requiresTwoFactor(user) {
+  return hasPermission(user, 'admin:access');
+}
+
+/**
+ * Prepare a user for API responses: no password hash or two-factor secrets,
+ * resolved permissions
+ * @param {Object} user - Plain user object
+ * @returns {Object}
+ */
+function toPublicUser(user) {
+  const { password_hash, two_factor, ...publicUser } = user;
+  return {
+    ...publicUser,
+    permissions: listPermissions(user),
+    two_factor_enabled: Boolean(two_factor?.enabled),
+    two_factor_required: requiresTwoFactor(user)
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  DEPARTMENT_ROLES,
+  getPermissionScope,
+  hasPermission,
+  listPermissions,
+  rolesWithPermission,
+  requiresTwoFactor,
+  toPublicUser
+};
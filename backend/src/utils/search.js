@@ -0,0 +1,57 @@
+// Fields covered by the issue text index
+const SEARCH_FIELDS = ['title', 'description', 'address'];
+
+/**
+ * Split a search query into the words worth highlighting
+ * @param {string} q - Search query
+ * @returns {string[]}
+ */
+function searchTerms(q = '') {
+  return q
+    .toLowerCase()
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term.length > 1 && !term.startsWith('-'))
+    .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Find where search terms occur in an issue's text fields.
+ * A term matches any word starting with it, loosely mirroring the
+ * stemming done by the text index ("leak" highlights "leaking").
+ * @param {Object} issue - Issue document
+ * @param {string} q - Search query
+ * @returns {Object} - { field: [{ start, end }] } for fields with matches
+ */
+function highlightMatches(issue, q) {
+  const terms = searchTerms(q);
+  const highlights = {};
+
+  if (terms.length === 0) {
+    return highlights;
+  }
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  SEARCH_FIELDS.forEach(field => {
+    const text = issue[field];
+    if (!text) {
+      return;
+    }
+
+    const ranges = [];
+    for (const match of text.matchAll(pattern)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+    if (ranges.length > 0) {
+      highlights[field] = ranges;
+    }
+  });
+
+  return highlights;
+}
+
+module.exports = {
+  highlightMatches
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, as used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Codes from one step before or after also count, for phones whose clock drifts
+const TOTP_WINDOW = 1;
+
+/**
+ * Encode bytes as unpadded base32, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text - Base32 text
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Create a random shared secret
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step a moment falls into
+ * @param {number} now - Milliseconds since the epoch
+ * @returns {number}
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Compute the code for one time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed
+ * @param {number|null} lastUsedStep - Step of the last accepted code; it and older ones are rejected
+ * @returns {number|null} - Step the code belongs to, null when it doesn't match
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  const typed = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(typed) || typed.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(typed))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function otpauthUrl({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  otpauthUrl
+};
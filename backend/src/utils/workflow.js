@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+const STATUSES = {
+  reported: { label: 'Reported', closed: false },
+  acknowledged: { label: 'Acknowledged', closed: false },
+  assigned: { label: 'Assigned', closed: false },
+  in_progress: { label: 'In Progress', closed: false },
+  on_hold: { label: 'On Hold', closed: false },
+  resolved: { label: 'Resolved', closed: true },
+  closed: { label: 'Closed', closed: true },
+  rejected: { label: 'Rejected', closed: true },
+  duplicate: { label: 'Duplicate', closed: true }
+};
+
+const STATUS_NAMES = Object.keys(STATUSES);
+
+// Issues in these statuses are finished; they no longer count as open work
+const CLOSED_STATUSES = STATUS_NAMES.filter(status => STATUSES[status].closed);
+
+const STAFF = ['department_officer', 'department_head', 'super_admin'];
+const LEADS = ['department_head', 'super_admin'];
+
+// Each transition lists the statuses it leaves from, the roles allowed to
+// take it and whether the status log needs a comment explaining why
+const DEFAULT_TRANSITIONS = [
+  { from: ['reported'], to: 'acknowledged', roles: STAFF },
+  { from: ['reported', 'acknowledged'], to: 'assigned', roles: LEADS },
+  { from: ['reported', 'acknowledged', 'assigned', 'on_hold'], to: 'in_progress', roles: STAFF },
+  { from: ['acknowledged', 'assigned', 'in_progress'], to: 'on_hold', roles: STAFF, require_comment: true },
+  { from: ['acknowledged', 'assigned', 'in_progress', 'on_hold'], to: 'resolved', roles: STAFF, require_comment: true },
+  { from: ['resolved'], to: 'closed', roles: LEADS },
+  { from: ['resolved', 'closed'], to: 'in_progress', roles: LEADS, require_comment: true },
+  { from: ['reported', 'acknowledged', 'assigned', 'on_hold'], to: 'rejected', roles: LEADS, require_comment: true },
+  { from: ['reported', 'acknowledged', 'assigned'], to: 'duplicate', roles: STAFF, require_comment: true },
+  { from: ['rejected', 'duplicate'], to: 'reported', roles: ['super_admin'], require_comment: true }
+];
+
+/**
+ * Read transitions from ISSUE_WORKFLOW_PATH, falling back to the defaults
+ * @returns {Object[]}
+ */
+function loadTransitions() {
+  const workflowPath = process.env.ISSUE_WORKFLOW_PATH;
+  if (!workflowPath) {
+    return DEFAULT_TRANSITIONS;
+  }
+
+  const { transitions } = JSON.parse(fs.readFileSync(path.resolve(workflowPath), 'utf8'));
+  if (!Array.isArray(transitions)) {
+    throw new Error(`${workflowPath} must contain a "transitions" array`);
+  }
+
+  transitions.forEach(({ from, to, roles }) => {
+    [...(from || []), to].forEach(status => {
+      if (!STATUSES[status]) {
+        throw new Error(`Unknown status "${status}" in ${workflowPath}`);
+      }
+    });
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw new Error(`Transition to "${to}" in ${workflowPath} needs roles`);
+    }
+  });
+
+  return transitions;
+}
+
+const TRANSITIONS = loadTransitions();
+
+/**
+ * Find the transitions a status can take, whoever is allowed to take them
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object[]}
+ */
+function findTransitions(from, to) {
+  return TRANSITIONS.filter(transition => transition.from.includes(from) && transition.to === to);
+}
+
+/**
+ * List the statuses a user may move an issue to from its current status
+ * @param {Object} user - User document
+ * @param {string} from - Current status
+ * @returns {Object[]} - [{ status, label, require_comment }]
+ */
+function availableTransitions(user, from) {
+  const targets = {};
+
+  TRANSITIONS
+    .filter(transition => transition.from.includes(from) && user && transition.roles.includes(user.role))
+    .forEach(transition => {
+      targets[transition.to] = {
+        status: transition.to,
+        label: STATUSES[transition.to].label,
+        require_comment: Boolean(transition.require_comment)
+      };
+    });
+
+  return Object.values(targets);
+}
+
+/**
+ * Check a status change against the workflow
+ * @param {Object} user - User making the change
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} comment - Comment sent with the change
+ * @returns {Object} - { allowed, reason } where reason is "illegal", "role" or "comment"
+ */
+function checkTransition(user, from, to, comment) {
+  const transitions = findTransitions(from, to);
+  if (transitions.length === 0) {
+    return { allowed: false, reason: 'illegal' };
+  }
+
+  const permitted = transitions.filter(transition => user && transition.roles.includes(user.role));
+  if (permitted.length === 0) {
+    return { allowed: false, reason: 'role' };
+  }
+
+  // Any permitted transition that does without a comment is enough
+  if (!comment && permitted.every(transition => transition.require_comment)) {
+    return { allowed: false, reason: 'comment' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Build $group accumulators counting issues in each status, plus
+ * closed_issues for every closed status, so statistics follow the workflow
+ * @returns {Object} - Accumulators keyed by status name and closed_issues
+ */
+function statusCountFields() {
+  return {
+    ...Object.fromEntries(STATUS_NAMES.map(status => [
+      status,
+      { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+    ])),
+    closed_issues: { $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 1, 0] } }
+  };
+}
+
+/**
+ * Fill in the status counts of a statistics row and work out how many of
+ * its issues were closed
+ * @param {Object|undefined} row - $group result built with statusCountFields, if any issues matched
+ * @returns {Object} - Row with every count and resolution_rate (percent, null without issues)
+ */
+function withStatusCounts(row) {
+  const counts = {
+    total_issues: 0,
+    ...Object.fromEntries(STATUS_NAMES.map(status => [status, 0])),
+    closed_issues: 0,
+    ...row
+  };
+  counts.resolution_rate = counts.total_issues > 0
+    ? Math.round((counts.closed_issues / counts.total_issues) * 1000) / 10
+    : null;
+  return counts;
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_NAMES,
+  CLOSED_STATUSES,
+  TRANSITIONS,
+  availableTransitions,
+  checkTransition,
+  statusCountFields,
+  withStatusCounts
+};
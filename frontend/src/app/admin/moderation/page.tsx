@@ -0,0 +1,353 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Flag } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { can } from '@/lib/permissions';
+import {
+  CommentModerationAction,
+  ModerationAction,
+  ModerationCommentItem,
+  ModerationLogEntry,
+  ModerationQueueItem
+} from '@/types';
+
+const adminUrl = 'http://localhost:5001/api/admin';
+
+const actionOptions: Array<{ value: ModerationAction; label: string; needsReason: boolean; className: string }> = [
+  { value: 'approve', label: 'Approve', needsReason: false, className: 'bg-green-600 hover:bg-green-700 text-white' },
+  { value: 'reject_flags', label: 'Reject flags', needsReason: false, className: 'border border-gray-300 text-gray-700 hover:bg-gray-50' },
+  { value: 'hide', label: 'Hide', needsReason: true, className: 'bg-orange-500 hover:bg-orange-600 text-white' },
+  { value: 'warn_reporter', label: 'Warn reporter', needsReason: true, className: 'bg-yellow-500 hover:bg-yellow-600 text-white' },
+  { value: 'delete', label: 'Delete', needsReason: true, className: 'bg-red-600 hover:bg-red-700 text-white' }
+];
+
+const commentActionOptions: Array<{ value: CommentModerationAction; label: string; className: string }> = [
+  { value: 'approve', label: 'Approve', className: 'bg-green-600 hover:bg-green-700 text-white' },
+  { value: 'reject_flags', label: 'Reject flags', className: 'border border-gray-300 text-gray-700 hover:bg-gray-50' },
+  { value: 'hide', label: 'Hide', className: 'bg-orange-500 hover:bg-orange-600 text-white' }
+];
+
+const actionLabels: Record<ModerationLogEntry['action'], string> = {
+  approve: 'approved',
+  reject_flags: 'rejected the flags on',
+  hide: 'hid',
+  delete: 'deleted',
+  warn_reporter: 'warned the reporter of',
+  auto_hide: 'auto-hid',
+  appeal: 'appealed'
+};
+
+// Comment decisions read "<actor> <label> a comment on <issue>"
+const commentActionLabels: Partial<Record<ModerationLogEntry['action'], string>> = {
+  approve: 'approved',
+  reject_flags: 'rejected the flags on',
+  hide: 'hid',
+  auto_hide: 'auto-hid'
+};
+
+export default function ModerationPage() {
+  const { user, token } = useAuth();
+  const router = useRouter();
+  const [queue, setQueue] = useState<ModerationQueueItem[]>([]);
+  const [comments, setComments] = useState<ModerationCommentItem[]>([]);
+  const [commentView, setCommentView] = useState<'flagged' | 'hidden'>('flagged');
+  const [log, setLog] = useState<ModerationLogEntry[]>([]);
+  const [autoHideWeight, setAutoHideWeight] = useState(3);
+  const [reasons, setReasons] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!can(user, 'issues:moderate')) {
+      router.push('/dashboard');
+      return;
+    }
+    fetchAll();
+  }, [user, commentView]);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchAll = async () => {
+    try {
+      const [queueResponse, commentsResponse, logResponse] = await Promise.all([
+        fetch(`${adminUrl}/moderation/queue?limit=50`, { headers: authHeaders }),
+        fetch(`${adminUrl}/moderation/comments?limit=50&status=${commentView}`, { headers: authHeaders }),
+        fetch(`${adminUrl}/moderation/log?limit=20`, { headers: authHeaders }),
+      ]);
+      if (queueResponse.ok && commentsResponse.ok && logResponse.ok) {
+        const queueData = await queueResponse.json();
+        setQueue(queueData.issues || []);
+        setAutoHideWeight(queueData.auto_hide_weight);
+        setComments((await commentsResponse.json()).comments || []);
+        setLog((await logResponse.json()).entries || []);
+      } else {
+        toast.error('Failed to load the moderation queue');
+      }
+    } catch (error) {
+      toast.error('Error loading the moderation queue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const moderate = async (issue: ModerationQueueItem, action: ModerationAction) => {
+    const reason = reasons[issue.id]?.trim();
+    if (actionOptions.find((option) => option.value === action)?.needsReason && !reason) {
+      toast.error('Add a reason for the reporter first');
+      return;
+    }
+
+    setSavingId(issue.id);
+    try {
+      const response = await fetch(`${adminUrl}/moderation/issues/${issue.id}`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, reason: reason || null }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        toast.success('Moderation action applied');
+        fetchAll();
+      } else {
+        toast.error(data.message || 'Failed to apply moderation action');
+      }
+    } catch (error) {
+      toast.error('Error applying moderation action');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const moderateComment = async (comment: ModerationCommentItem, action: CommentModerationAction) => {
+    const reason = reasons[comment.id]?.trim();
+
+    setSavingId(comment.id);
+    try {
+      const response = await fetch(`${adminUrl}/moderation/comments/${comment.id}`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, reason: reason || null }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        toast.success('Moderation action applied');
+        fetchAll();
+      } else {
+        toast.error(data.message || 'Failed to apply moderation action');
+      }
+    } catch (error) {
+      toast.error('Error applying moderation action');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!can(user, 'issues:moderate')) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Flag className="w-6 h-6 mr-2 text-blue-600" />
+            Moderation
+          </h1>
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">
+              Queue <span className="text-sm font-normal text-gray-500">(issues are hidden automatically at a flag weight of {autoHideWeight})</span>
+            </h2>
+            {queue.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500">Nothing needs review.</p>
+            ) : (
+              <ul className="divide-y">
+                {queue.map((issue) => (
+                  <li key={issue.id} className="px-4 py-4 text-sm space-y-3">
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <p className="font-medium text-gray-900">{issue.title}</p>
+                        <p className="text-gray-500">
+                          by {issue.reporter_name || 'Unknown'}
+                          {issue.reporter_warning_count > 0 && ` · ${issue.reporter_warning_count} previous warnings`}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {issue.is_hidden && (
+                          <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">Hidden</span>
+                        )}
+                        {issue.has_pending_appeal && (
+                          <span className="px-2 py-1 bg-purple-100 text-purple-800 rounded-full text-xs font-medium">Appealed</span>
+                        )}
+                        <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded-full text-xs font-medium">
+                          {issue.flag_count} flags · weight {Math.round((issue.flag_weight || 0) * 100) / 100}
+                        </span>
+                      </div>
+                    </div>
+
+                    <p className="text-gray-700">{issue.description}</p>
+
+                    {issue.has_pending_appeal && (
+                      <blockquote className="border-l-4 border-purple-300 pl-3 text-gray-700">
+                        <span className="font-medium">Appeal:</span> {issue.moderation?.appeal_message}
+                      </blockquote>
+                    )}
+
+                    {issue.flags.length > 0 && (
+                      <ul className="space-y-1 text-gray-600">
+                        {issue.flags.map((flag) => (
+                          <li key={flag.id}>
+                            <span className="font-medium">{flag.user_name || 'Unknown user'}</span>
+                            <span className="text-gray-400"> (weight {flag.weight})</span>: {flag.reason || 'No reason given'}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="text"
+                        value={reasons[issue.id] || ''}
+                        onChange={(e) => setReasons((current) => ({ ...current, [issue.id]: e.target.value }))}
+                        placeholder="Reason shown to the reporter"
+                        maxLength={500}
+                        className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                      {actionOptions.map((option) => (
+                        <button
+                          key={option.value}
+                          onClick={() => moderate(issue, option.value)}
+                          disabled={savingId === issue.id}
+                          className={`px-3 py-2 rounded-lg transition-colors disabled:opacity-50 ${option.className}`}
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border">
+            <div className="px-4 py-3 border-b flex items-center justify-between">
+              <h2 className="font-medium text-gray-900">Comments</h2>
+              <select
+                value={commentView}
+                onChange={(e) => setCommentView(e.target.value as 'flagged' | 'hidden')}
+                className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="flagged">Flagged</option>
+                <option value="hidden">Hidden</option>
+              </select>
+            </div>
+            {comments.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500">
+                {commentView === 'flagged' ? 'No flagged comments.' : 'No hidden comments.'}
+              </p>
+            ) : (
+              <ul className="divide-y">
+                {comments.map((comment) => (
+                  <li key={comment.id} className="px-4 py-4 text-sm space-y-3">
+                    <div className="flex items-start justify-between">
+                      <p className="text-gray-500">
+                        <span className="font-medium text-gray-900">{comment.author_name || 'Unknown'}</span> on
+                        &ldquo;{comment.issue_title || comment.issue_id}&rdquo;
+                      </p>
+                      <div className="flex items-center space-x-2">
+                        {comment.is_hidden && (
+                          <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">Hidden</span>
+                        )}
+                        {comment.flag_count > 0 && (
+                          <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded-full text-xs font-medium">
+                            {comment.flag_count} flags · weight {Math.round((comment.flag_weight || 0) * 100) / 100}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+
+                    <p className="text-gray-700 whitespace-pre-line">{comment.body}</p>
+
+                    {comment.flags.length > 0 && (
+                      <ul className="space-y-1 text-gray-600">
+                        {comment.flags.map((flag) => (
+                          <li key={flag.id}>
+                            <span className="font-medium">{flag.user_name || 'Unknown user'}</span>
+                            <span className="text-gray-400"> (weight {flag.weight})</span>: {flag.reason || 'No reason given'}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input
+                        type="text"
+                        value={reasons[comment.id] || ''}
+                        onChange={(e) => setReasons((current) => ({ ...current, [comment.id]: e.target.value }))}
+                        placeholder="Reason for the audit trail (optional)"
+                        maxLength={500}
+                        className="flex-1 min-w-[12rem] px-3 py-2 border border-gray-300 rounded-lg"
+                      />
+                      {commentActionOptions
+                        .filter((option) => !(option.value === 'hide' && comment.is_hidden && comment.flag_count === 0))
+                        .map((option) => (
+                          <button
+                            key={option.value}
+                            onClick={() => moderateComment(comment, option.value)}
+                            disabled={savingId === comment.id}
+                            className={`px-3 py-2 rounded-lg transition-colors disabled:opacity-50 ${option.className}`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">Recent decisions</h2>
+            {log.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500">No moderation decisions yet.</p>
+            ) : (
+              <ul className="divide-y">
+                {log.map((entry) => (
+                  <li key={entry.id} className="px-4 py-3 text-sm flex justify-between">
+                    <span>
+                      <span className="font-medium text-gray-900">{entry.actor_name}</span>{' '}
+                      {entry.comment_id
+                        ? `${commentActionLabels[entry.action] || entry.action} a comment on`
+                        : actionLabels[entry.action]}{' '}
+                      &ldquo;{entry.issue_title || entry.issue_id}&rdquo;
+                      {entry.reason && <span className="text-gray-500"> — {entry.reason}</span>}
+                    </span>
+                    <span className="text-gray-400 whitespace-nowrap ml-4">{new Date(entry.created_at).toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,213 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Shield } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { can } from '@/lib/permissions';
+import { Department, RoleDefinition, User, UserRole } from '@/types';
+
+const adminUrl = 'http://localhost:5001/api/admin';
+
+export default function RolesPage() {
+  const { user, token } = useAuth();
+  const router = useRouter();
+  const [users, setUsers] = useState<User[]>([]);
+  const [roles, setRoles] = useState<RoleDefinition[]>([]);
+  const [departments, setDepartments] = useState<Department[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!can(user, 'roles:manage')) {
+      router.push('/dashboard');
+      return;
+    }
+    fetchAll();
+  }, [user]);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchAll = async () => {
+    try {
+      const [usersResponse, rolesResponse, departmentsResponse] = await Promise.all([
+        fetch(`${adminUrl}/users?limit=100`, { headers: authHeaders }),
+        fetch(`${adminUrl}/roles`, { headers: authHeaders }),
+        fetch(`${adminUrl}/departments`, { headers: authHeaders }),
+      ]);
+      if (usersResponse.ok && rolesResponse.ok && departmentsResponse.ok) {
+        setUsers((await usersResponse.json()).users || []);
+        setRoles((await rolesResponse.json()).roles || []);
+        setDepartments((await departmentsResponse.json()).departments || []);
+      } else {
+        toast.error('Failed to load users');
+      }
+    } catch (error) {
+      toast.error('Error loading users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateRole = async (member: User, role: UserRole, departmentId: string | null) => {
+    const definition = roles.find((item) => item.name === role);
+    if (definition?.requires_department && !departmentId) {
+      toast.error(`Pick a department for the ${definition.label} role`);
+      return;
+    }
+
+    setSavingId(member.id);
+    try {
+      const response = await fetch(`${adminUrl}/users/${member.id}/role`, {
+        method: 'PUT',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role, department_id: departmentId }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setUsers((current) =>
+          current.map((item) =>
+            item.id === member.id ? { ...item, role: data.role, department_id: data.department_id } : item
+          )
+        );
+        toast.success('Role updated');
+      } else {
+        toast.error(data.message || 'Failed to update role');
+      }
+    } catch (error) {
+      toast.error('Error updating role');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const resetTwoFactor = async (member: User) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${member.name}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    setSavingId(member.id);
+    try {
+      const response = await fetch(`${adminUrl}/users/${member.id}/reset-2fa`, {
+        method: 'POST',
+        headers: authHeaders,
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setUsers((current) =>
+          current.map((item) => (item.id === member.id ? { ...item, two_factor_enabled: false } : item))
+        );
+        toast.success('Two-factor authentication reset');
+      } else {
+        toast.error(data.message || 'Failed to reset two-factor authentication');
+      }
+    } catch (error) {
+      toast.error('Error resetting two-factor authentication');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!can(user, 'roles:manage')) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Shield className="w-6 h-6 mr-2 text-blue-600" />
+            Roles & Permissions
+          </h1>
+        </div>
+      </header>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {roles.map((role) => (
+            <div key={role.name} className="bg-white p-4 rounded-lg shadow-sm border">
+              <p className="font-medium text-gray-900">{role.label}</p>
+              <p className="text-sm text-gray-600 mt-1">
+                {[...role.permissions, ...role.department_permissions.map((permission) => `${permission} (own department)`)]
+                  .join(', ') || 'No staff permissions'}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="px-4 py-3 font-medium">User</th>
+                  <th className="px-4 py-3 font-medium">Role</th>
+                  <th className="px-4 py-3 font-medium">Department</th>
+                  <th className="px-4 py-3 font-medium">Two-factor</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((member) => (
+                  <tr key={member.id} className="border-b last:border-0">
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-900">{member.name}</p>
+                      <p className="text-gray-500">{member.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={member.role}
+                        disabled={savingId === member.id || member.id === user?.id}
+                        onChange={(e) => updateRole(member, e.target.value as UserRole, member.department_id || null)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {roles.map((role) => (
+                          <option key={role.name} value={role.name}>{role.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={member.department_id || ''}
+                        disabled={savingId === member.id}
+                        onChange={(e) => updateRole(member, member.role, e.target.value || null)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        <option value="">No department</option>
+                        {departments.map((department) => (
+                          <option key={department.id} value={department.id}>{department.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-4 py-3">
+                      {member.two_factor_enabled ? (
+                        <button
+                          onClick={() => resetTwoFactor(member)}
+                          disabled={savingId === member.id || member.id === user?.id}
+                          className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                        >
+                          Reset
+                        </button>
+                      ) : (
+                        <span className="text-gray-500">Off</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Clock, Plus, Trash2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { can } from '@/lib/permissions';
+import { Issue, SlaCompliance, SlaPolicy } from '@/types';
+
+const adminUrl = 'http://localhost:5001/api/admin';
+
+const categoryOptions = [
+  { value: '', label: 'All categories' },
+  { value: 'roads', label: 'Roads' },
+  { value: 'lighting', label: 'Lighting' },
+  { value: 'water supply', label: 'Water Supply' },
+  { value: 'cleanliness', label: 'Cleanliness' },
+  { value: 'public safety', label: 'Public Safety' },
+  { value: 'obstructions', label: 'Obstructions' }
+];
+
+const priorityOptions = [
+  { value: '', label: 'All priorities' },
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' }
+];
+
+const formatRate = (rate: number | null) => (rate === null ? '—' : `${rate}%`);
+
+export default function SlaPage() {
+  const { user, token } = useAuth();
+  const router = useRouter();
+  const [compliance, setCompliance] = useState<SlaCompliance[]>([]);
+  const [days, setDays] = useState(30);
+  const [policies, setPolicies] = useState<SlaPolicy[]>([]);
+  const [overdueIssues, setOverdueIssues] = useState<Issue[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [category, setCategory] = useState('');
+  const [priority, setPriority] = useState('');
+  const [acknowledgeHours, setAcknowledgeHours] = useState(24);
+  const [resolveHours, setResolveHours] = useState(168);
+
+  useEffect(() => {
+    if (!can(user, 'admin:access')) {
+      router.push('/dashboard');
+      return;
+    }
+    fetchAll();
+  }, [user]);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchAll = async () => {
+    try {
+      const [dashboardResponse, policiesResponse, issuesResponse] = await Promise.all([
+        fetch(`${adminUrl}/dashboard`, { headers: authHeaders }),
+        fetch(`${adminUrl}/sla-policies`, { headers: authHeaders }),
+        fetch(`${adminUrl}/issues?overdue=true&limit=50`, { headers: authHeaders }),
+      ]);
+      if (dashboardResponse.ok && policiesResponse.ok && issuesResponse.ok) {
+        const dashboard = await dashboardResponse.json();
+        setCompliance(dashboard.sla_compliance?.departments || []);
+        setDays(dashboard.sla_compliance?.days || 30);
+        setPolicies((await policiesResponse.json()).policies || []);
+        setOverdueIssues((await issuesResponse.json()).issues || []);
+      } else {
+        toast.error('Failed to load SLA data');
+      }
+    } catch (error) {
+      toast.error('Error loading SLA data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const createPolicy = async () => {
+    try {
+      const response = await fetch(`${adminUrl}/sla-policies`, {
+        method: 'POST',
+        headers: { ...authHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          category: category || null,
+          priority: priority || null,
+          acknowledge_hours: acknowledgeHours,
+          resolve_hours: resolveHours,
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setPolicies((current) => [...current, data.policy]);
+        toast.success('SLA policy created');
+      } else {
+        toast.error(data.message || 'Failed to create SLA policy');
+      }
+    } catch (error) {
+      toast.error('Error creating SLA policy');
+    }
+  };
+
+  const deletePolicy = async (policyId: string) => {
+    try {
+      const response = await fetch(`${adminUrl}/sla-policies/${policyId}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      if (response.ok) {
+        setPolicies((current) => current.filter((policy) => policy.id !== policyId));
+      } else {
+        toast.error('Failed to delete SLA policy');
+      }
+    } catch (error) {
+      toast.error('Error deleting SLA policy');
+    }
+  };
+
+  if (!can(user, 'admin:access')) {
+    return null;
+  }
+
+  const canManage = can(user, 'sla:manage');
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Clock className="w-6 h-6 mr-2 text-blue-600" />
+            Service Levels
+          </h1>
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">
+              Compliance by department (last {days} days)
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="px-4 py-3 font-medium">Department</th>
+                  <th className="px-4 py-3 font-medium">Issues</th>
+                  <th className="px-4 py-3 font-medium">Acknowledged on time</th>
+                  <th className="px-4 py-3 font-medium">Resolved on time</th>
+                  <th className="px-4 py-3 font-medium">Overdue now</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compliance.map((row) => (
+                  <tr key={row.department_id || 'unassigned'} className="border-b last:border-0">
+                    <td className="px-4 py-3 font-medium text-gray-900">{row.department_name}</td>
+                    <td className="px-4 py-3">{row.total_issues}</td>
+                    <td className="px-4 py-3">{formatRate(row.acknowledge_compliance)}</td>
+                    <td className="px-4 py-3">{formatRate(row.resolve_compliance)}</td>
+                    <td className={`px-4 py-3 ${row.overdue > 0 ? 'text-red-600 font-medium' : ''}`}>{row.overdue}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">Overdue issues</h2>
+            {overdueIssues.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500">Nothing is overdue.</p>
+            ) : (
+              <ul className="divide-y">
+                {overdueIssues.map((issue) => (
+                  <li key={issue.id} className="px-4 py-3 text-sm flex justify-between">
+                    <span className="font-medium text-gray-900">{issue.title}</span>
+                    <span className="text-red-600">
+                      {issue.sla?.acknowledged_at ? 'Resolve' : 'Acknowledge'} due{' '}
+                      {new Date((issue.sla?.acknowledged_at ? issue.sla?.resolve_due_at : issue.sla?.acknowledge_due_at) || '').toLocaleString()}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">Policies</h2>
+            <ul className="divide-y">
+              {policies.map((policy) => (
+                <li key={policy.id} className="px-4 py-3 text-sm flex items-center justify-between">
+                  <span>
+                    <span className="font-medium text-gray-900">
+                      {policy.category || 'All categories'} · {policy.priority || 'all priorities'}
+                    </span>
+                    <span className="text-gray-600 ml-2">
+                      acknowledge in {policy.acknowledge_hours}h, resolve in {policy.resolve_hours}h
+                    </span>
+                  </span>
+                  {canManage && (
+                    <button onClick={() => deletePolicy(policy.id)} className="text-gray-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {canManage && (
+              <div className="px-4 py-3 border-t flex flex-wrap items-end gap-3 text-sm">
+                <select
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {categoryOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg"
+                >
+                  {priorityOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <label className="flex flex-col text-gray-600">
+                  Acknowledge (h)
+                  <input
+                    type="number"
+                    min={1}
+                    value={acknowledgeHours}
+                    onChange={(e) => setAcknowledgeHours(Number(e.target.value))}
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Resolve (h)
+                  <input
+                    type="number"
+                    min={1}
+                    value={resolveHours}
+                    onChange={(e) => setResolveHours(Number(e.target.value))}
+                    className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </label>
+                <button
+                  onClick={createPolicy}
+                  className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  <Plus className="w-4 h-4 mr-1" />
+                  Add policy
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, EyeOff } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { Issue } from '@/types';
+
+const usersUrl = 'http://localhost:5001/api/users';
+
+const appealStatusLabels = {
+  pending: 'Your appeal is waiting for a moderator.',
+  granted: 'Your appeal was granted.',
+  denied: 'Your appeal was denied.'
+};
+
+export default function AppealPage() {
+  const { isAuthenticated, loading: authLoading, token } = useAuth();
+  const router = useRouter();
+  const [issue, setIssue] = useState<Issue | null>(null);
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    if (!isAuthenticated) {
+      router.push('/login');
+      return;
+    }
+    fetchIssue();
+  }, [authLoading, isAuthenticated]);
+
+  const fetchIssue = async () => {
+    const issueId = new URLSearchParams(window.location.search).get('issue');
+    try {
+      const response = await fetch(`${usersUrl}/issues/${issueId}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (response.ok) {
+        setIssue((await response.json()).issue);
+      } else {
+        toast.error('Issue not found');
+      }
+    } catch (error) {
+      toast.error('Error loading issue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const submitAppeal = async () => {
+    if (!issue) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await fetch(`${usersUrl}/issues/${issue.id}/appeal`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ message }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        toast.success('Appeal submitted');
+        setIssue({
+          ...issue,
+          moderation: issue.moderation && { ...issue.moderation, appeal_status: data.appeal_status, appeal_message: message },
+        });
+      } else {
+        toast.error(data.errors?.[0]?.msg || data.message || 'Failed to submit appeal');
+      }
+    } catch (error) {
+      toast.error('Error submitting appeal');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const appealStatus = issue?.moderation?.appeal_status;
+  const canAppeal = issue?.is_hidden && !issue.is_deleted && issue.moderation?.hidden_at && !appealStatus;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <EyeOff className="w-6 h-6 mr-2 text-blue-600" />
+            Appeal a hidden report
+          </h1>
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : !issue ? (
+        <p className="max-w-3xl mx-auto px-4 py-8 text-gray-600">This report could not be found.</p>
+      ) : (
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="bg-white rounded-lg shadow-sm border p-6 space-y-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">{issue.title}</h2>
+              <p className="text-gray-600 mt-1">{issue.description}</p>
+            </div>
+
+            {!issue.is_hidden ? (
+              <p className="text-sm text-green-700">This report is visible to everyone.</p>
+            ) : (
+              <div className="text-sm text-gray-700 space-y-1">
+                <p>
+                  This report was hidden {issue.moderation?.hidden_by ? 'by a moderator' : 'after several users flagged it'}
+                  {issue.moderation?.hidden_at && ` on ${new Date(issue.moderation.hidden_at).toLocaleString()}`}.
+                </p>
+                {issue.moderation?.hidden_reason && (
+                  <p><span className="font-medium">Reason:</span> {issue.moderation.hidden_reason}</p>
+                )}
+              </div>
+            )}
+
+            {appealStatus && (
+              <p className="text-sm font-medium text-gray-900">{appealStatusLabels[appealStatus]}</p>
+            )}
+
+            {canAppeal && (
+              <div className="space-y-3">
+                <label className="block text-sm font-medium text-gray-700" htmlFor="appeal-message">
+                  Why should this report be visible again?
+                </label>
+                <textarea
+                  id="appeal-message"
+                  value={message}
+                  onChange={(e) => setMessage(e.target.value)}
+                  rows={4}
+                  maxLength={1000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+                <button
+                  onClick={submitAppeal}
+                  disabled={submitting || message.trim().length < 10}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  Submit appeal
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
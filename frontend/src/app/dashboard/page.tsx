@@ -3,15 +3,22 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
-import { Plus, MapPin, AlertTriangle, TrendingUp, Users, Shield, Globe, Eye, PlusCircle, Filter, Search } from 'lucide-react';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { Plus, MapPin, AlertTriangle, TrendingUp, Users, Shield, Globe, Eye, PlusCircle, Filter, Search, List, Map as MapIcon, Bell, Clock, Flag, Monitor, ShieldCheck, Mail } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import CreateIssueModal from '@/components/CreateIssueModal';
 import IssueCard from '@/components/IssueCard';
 import IssueFilters from '@/components/IssueFilters';
+import FollowingPanel from '@/components/FollowingPanel';
 import { Issue } from '@/types';
+import { can, roleLabels } from '@/lib/permissions';
+
+// The map touches window/WebGL, so it is only rendered in the browser
+const IssueMap = dynamic(() => import('@/components/IssueMap'), { ssr: false });
 
 export default function Dashboard() {
-  const { user, token, logout } = useAuth();
+  const { user, token, logout, resendVerification } = useAuth();
   const router = useRouter();
   const [issues, setIssues] = useState<Issue[]>([]);
   const [loading, setLoading] = useState(true);
@@ -22,6 +29,19 @@ export default function Dashboard() {
     distance: '5'
   });
   const [searchTerm, setSearchTerm] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [view, setView] = useState<'list' | 'map'>('list');
+  const [tab, setTab] = useState<'all' | 'following'>('all');
+  const [position, setPosition] = useState<{ latitude: number; longitude: number } | null>(null);
+  const [live, setLive] = useState(false);
+
+  // Show issues around the user when the browser shares a location
+  useEffect(() => {
+    navigator.geolocation?.getCurrentPosition(
+      ({ coords }) => setPosition({ latitude: coords.latitude, longitude: coords.longitude }),
+      () => setPosition(null)
+    );
+  }, []);
 
   useEffect(() => {
     if (!user) {
@@ -29,11 +49,78 @@ export default function Dashboard() {
       return;
     }
     fetchIssues();
-  }, [user, filters]);
+  }, [user, filters, searchQuery, position]);
+
+  // Apply issue events from the server as they happen
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    const params = new URLSearchParams({ category: filters.category });
+    if (position) {
+      params.set('latitude', position.latitude.toString());
+      params.set('longitude', position.longitude.toString());
+      params.set('radius', filters.distance);
+    }
+
+    const matchesStatus = (issue: Issue) => filters.status === 'all' || issue.status === filters.status;
+    const source = new EventSource(`http://localhost:5001/api/issues/stream?${params}`);
+
+    source.onopen = () => setLive(true);
+    source.onerror = () => setLive(false);
+
+    source.addEventListener('issue_created', (event) => {
+      const issue: Issue = JSON.parse((event as MessageEvent).data);
+      // Search results are ranked server-side, so new issues wait for the next search
+      if (!searchQuery && matchesStatus(issue)) {
+        flashNewIssue(issue);
+      }
+    });
+
+    source.addEventListener('issue_updated', (event) => {
+      const issue: Issue = JSON.parse((event as MessageEvent).data);
+      setIssues(prevIssues => {
+        const exists = prevIssues.some(item => item.id === issue.id);
+        if (!matchesStatus(issue)) {
+          return prevIssues.filter(item => item.id !== issue.id);
+        }
+        if (exists) {
+          return prevIssues.map(item => item.id === issue.id ? { ...item, ...issue } : item);
+        }
+        return searchQuery ? prevIssues : [issue, ...prevIssues];
+      });
+    });
+
+    source.addEventListener('issue_hidden', (event) => {
+      const { id } = JSON.parse((event as MessageEvent).data);
+      setIssues(prevIssues => prevIssues.filter(item => item.id !== id));
+    });
+
+    return () => {
+      source.close();
+      setLive(false);
+    };
+  }, [user, filters, searchQuery, position]);
+
+  // Search server-side once the user pauses typing
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearchQuery(searchTerm.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
 
   const fetchIssues = async () => {
     try {
-      const response = await fetch(`http://localhost:5001/api/issues?${new URLSearchParams(filters as any)}`, {
+      const params = new URLSearchParams(filters);
+      if (searchQuery) {
+        params.set('q', searchQuery);
+      }
+      if (position) {
+        params.set('latitude', position.latitude.toString());
+        params.set('longitude', position.longitude.toString());
+        params.set('radius', filters.distance);
+      }
+      const response = await fetch(`http://localhost:5001/api/issues?${params}`, {
         headers: {
           'Authorization': `Bearer ${token}`,
         },
@@ -51,6 +138,22 @@ export default function Dashboard() {
     }
   };
 
+  // Add an issue to the top of the list, highlighted for a few seconds
+  const flashNewIssue = (issue: Issue) => {
+    setIssues(prevIssues => prevIssues.some(item => item.id === issue.id)
+      ? prevIssues
+      : [{ ...issue, isNewlyCreated: true }, ...prevIssues]);
+
+    // Remove the "newly created" flag after 3 seconds
+    setTimeout(() => {
+      setIssues(prevIssues =>
+        prevIssues.map(item =>
+          item.id === issue.id ? { ...item, isNewlyCreated: false } : item
+        )
+      );
+    }, 3000);
+  };
+
   const handleCreateIssue = async (issueData: any) => {
     try {
       const formData = new FormData();
@@ -63,6 +166,9 @@ export default function Dashboard() {
       formData.append('longitude', issueData.longitude || '0');
       formData.append('address', issueData.address || '');
       formData.append('is_anonymous', issueData.is_anonymous || 'false');
+      if (issueData.ignore_duplicates) {
+        formData.append('ignore_duplicates', 'true');
+      }
       
       // Add images if any
       if (issueData.images && issueData.images.length > 0) {
@@ -84,22 +190,10 @@ export default function Dashboard() {
         toast.success(result.message || 'Issue created successfully!');
         setShowCreateModal(false);
         
-        // Add the new issue to the current list for immediate feedback
+        // Add the new issue to the current list for immediate feedback;
+        // the live stream may have delivered it already
         if (result.issue) {
-          // Mark the new issue as recently created
-          const newIssue = { ...result.issue, isNewlyCreated: true };
-          setIssues(prevIssues => [newIssue, ...prevIssues]);
-          
-          // Remove the "newly created" flag after 3 seconds
-          setTimeout(() => {
-            setIssues(prevIssues => 
-              prevIssues.map(issue => 
-                issue.id === result.issue.id || issue._id === result.issue._id 
-                  ? { ...issue, isNewlyCreated: false }
-                  : issue
-              )
-            );
-          }, 3000);
+          flashNewIssue(result.issue);
         } else {
           // Fallback: refetch all issues
           fetchIssues();
@@ -113,17 +207,19 @@ export default function Dashboard() {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      toast.success(await resendVerification());
+    } catch (error: any) {
+      toast.error(error.message);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     router.push('/');
   };
 
-  const filteredIssues = issues.filter(issue =>
-    issue.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    issue.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    issue.category.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-
   if (!user) {
     return null;
   }
@@ -137,11 +233,59 @@ export default function Dashboard() {
             <div className="flex items-center space-x-4">
               <h1 className="text-2xl font-bold text-gray-900">CivicTrack Dashboard</h1>
               <span className="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium">
-                {user.role === 'admin' ? 'Admin' : 'User'}
+                {roleLabels[user.role] || 'Citizen'}
               </span>
             </div>
             <div className="flex items-center space-x-4">
               <span className="text-gray-600">Welcome, {user.name}</span>
+              {can(user, 'admin:access') && (
+                <Link
+                  href="/admin/sla"
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Clock className="w-4 h-4 mr-2" />
+                  SLA
+                </Link>
+              )}
+              {can(user, 'issues:moderate') && (
+                <Link
+                  href="/admin/moderation"
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Flag className="w-4 h-4 mr-2" />
+                  Moderation
+                </Link>
+              )}
+              {can(user, 'roles:manage') && (
+                <Link
+                  href="/admin/roles"
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <Shield className="w-4 h-4 mr-2" />
+                  Roles
+                </Link>
+              )}
+              <Link
+                href="/security"
+                className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                Security
+              </Link>
+              <Link
+                href="/notifications"
+                className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Mail className="w-4 h-4 mr-2" />
+                Notifications
+              </Link>
+              <Link
+                href="/sessions"
+                className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Monitor className="w-4 h-4 mr-2" />
+                Sessions
+              </Link>
               <button
                 onClick={handleLogout}
                 className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
@@ -154,6 +298,29 @@ export default function Dashboard() {
       </header>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Email verification reminder */}
+        {!user.is_verified && (
+          <div className="mb-8 px-4 py-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center justify-between text-sm text-yellow-800">
+            <span>Verify your email address to vote and to report issues under your name.</span>
+            <button
+              onClick={handleResendVerification}
+              className="ml-4 font-medium text-yellow-900 underline hover:no-underline"
+            >
+              Resend verification email
+            </button>
+          </div>
+        )}
+
+        {/* Staff can't use their permissions until two-factor authentication is on */}
+        {user.two_factor_required && !user.two_factor_enabled && (
+          <div className="mb-8 px-4 py-3 bg-red-50 border border-red-200 rounded-lg flex items-center justify-between text-sm text-red-800">
+            <span>Your role requires two-factor authentication. Staff features stay locked until you set it up.</span>
+            <Link href="/security" className="ml-4 font-medium text-red-900 underline hover:no-underline">
+              Set it up now
+            </Link>
+          </div>
+        )}
+
         {/* Stats Section */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
           <div className="bg-white p-6 rounded-lg shadow-sm border">
@@ -238,39 +405,100 @@ export default function Dashboard() {
           </div>
         </div>
 
-        {/* Filters */}
-        <IssueFilters filters={filters} onFiltersChange={setFilters} />
+        {/* Tabs */}
+        <div className="flex space-x-6 border-b border-gray-200 mb-6">
+          <button
+            onClick={() => setTab('all')}
+            className={`pb-3 text-sm font-medium border-b-2 transition-colors ${
+              tab === 'all' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            All Issues
+          </button>
+          <button
+            onClick={() => setTab('following')}
+            className={`flex items-center pb-3 text-sm font-medium border-b-2 transition-colors ${
+              tab === 'following' ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            <Bell className="w-4 h-4 mr-1" />
+            Following
+          </button>
+        </div>
 
-        {/* Issues List */}
-        <div className="bg-white rounded-lg shadow-sm border">
-          <div className="p-6 border-b">
-            <h2 className="text-xl font-semibold text-gray-900">Recent Issues</h2>
+        {tab === 'following' ? (
+          <div className="bg-white rounded-lg shadow-sm border">
+            <FollowingPanel />
           </div>
+        ) : (
+          <>
+            {/* Filters */}
+            <IssueFilters filters={filters} onFiltersChange={setFilters} />
+
+            {/* Issues List */}
+            <div className="bg-white rounded-lg shadow-sm border">
+              <div className="p-6 border-b flex justify-between items-center">
+                <div className="flex items-center space-x-3">
+                  <h2 className="text-xl font-semibold text-gray-900">
+                    {view === 'map' ? 'Issue Map' : 'Recent Issues'}
+                  </h2>
+                  {live && (
+                    <span className="flex items-center text-xs font-medium text-green-700">
+                      <span className="w-2 h-2 mr-1 rounded-full bg-green-500 animate-pulse" />
+                      Live
+                    </span>
+                  )}
+                </div>
+                <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                  <button
+                    onClick={() => setView('list')}
+                    className={`flex items-center px-3 py-1.5 text-sm transition-colors ${
+                      view === 'list' ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <List className="w-4 h-4 mr-1" />
+                    List
+                  </button>
+                  <button
+                    onClick={() => setView('map')}
+                    className={`flex items-center px-3 py-1.5 text-sm transition-colors ${
+                      view === 'map' ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <MapIcon className="w-4 h-4 mr-1" />
+                    Map
+                  </button>
+                </div>
+              </div>
           
-          {loading ? (
-            <div className="p-8 text-center">
-              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-              <p className="mt-4 text-gray-600">Loading issues...</p>
+              {view === 'map' ? (
+                <IssueMap filters={filters} />
+              ) : loading ? (
+                <div className="p-8 text-center">
+                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                  <p className="mt-4 text-gray-600">Loading issues...</p>
+                </div>
+              ) : issues.length === 0 ? (
+                <div className="p-8 text-center">
+                  <AlertTriangle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-600">No issues found</p>
+                  <button
+                    onClick={() => setShowCreateModal(true)}
+                    className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    Report First Issue
+                  </button>
+                </div>
+              ) : (
+                <div className="divide-y divide-gray-200">
+                  {issues.map((issue) => (
+                    <IssueCard key={issue._id} issue={issue} onUpdate={fetchIssues} />
+                  ))}
+                </div>
+              )}
             </div>
-          ) : filteredIssues.length === 0 ? (
-            <div className="p-8 text-center">
-              <AlertTriangle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600">No issues found</p>
-              <button
-                onClick={() => setShowCreateModal(true)}
-                className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-              >
-                Report First Issue
-              </button>
-            </div>
-          ) : (
-            <div className="divide-y divide-gray-200">
-              {filteredIssues.map((issue) => (
-                <IssueCard key={issue._id} issue={issue} onUpdate={fetchIssues} />
-              ))}
-            </div>
-          )}
-        </div>
+          </>
+        )}
       </div>
 
       {/* Create Issue Modal */}
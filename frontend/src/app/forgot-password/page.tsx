@@ -0,0 +1,132 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { Mail } from 'lucide-react';
+
+interface ForgotPasswordForm {
+  email: string;
+}
+
+export default function ForgotPasswordPage() {
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentTo, setSentTo] = useState<string | null>(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ForgotPasswordForm>();
+
+  const onSubmit = async (data: ForgotPasswordForm) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('http://localhost:5001/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: data.email }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setSentTo(data.email);
+      } else {
+        toast.error(result.errors?.[0]?.msg || result.message || 'Failed to request a reset link');
+      }
+    } catch (error) {
+      toast.error('Could not reach the server, please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-primary-600">CivicTrack</h1>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Remembered it?{' '}
+            <Link
+              href="/login"
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              Sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card">
+          <div className="card-body">
+            {sentTo ? (
+              <div className="text-center space-y-4">
+                <Mail className="h-12 w-12 text-primary-600 mx-auto" />
+                <p className="text-sm text-gray-600">
+                  If an account exists for <span className="font-medium text-gray-900">{sentTo}</span>,
+                  we have emailed it a link to choose a new password. The link works once and expires within the hour.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => setSentTo(null)}
+                  className="btn-secondary w-full flex justify-center py-2 px-4"
+                >
+                  Use a different email
+                </button>
+              </div>
+            ) : (
+              <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                <p className="text-sm text-gray-600">
+                  Enter the email address you signed up with and we will send you a reset link.
+                </p>
+
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                    Email address
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: 'Invalid email address',
+                        },
+                      })}
+                      className={`input pl-10 ${errors.email ? 'input-error' : ''}`}
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="btn-primary w-full flex justify-center py-2 px-4"
+                  >
+                    {isLoading ? 'Sending...' : 'Send reset link'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
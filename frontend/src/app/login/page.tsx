@@ -6,7 +6,7 @@ import { useRouter } from 'next/navigation';
 import { useForm } from 'react-hook-form';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '@/contexts/AuthContext';
-import { Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, KeyRound } from 'lucide-react';
 
 interface LoginForm {
   email: string;
@@ -16,7 +16,9 @@ interface LoginForm {
 export default function LoginPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const router = useRouter();
 
   const {
@@ -28,7 +30,11 @@ export default function LoginPage() {
   const onSubmit = async (data: LoginForm) => {
     setIsLoading(true);
     try {
-      await login(data.email, data.password);
+      const result = await login(data.email, data.password);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken || null);
+        return;
+      }
       toast.success('Login successful!');
       router.push('/dashboard');
     } catch (error: any) {
@@ -38,6 +44,29 @@ export default function LoginPage() {
     }
   };
 
+  const onSubmitCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challengeToken) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await verifyTwoFactor(challengeToken, code);
+      toast.success('Login successful!');
+      router.push('/dashboard');
+    } catch (error: any) {
+      toast.error(error.message || 'Verification failed');
+      // An expired challenge means starting over with the password
+      if (error.message?.includes('sign in again')) {
+        setChallengeToken(null);
+        setCode('');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
       <div className="sm:mx-auto sm:w-full sm:max-w-md">
@@ -61,107 +90,156 @@ export default function LoginPage() {
       <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
         <div className="card">
           <div className="card-body">
-            <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                  Email address
-                </label>
-                <div className="mt-1 relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Mail className="h-5 w-5 text-gray-400" />
+            {challengeToken ? (
+              <form className="space-y-6" onSubmit={onSubmitCode}>
+                <div>
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                    Authentication code
+                  </label>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                  </p>
+                  <div className="mt-2 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <KeyRound className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="code"
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      autoFocus
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      className="input pl-10"
+                      placeholder="123456"
+                    />
                   </div>
-                  <input
-                    id="email"
-                    type="email"
-                    autoComplete="email"
-                    {...register('email', {
-                      required: 'Email is required',
-                      pattern: {
-                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                        message: 'Invalid email address',
-                      },
-                    })}
-                    className={`input pl-10 ${errors.email ? 'input-error' : ''}`}
-                    placeholder="Enter your email"
-                  />
                 </div>
-                {errors.email && (
-                  <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
-                )}
-              </div>
 
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                  Password
-                </label>
-                <div className="mt-1 relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Lock className="h-5 w-5 text-gray-400" />
-                  </div>
-                  <input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    autoComplete="current-password"
-                    {...register('password', {
-                      required: 'Password is required',
-                      minLength: {
-                        value: 6,
-                        message: 'Password must be at least 6 characters',
-                      },
-                    })}
-                    className={`input pl-10 pr-10 ${errors.password ? 'input-error' : ''}`}
-                    placeholder="Enter your password"
-                  />
+                <div className="space-y-3">
+                  <button
+                    type="submit"
+                    disabled={isLoading || !code.trim()}
+                    className="btn-primary w-full flex justify-center py-2 px-4"
+                  >
+                    {isLoading ? 'Verifying...' : 'Verify'}
+                  </button>
                   <button
                     type="button"
-                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                    onClick={() => setShowPassword(!showPassword)}
+                    onClick={() => {
+                      setChallengeToken(null);
+                      setCode('');
+                    }}
+                    className="btn-secondary w-full flex justify-center py-2 px-4"
                   >
-                    {showPassword ? (
-                      <EyeOff className="h-5 w-5 text-gray-400" />
-                    ) : (
-                      <Eye className="h-5 w-5 text-gray-400" />
-                    )}
+                    Back
                   </button>
                 </div>
-                {errors.password && (
-                  <p className="mt-1 text-sm text-danger-600">{errors.password.message}</p>
-                )}
-              </div>
+              </form>
+            ) : (
+              <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                    Email address
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      type="email"
+                      autoComplete="email"
+                      {...register('email', {
+                        required: 'Email is required',
+                        pattern: {
+                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                          message: 'Invalid email address',
+                        },
+                      })}
+                      className={`input pl-10 ${errors.email ? 'input-error' : ''}`}
+                      placeholder="Enter your email"
+                    />
+                  </div>
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
+                  )}
+                </div>
 
-              <div className="flex items-center justify-between">
-                <div className="flex items-center">
-                  <input
-                    id="remember-me"
-                    name="remember-me"
-                    type="checkbox"
-                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                  />
-                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                    Remember me
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
                   </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters',
+                        },
+                      })}
+                      className={`input pl-10 pr-10 ${errors.password ? 'input-error' : ''}`}
+                      placeholder="Enter your password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.password.message}</p>
+                  )}
                 </div>
 
-                <div className="text-sm">
-                  <Link
-                    href="/forgot-password"
-                    className="font-medium text-primary-600 hover:text-primary-500"
-                  >
-                    Forgot your password?
-                  </Link>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center">
+                    <input
+                      id="remember-me"
+                      name="remember-me"
+                      type="checkbox"
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                      Remember me
+                    </label>
+                  </div>
+
+                  <div className="text-sm">
+                    <Link
+                      href="/forgot-password"
+                      className="font-medium text-primary-600 hover:text-primary-500"
+                    >
+                      Forgot your password?
+                    </Link>
+                  </div>
                 </div>
-              </div>
 
-              <div>
-                <button
-                  type="submit"
-                  disabled={isLoading}
-                  className="btn-primary w-full flex justify-center py-2 px-4"
-                >
-                  {isLoading ? 'Signing in...' : 'Sign in'}
-                </button>
-              </div>
-            </form>
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="btn-primary w-full flex justify-center py-2 px-4"
+                  >
+                    {isLoading ? 'Signing in...' : 'Sign in'}
+                  </button>
+                </div>
+              </form>
+            )}
 
             <div className="mt-6">
               <div className="relative">
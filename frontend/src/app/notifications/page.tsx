@@ -0,0 +1,125 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Mail } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { NotificationPreferences, UserRole } from '@/types';
+
+const profileUrl = 'http://localhost:5001/api/auth/profile';
+
+const preferenceOptions: Array<{
+  key: keyof NotificationPreferences;
+  label: string;
+  description: string;
+  roles?: UserRole[]; // only shown to users who can receive it
+}> = [
+  {
+    key: 'status_change',
+    label: 'Status changes',
+    description: 'When an issue you reported or follow changes status.',
+  },
+  {
+    key: 'sla_breach',
+    label: 'SLA escalations',
+    description: 'When an issue in your department misses its SLA deadline.',
+    roles: ['department_head', 'super_admin'],
+  },
+];
+
+export default function NotificationSettingsPage() {
+  const { user, isAuthenticated, loading: authLoading, token, refreshUser } = useAuth();
+  const router = useRouter();
+  const [savingKey, setSavingKey] = useState<keyof NotificationPreferences | null>(null);
+
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      router.push('/login');
+    }
+  }, [authLoading, isAuthenticated]);
+
+  const togglePreference = async (key: keyof NotificationPreferences, enabled: boolean) => {
+    setSavingKey(key);
+    try {
+      const response = await fetch(profileUrl, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ notification_preferences: { [key]: enabled } }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        toast.success(enabled ? 'Emails turned on' : 'Emails turned off');
+        await refreshUser();
+      } else {
+        toast.error(data.errors?.[0]?.msg || data.message || 'Failed to save your preferences');
+      }
+    } catch (error) {
+      toast.error('Error saving your preferences');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (authLoading || !user) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const options = preferenceOptions.filter((option) => !option.roles || option.roles.includes(user.role));
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <Mail className="w-6 h-6 mr-2 text-blue-600" />
+            Notifications
+          </h1>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="bg-white rounded-lg shadow-sm border">
+          <h2 className="px-4 py-3 border-b font-medium text-gray-900">Email me about</h2>
+          <ul className="divide-y">
+            {options.map((option) => {
+              const enabled = user.notification_preferences?.[option.key] !== false;
+              return (
+                <li key={option.key} className="px-4 py-4 text-sm flex items-start justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">{option.label}</p>
+                    <p className="text-gray-500">{option.description}</p>
+                  </div>
+                  <label className="flex items-center space-x-2 ml-4 text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={enabled}
+                      disabled={savingKey !== null}
+                      onChange={(e) => togglePreference(option.key, e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span>{enabled ? 'On' : 'Off'}</span>
+                  </label>
+                </li>
+              );
+            })}
+          </ul>
+          <p className="px-4 py-3 border-t text-xs text-gray-500">
+            You still see every notification in the app. Account emails, such as password resets, are always sent.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -20,7 +20,8 @@ export default function RegisterPage() {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const { register: registerUser } = useAuth();
+  const [registeredEmail, setRegisteredEmail] = useState<string | null>(null);
+  const { register: registerUser, resendVerification } = useAuth();
   const router = useRouter();
 
   const {
@@ -37,7 +38,7 @@ export default function RegisterPage() {
     try {
       await registerUser(data.email, data.password, data.name, data.phone);
       toast.success('Registration successful! Welcome to CivicTrack!');
-      router.push('/dashboard');
+      setRegisteredEmail(data.email);
     } catch (error: any) {
       toast.error(error.message || 'Registration failed');
     } finally {
@@ -45,6 +46,51 @@ export default function RegisterPage() {
     }
   };
 
+  const handleResend = async () => {
+    setIsLoading(true);
+    try {
+      toast.success(await resendVerification());
+    } catch (error: any) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (registeredEmail) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <div className="card">
+            <div className="card-body text-center space-y-4">
+              <Mail className="h-12 w-12 text-primary-600 mx-auto" />
+              <h2 className="text-2xl font-bold text-gray-900">Check your inbox</h2>
+              <p className="text-sm text-gray-600">
+                We sent a link to <span className="font-medium text-gray-900">{registeredEmail}</span>.
+                Open it to verify your email address, so you can vote and report issues under your name.
+              </p>
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={isLoading}
+                className="btn-secondary w-full flex justify-center py-2 px-4"
+              >
+                Resend the email
+              </button>
+              <button
+                type="button"
+                onClick={() => router.push('/dashboard')}
+                className="btn-primary w-full flex justify-center py-2 px-4"
+              >
+                Continue to the dashboard
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
       <div className="sm:mx-auto sm:w-full sm:max-w-md">
@@ -0,0 +1,164 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { Eye, EyeOff, Lock } from 'lucide-react';
+
+interface ResetPasswordForm {
+  password: string;
+  confirmPassword: string;
+}
+
+export default function ResetPasswordPage() {
+  const [token, setToken] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const router = useRouter();
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm<ResetPasswordForm>();
+
+  const password = watch('password');
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get('token') || '');
+  }, []);
+
+  const onSubmit = async (data: ResetPasswordForm) => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('http://localhost:5001/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password: data.password }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        toast.success('Password reset, please sign in');
+        router.push('/login');
+      } else {
+        toast.error(result.errors?.[0]?.msg || result.message || 'Failed to reset password');
+      }
+    } catch (error) {
+      toast.error('Could not reach the server, please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-primary-600">CivicTrack</h1>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            You will be signed out on all your devices.
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card">
+          <div className="card-body">
+            {!token ? (
+              <div className="text-center space-y-4">
+                <p className="text-sm text-gray-600">
+                  This reset link is incomplete. Open the link from the email again, or request a new one.
+                </p>
+                <Link href="/forgot-password" className="btn-primary w-full flex justify-center py-2 px-4">
+                  Request a new link
+                </Link>
+              </div>
+            ) : (
+              <form className="space-y-6" onSubmit={handleSubmit(onSubmit)}>
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    New password
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="new-password"
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters',
+                        },
+                      })}
+                      className={`input pl-10 pr-10 ${errors.password ? 'input-error' : ''}`}
+                      placeholder="Enter a new password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.password.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+                    Confirm new password
+                  </label>
+                  <div className="mt-1 relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="confirmPassword"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="new-password"
+                      {...register('confirmPassword', {
+                        required: 'Please confirm your password',
+                        validate: (value) => value === password || 'Passwords do not match',
+                      })}
+                      className={`input pl-10 ${errors.confirmPassword ? 'input-error' : ''}`}
+                      placeholder="Repeat the new password"
+                    />
+                  </div>
+                  {errors.confirmPassword && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.confirmPassword.message}</p>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="btn-primary w-full flex justify-center py-2 px-4"
+                  >
+                    {isLoading ? 'Saving...' : 'Reset password'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, ShieldCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+
+const twoFactorUrl = 'http://localhost:5001/api/auth/2fa';
+
+interface Enrollment {
+  secret: string;
+  otpauth_url: string;
+}
+
+export default function SecurityPage() {
+  const { user, isAuthenticated, loading: authLoading, token, refreshUser } = useAuth();
+  const router = useRouter();
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!authLoading && !isAuthenticated) {
+      router.push('/login');
+    }
+  }, [authLoading, isAuthenticated]);
+
+  const post = async (path: string, body: Record<string, string> = {}) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`${twoFactorUrl}/${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        toast.error(data.errors?.[0]?.msg || data.message || 'Something went wrong');
+        return null;
+      }
+      return data;
+    } catch (error) {
+      toast.error('Could not reach the server, please try again');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startSetup = async () => {
+    const data = await post('setup');
+    if (data) {
+      setEnrollment({ secret: data.secret, otpauth_url: data.otpauth_url });
+      setCode('');
+    }
+  };
+
+  const confirmSetup = async () => {
+    const data = await post('enable', { code });
+    if (data) {
+      toast.success('Two-factor authentication is on');
+      setEnrollment(null);
+      setBackupCodes(data.backup_codes);
+      setCode('');
+      await refreshUser();
+    }
+  };
+
+  const newBackupCodes = async () => {
+    const data = await post('backup-codes', { code });
+    if (data) {
+      setBackupCodes(data.backup_codes);
+      setCode('');
+    }
+  };
+
+  const disable = async () => {
+    const data = await post('disable', { password, code });
+    if (data) {
+      toast.success('Two-factor authentication is off');
+      setCode('');
+      setPassword('');
+      await refreshUser();
+    }
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4">
+          <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <ShieldCheck className="w-6 h-6 mr-2 text-blue-600" />
+            Security
+          </h1>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div className="bg-white rounded-lg shadow-sm border p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+            <span
+              className={`px-2 py-1 rounded-full text-xs font-medium ${
+                user.two_factor_enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {user.two_factor_enabled ? 'On' : 'Off'}
+            </span>
+          </div>
+          <p className="text-sm text-gray-600">
+            Signing in also asks for a code from an authenticator app such as Google Authenticator, Authy or 1Password.
+            {user.two_factor_required && ' Staff accounts need it to use their permissions.'}
+          </p>
+
+          {backupCodes && (
+            <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-yellow-800">
+                Save these backup codes somewhere safe. Each one signs you in once if you lose your phone; they won&apos;t be shown again.
+              </p>
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+                {backupCodes.map((backupCode) => (
+                  <li key={backupCode}>{backupCode}</li>
+                ))}
+              </ul>
+              <button
+                onClick={() => setBackupCodes(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                I have saved them
+              </button>
+            </div>
+          )}
+
+          {!user.two_factor_enabled && !enrollment && (
+            <button
+              onClick={startSetup}
+              disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Set up two-factor authentication
+            </button>
+          )}
+
+          {!user.two_factor_enabled && enrollment && (
+            <div className="space-y-3 text-sm">
+              <p className="text-gray-700">
+                Add CivicTrack to your authenticator app: on your phone,{' '}
+                <a href={enrollment.otpauth_url} className="font-medium text-blue-600 hover:underline">open this link</a>,
+                or enter this key by hand:
+              </p>
+              <p className="font-mono text-gray-900 break-all bg-gray-50 border rounded-lg px-3 py-2">
+                {enrollment.secret.match(/.{1,4}/g)?.join(' ')}
+              </p>
+              <label className="block font-medium text-gray-700" htmlFor="setup-code">
+                Then enter the 6-digit code the app shows
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  id="setup-code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-40 px-3 py-2 border border-gray-300 rounded-lg"
+                  placeholder="123456"
+                />
+                <button
+                  onClick={confirmSetup}
+                  disabled={saving || !code.trim()}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                  Turn on
+                </button>
+              </div>
+            </div>
+          )}
+
+          {user.two_factor_enabled && (
+            <div className="space-y-3 text-sm">
+              <label className="block font-medium text-gray-700" htmlFor="current-code">
+                Current authentication code
+              </label>
+              <input
+                id="current-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-40 px-3 py-2 border border-gray-300 rounded-lg"
+                placeholder="123456"
+              />
+              {!user.two_factor_required && (
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="block w-64 px-3 py-2 border border-gray-300 rounded-lg"
+                  placeholder="Password, to turn it off"
+                />
+              )}
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={newBackupCodes}
+                  disabled={saving || !code.trim()}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Generate new backup codes
+                </button>
+                {!user.two_factor_required && (
+                  <button
+                    onClick={disable}
+                    disabled={saving || !code.trim() || !password}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                  >
+                    Turn off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
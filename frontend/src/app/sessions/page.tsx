@@ -0,0 +1,160 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { ArrowLeft, Monitor } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { UserSession } from '@/types';
+
+const sessionsUrl = 'http://localhost:5001/api/users/sessions';
+
+export default function SessionsPage() {
+  const { isAuthenticated, loading: authLoading, token, logout } = useAuth();
+  const router = useRouter();
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+    if (!isAuthenticated) {
+      router.push('/login');
+      return;
+    }
+    fetchSessions();
+  }, [authLoading, isAuthenticated]);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await fetch(sessionsUrl, { headers: authHeaders });
+      if (response.ok) {
+        setSessions((await response.json()).sessions || []);
+      } else {
+        toast.error('Failed to load your sessions');
+      }
+    } catch (error) {
+      toast.error('Error loading your sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (session: UserSession) => {
+    setRevokingId(session.id);
+    try {
+      const response = await fetch(`${sessionsUrl}/${session.id}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        toast.error(data.message || 'Failed to sign out the session');
+      } else if (data.current) {
+        logout();
+        router.push('/login');
+      } else {
+        toast.success('Session signed out');
+        setSessions((current) => current.filter((item) => item.id !== session.id));
+      }
+    } catch (error) {
+      toast.error('Error signing out the session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    setRevokingId('others');
+    try {
+      const response = await fetch(sessionsUrl, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      const data = await response.json();
+      if (response.ok) {
+        toast.success(data.revoked === 1 ? 'Signed out of 1 other session' : `Signed out of ${data.revoked} other sessions`);
+        setSessions((current) => current.filter((item) => item.current));
+      } else {
+        toast.error(data.message || 'Failed to sign out the other sessions');
+      }
+    } catch (error) {
+      toast.error('Error signing out the other sessions');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <Link href="/dashboard" className="text-gray-500 hover:text-gray-700">
+              <ArrowLeft className="w-5 h-5" />
+            </Link>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Monitor className="w-6 h-6 mr-2 text-blue-600" />
+              Sessions
+            </h1>
+          </div>
+          {sessions.length > 1 && (
+            <button
+              onClick={revokeOtherSessions}
+              disabled={revokingId !== null}
+              className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+            >
+              Sign out everywhere else
+            </button>
+          )}
+        </div>
+      </header>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : (
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="bg-white rounded-lg shadow-sm border">
+            <h2 className="px-4 py-3 border-b font-medium text-gray-900">Devices signed in to your account</h2>
+            {sessions.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500">No active sessions.</p>
+            ) : (
+              <ul className="divide-y">
+                {sessions.map((session) => (
+                  <li key={session.id} className="px-4 py-4 text-sm flex items-start justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {session.device || 'Unknown device'}
+                        {session.current && (
+                          <span className="ml-2 px-2 py-1 bg-green-100 text-green-800 rounded-full text-xs font-medium">This device</span>
+                        )}
+                      </p>
+                      <p className="text-gray-500">
+                        {session.ip || 'Unknown IP'} · last active {new Date(session.last_used_at).toLocaleString()}
+                      </p>
+                      <p className="text-gray-400">Signed in {new Date(session.created_at).toLocaleString()}</p>
+                    </div>
+                    <button
+                      onClick={() => revokeSession(session)}
+                      disabled={revokingId !== null}
+                      className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                    >
+                      Sign out
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
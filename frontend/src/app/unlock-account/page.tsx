@@ -0,0 +1,71 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+export default function UnlockAccountPage() {
+  const [status, setStatus] = useState<'unlocking' | 'unlocked' | 'failed'>('unlocking');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    unlockAccount();
+  }, []);
+
+  const unlockAccount = async () => {
+    const token = new URLSearchParams(window.location.search).get('token') || '';
+    try {
+      const response = await fetch('http://localhost:5001/api/auth/unlock', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json();
+      setMessage(data.errors?.[0]?.msg || data.message);
+      setStatus(response.ok ? 'unlocked' : 'failed');
+    } catch (error) {
+      setMessage('Could not reach the server, please try again');
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card">
+          <div className="card-body text-center space-y-4">
+            {status === 'unlocking' ? (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : status === 'unlocked' ? (
+              <>
+                <CheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+                <h2 className="text-2xl font-bold text-gray-900">Account unlocked</h2>
+                <p className="text-sm text-gray-600">
+                  {message}. If you don&apos;t remember your password, reset it instead of guessing.
+                </p>
+              </>
+            ) : (
+              <>
+                <XCircle className="h-12 w-12 text-red-600 mx-auto" />
+                <h2 className="text-2xl font-bold text-gray-900">Unlock failed</h2>
+                <p className="text-sm text-gray-600">{message}.</p>
+              </>
+            )}
+            {status !== 'unlocking' && (
+              <div className="space-y-3">
+                <Link href="/login" className="btn-primary w-full flex justify-center py-2 px-4">
+                  Sign in
+                </Link>
+                <Link href="/forgot-password" className="btn-secondary w-full flex justify-center py-2 px-4">
+                  Reset your password
+                </Link>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
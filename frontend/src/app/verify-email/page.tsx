@@ -0,0 +1,80 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { useAuth } from '@/contexts/AuthContext';
+
+export default function VerifyEmailPage() {
+  const { isAuthenticated, loading: authLoading, refreshUser } = useAuth();
+  const [status, setStatus] = useState<'verifying' | 'verified' | 'failed'>('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    // Wait for the session, so a signed-in user sees their new status right away
+    if (authLoading) {
+      return;
+    }
+    verifyEmail();
+  }, [authLoading]);
+
+  const verifyEmail = async () => {
+    const token = new URLSearchParams(window.location.search).get('token') || '';
+    try {
+      const response = await fetch(
+        `http://localhost:5001/api/auth/verify-email?${new URLSearchParams({ token })}`
+      );
+      const data = await response.json();
+      setMessage(data.message);
+      if (response.ok) {
+        setStatus('verified');
+        if (isAuthenticated) {
+          await refreshUser();
+        }
+      } else {
+        setStatus('failed');
+      }
+    } catch (error) {
+      setMessage('Could not reach the server, please try again');
+      setStatus('failed');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="card">
+          <div className="card-body text-center space-y-4">
+            {status === 'verifying' ? (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : status === 'verified' ? (
+              <>
+                <CheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+                <h2 className="text-2xl font-bold text-gray-900">Email verified</h2>
+                <p className="text-sm text-gray-600">{message}. You can now vote and report issues under your name.</p>
+              </>
+            ) : (
+              <>
+                <XCircle className="h-12 w-12 text-red-600 mx-auto" />
+                <h2 className="text-2xl font-bold text-gray-900">Verification failed</h2>
+                <p className="text-sm text-gray-600">
+                  {message}. Sign in and request a new link from the dashboard.
+                </p>
+              </>
+            )}
+            {status !== 'verifying' && (
+              <Link
+                href={isAuthenticated ? '/dashboard' : '/login'}
+                className="btn-primary w-full flex justify-center py-2 px-4"
+              >
+                {isAuthenticated ? 'Go to the dashboard' : 'Sign in'}
+              </Link>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+'use client';
+
+import Map, { Layer, Marker, Source } from 'react-map-gl/maplibre';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import { circleRing, defaultMapView, mapStyle } from '@/lib/map';
+
+interface AreaPickerProps {
+  areaType: 'circle' | 'polygon';
+  center: [number, number] | null; // [longitude, latitude]
+  radiusKm: number;
+  vertices: [number, number][];
+  onCenterChange: (center: [number, number]) => void;
+  onVerticesChange: (vertices: [number, number][]) => void;
+}
+
+export default function AreaPicker({
+  areaType,
+  center,
+  radiusKm,
+  vertices,
+  onCenterChange,
+  onVerticesChange,
+}: AreaPickerProps) {
+  // Draw the circle, or the polygon once it has enough corners to enclose anything
+  const ring = areaType === 'circle'
+    ? center && circleRing(center[0], center[1], radiusKm)
+    : vertices.length >= 3 && [...vertices, vertices[0]];
+
+  const handleClick = (longitude: number, latitude: number) => {
+    if (areaType === 'circle') {
+      onCenterChange([longitude, latitude]);
+    } else {
+      onVerticesChange([...vertices, [longitude, latitude]]);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="h-64 w-full rounded-lg overflow-hidden border border-gray-300">
+        <Map
+          initialViewState={center ? { longitude: center[0], latitude: center[1], zoom: 12 } : defaultMapView}
+          mapStyle={mapStyle}
+          onClick={(e) => handleClick(e.lngLat.lng, e.lngLat.lat)}
+        >
+          {ring && (
+            <Source
+              id="area"
+              type="geojson"
+              data={{ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ring] } }}
+            >
+              <Layer id="area-fill" type="fill" paint={{ 'fill-color': '#2563eb', 'fill-opacity': 0.15 }} />
+              <Layer id="area-outline" type="line" paint={{ 'line-color': '#2563eb', 'line-width': 2 }} />
+            </Source>
+          )}
+          {areaType === 'circle' && center && (
+            <Marker
+              longitude={center[0]}
+              latitude={center[1]}
+              draggable
+              color="#2563eb"
+              onDragEnd={(e) => onCenterChange([e.lngLat.lng, e.lngLat.lat])}
+            />
+          )}
+          {areaType === 'polygon' && vertices.map(([longitude, latitude], index) => (
+            <Marker key={index} longitude={longitude} latitude={latitude}>
+              <div className="w-3 h-3 rounded-full bg-blue-600 border-2 border-white shadow" />
+            </Marker>
+          ))}
+        </Map>
+      </div>
+      <p className="text-xs text-gray-500">
+        {areaType === 'circle'
+          ? 'Click the map to set the center of the area.'
+          : 'Click the map to add corners of the area.'}
+      </p>
+    </div>
+  );
+}
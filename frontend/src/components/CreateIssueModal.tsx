@@ -1,8 +1,19 @@
 'use client';
 
 import { useState, useRef } from 'react';
-import { X, Upload, MapPin, Camera } from 'lucide-react';
+import dynamic from 'next/dynamic';
+import { X, Upload, MapPin, Camera, ThumbsUp } from 'lucide-react';
 import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { DuplicateCandidate } from '@/types';
+
+const LocationPicker = dynamic(() => import('@/components/LocationPicker'), { ssr: false });
+
+// Half-typed coordinate inputs (e.g. "-") should not move the pin
+const toCoordinate = (value: string) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
 
 interface CreateIssueModalProps {
   onClose: () => void;
@@ -29,10 +40,15 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
   });
   const [images, setImages] = useState<File[]>([]);
   const [loading, setLoading] = useState(false);
+  const [duplicates, setDuplicates] = useState<DuplicateCandidate[]>([]);
+  const { user, token } = useAuth();
+  // Reporting under one's name needs a verified email address
+  const [isAnonymous, setIsAnonymous] = useState(!user?.is_verified);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
+    setDuplicates([]);
     setFormData(prev => ({
       ...prev,
       [name]: value
@@ -65,23 +81,30 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
     setImages(prev => prev.filter((_, i) => i !== index));
   };
 
-  const getCurrentLocation = () => {
-    if (navigator.geolocation) {
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          setFormData(prev => ({
-            ...prev,
-            latitude: position.coords.latitude.toString(),
-            longitude: position.coords.longitude.toString()
-          }));
-          toast.success('Location captured successfully!');
-        },
-        (error) => {
-          toast.error('Failed to get location. Please enter manually.');
-        }
+  const handlePinMove = async (latitude: number, longitude: number) => {
+    setDuplicates([]);
+    setFormData(prev => ({
+      ...prev,
+      latitude: latitude.toFixed(6),
+      longitude: longitude.toFixed(6)
+    }));
+
+    // Fill in the address for the picked spot; a failure keeps whatever was typed
+    try {
+      const response = await fetch(
+        `http://localhost:5001/api/geo/reverse?${new URLSearchParams({
+          latitude: latitude.toString(),
+          longitude: longitude.toString()
+        })}`
       );
-    } else {
-      toast.error('Geolocation is not supported by this browser.');
+      if (response.ok) {
+        const result = await response.json();
+        if (result.address) {
+          setFormData(prev => ({ ...prev, address: result.address }));
+        }
+      }
+    } catch (error) {
+      toast.error('Could not look up the address for this location');
     }
   };
 
@@ -100,11 +123,51 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
 
     setLoading(true);
     try {
-      const submitData = {
-        ...formData,
-        images
-      };
-      await onSubmit(submitData);
+      if (formData.latitude && formData.longitude) {
+        const candidates = await checkDuplicates();
+        if (candidates.length > 0) {
+          setDuplicates(candidates);
+          return;
+        }
+      }
+      await onSubmit({ ...formData, images, is_anonymous: String(isAnonymous) });
+    } catch (error) {
+      toast.error('Failed to create issue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const checkDuplicates = async (): Promise<DuplicateCandidate[]> => {
+    try {
+      const response = await fetch('http://localhost:5001/api/issues/check-duplicates', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` }),
+        },
+        body: JSON.stringify({
+          title: formData.title,
+          description: formData.description,
+          category: formData.category,
+          latitude: formData.latitude,
+          longitude: formData.longitude
+        }),
+      });
+      if (response.ok) {
+        const result = await response.json();
+        return result.duplicates || [];
+      }
+    } catch (error) {
+      // Duplicate detection is advisory; fall through to a normal report
+    }
+    return [];
+  };
+
+  const reportAnyway = async () => {
+    setLoading(true);
+    try {
+      await onSubmit({ ...formData, images, is_anonymous: String(isAnonymous), ignore_duplicates: true });
     } catch (error) {
       toast.error('Failed to create issue');
     } finally {
@@ -112,6 +175,37 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
     }
   };
 
+  const upvoteInstead = async (issueId: string) => {
+    setLoading(true);
+    try {
+      const response = await fetch(`http://localhost:5001/api/issues/${issueId}/vote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: JSON.stringify({ type: 'upvote' }),
+      });
+      const result = await response.json();
+      // Voting the same way twice removes the vote, so only an upvote left in place counts
+      if (response.ok && result.my_vote === 'upvote') {
+        toast.success('Thanks! Your upvote was added to the existing report');
+        onClose();
+      } else if (response.ok) {
+        toast.error('Your upvote was removed, upvote again to keep it');
+        setDuplicates((current) => current.map((duplicate) => (
+          duplicate.id === issueId ? { ...duplicate, my_vote: result.my_vote } : duplicate
+        )));
+      } else {
+        toast.error(result.message || 'Failed to upvote');
+      }
+    } catch (error) {
+      toast.error('Error upvoting issue');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
@@ -188,18 +282,14 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
           <div className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
+                <MapPin className="inline w-4 h-4 mr-1" />
                 Location *
               </label>
-              <div className="flex space-x-2">
-                <button
-                  type="button"
-                  onClick={getCurrentLocation}
-                  className="flex items-center px-3 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors"
-                >
-                  <MapPin className="w-4 h-4 mr-2" />
-                  Get Current Location
-                </button>
-              </div>
+              <LocationPicker
+                latitude={toCoordinate(formData.latitude)}
+                longitude={toCoordinate(formData.longitude)}
+                onChange={handlePinMove}
+              />
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -297,6 +387,67 @@ export default function CreateIssueModal({ onClose, onSubmit }: CreateIssueModal
             </div>
           </div>
 
+          {/* Anonymity */}
+          <div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={isAnonymous}
+                onChange={(e) => setIsAnonymous(e.target.checked)}
+                disabled={!user?.is_verified}
+                className="rounded border-gray-300"
+              />
+              <span>Report anonymously</span>
+            </label>
+            {!user?.is_verified && (
+              <p className="text-xs text-gray-500 mt-1">Verify your email address to report under your name.</p>
+            )}
+          </div>
+
+          {/* Possible Duplicates */}
+          {duplicates.length > 0 && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+              <p className="text-sm font-medium text-yellow-800">
+                This looks like it may already have been reported nearby:
+              </p>
+              {duplicates.map(duplicate => (
+                <div key={duplicate.id} className="flex items-start justify-between bg-white p-3 rounded-lg border">
+                  <div className="mr-4">
+                    <p className="font-medium text-gray-900">{duplicate.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {Math.round(duplicate.distance * 1000)} m away · {duplicate.status.replace('_', ' ')}
+                      {duplicate.address ? ` · ${duplicate.address}` : ''}
+                    </p>
+                  </div>
+                  {duplicate.my_vote === 'upvote' ? (
+                    <span className="flex items-center shrink-0 px-3 py-1.5 text-sm text-green-700">
+                      <ThumbsUp className="w-4 h-4 mr-1" />
+                      You upvoted this
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => upvoteInstead(duplicate.id)}
+                      disabled={loading}
+                      className="flex items-center shrink-0 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+                    >
+                      <ThumbsUp className="w-4 h-4 mr-1" />
+                      Upvote this instead
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={reportAnyway}
+                disabled={loading}
+                className="text-sm text-blue-600 hover:text-blue-700 transition-colors disabled:opacity-50"
+              >
+                None of these match, report it anyway
+              </button>
+            </div>
+          )}
+
           {/* Submit Buttons */}
           <div className="flex justify-end space-x-4 pt-4">
             <button
@@ -0,0 +1,341 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import dynamic from 'next/dynamic';
+import { Bell, MapPin, Plus, Trash2, Undo2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import IssueCard from '@/components/IssueCard';
+import { AreaSubscription, FeedEvent, Issue } from '@/types';
+
+// The map touches window/WebGL, so it is only rendered in the browser
+const AreaPicker = dynamic(() => import('@/components/AreaPicker'), { ssr: false });
+
+const usersUrl = 'http://localhost:5001/api/users';
+
+const categoryOptions = [
+  { value: 'roads', label: 'Roads' },
+  { value: 'lighting', label: 'Lighting' },
+  { value: 'water supply', label: 'Water Supply' },
+  { value: 'cleanliness', label: 'Cleanliness' },
+  { value: 'public safety', label: 'Public Safety' },
+  { value: 'obstructions', label: 'Obstructions' }
+];
+
+const radiusOptions = [0.5, 1, 2, 5, 10];
+
+export default function FollowingPanel() {
+  const { token } = useAuth();
+  const [events, setEvents] = useState<FeedEvent[]>([]);
+  const [followedIssues, setFollowedIssues] = useState<Issue[]>([]);
+  const [areas, setAreas] = useState<AreaSubscription[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [showAreaForm, setShowAreaForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [areaName, setAreaName] = useState('');
+  const [areaType, setAreaType] = useState<'circle' | 'polygon'>('circle');
+  const [center, setCenter] = useState<[number, number] | null>(null);
+  const [radiusKm, setRadiusKm] = useState(1);
+  const [vertices, setVertices] = useState<[number, number][]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+
+  useEffect(() => {
+    fetchAll();
+  }, []);
+
+  const authHeaders = { 'Authorization': `Bearer ${token}` };
+
+  const fetchAll = async () => {
+    try {
+      const [feedResponse, issuesResponse, areasResponse] = await Promise.all([
+        fetch(`${usersUrl}/feed`, { headers: authHeaders }),
+        fetch(`${usersUrl}/followed-issues`, { headers: authHeaders }),
+        fetch(`${usersUrl}/area-subscriptions`, { headers: authHeaders }),
+      ]);
+      if (feedResponse.ok && issuesResponse.ok && areasResponse.ok) {
+        setEvents((await feedResponse.json()).events || []);
+        setFollowedIssues((await issuesResponse.json()).issues || []);
+        setAreas((await areasResponse.json()).subscriptions || []);
+      } else {
+        toast.error('Failed to load your feed');
+      }
+    } catch (error) {
+      toast.error('Error loading your feed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetAreaForm = () => {
+    setShowAreaForm(false);
+    setAreaName('');
+    setCenter(null);
+    setVertices([]);
+    setCategories([]);
+  };
+
+  const toggleCategory = (category: string) => {
+    setCategories((current) =>
+      current.includes(category) ? current.filter((value) => value !== category) : [...current, category]
+    );
+  };
+
+  const handleAddArea = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (areaType === 'circle' && !center) {
+      toast.error('Click the map to choose the center of the area');
+      return;
+    }
+    if (areaType === 'polygon' && vertices.length < 3) {
+      toast.error('Add at least three corners to the area');
+      return;
+    }
+
+    const area = areaType === 'circle' && center
+      ? { longitude: center[0], latitude: center[1], radius_km: radiusKm }
+      : { polygon: { type: 'Polygon', coordinates: [[...vertices, vertices[0]]] } };
+
+    setSaving(true);
+    try {
+      const response = await fetch(`${usersUrl}/area-subscriptions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders,
+        },
+        body: JSON.stringify({ name: areaName, area_type: areaType, categories, ...area }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        toast.success(result.message);
+        resetAreaForm();
+        fetchAll();
+      } else {
+        toast.error(result.message || 'Failed to subscribe to area');
+      }
+    } catch (error) {
+      toast.error('Error subscribing to area');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveArea = async (id: string) => {
+    try {
+      const response = await fetch(`${usersUrl}/area-subscriptions/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      if (response.ok) {
+        // The feed shrinks along with the areas, so reload both
+        fetchAll();
+      } else {
+        toast.error('Failed to remove area');
+      }
+    } catch (error) {
+      toast.error('Error removing area');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8 text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Loading your feed...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 p-6">
+      <div className="lg:col-span-2 space-y-6">
+        <section>
+          <h3 className="flex items-center font-semibold text-gray-900 mb-3">
+            <Bell className="w-5 h-5 mr-2" />
+            Latest activity
+          </h3>
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Nothing new yet. Follow issues or subscribe to an area to see updates here.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {events.map((event) => (
+                <li key={event.id} className="py-3">
+                  <p className="text-sm text-gray-900">
+                    {event.type === 'new_report' ? 'New report: ' : 'Status update: '}
+                    <span className="font-medium">{event.issue_title}</span>
+                    {event.type === 'status_change' && ` is now ${event.status.replace('_', ' ')}`}
+                  </p>
+                  {event.comment && event.type === 'status_change' && (
+                    <p className="text-sm text-gray-600 mt-1">{event.comment}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">
+                    {new Date(event.created_at).toLocaleString()}
+                    {' · '}
+                    {event.source === 'following' ? 'Following' : 'In your areas'}
+                    {event.issue_address && ` · ${event.issue_address}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section>
+          <h3 className="font-semibold text-gray-900 mb-3">Followed issues ({followedIssues.length})</h3>
+          {followedIssues.length === 0 ? (
+            <p className="text-sm text-gray-500">You are not following any issues yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-200 border rounded-lg">
+              {followedIssues.map((issue) => (
+                <IssueCard key={issue.id} issue={issue} onUpdate={fetchAll} />
+              ))}
+            </div>
+          )}
+        </section>
+      </div>
+
+      <section>
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="flex items-center font-semibold text-gray-900">
+            <MapPin className="w-5 h-5 mr-2" />
+            My areas
+          </h3>
+          {!showAreaForm && (
+            <button
+              onClick={() => setShowAreaForm(true)}
+              className="flex items-center px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add area
+            </button>
+          )}
+        </div>
+
+        {showAreaForm && (
+          <form onSubmit={handleAddArea} className="space-y-3 mb-4 p-4 border rounded-lg bg-gray-50">
+            <input
+              type="text"
+              value={areaName}
+              onChange={(e) => setAreaName(e.target.value)}
+              placeholder="Name, e.g. Around home"
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+              {(['circle', 'polygon'] as const).map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => setAreaType(type)}
+                  className={`flex-1 px-3 py-1.5 text-sm transition-colors ${
+                    areaType === type ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'
+                  }`}
+                >
+                  {type === 'circle' ? 'Radius' : 'Draw area'}
+                </button>
+              ))}
+            </div>
+
+            <AreaPicker
+              areaType={areaType}
+              center={center}
+              radiusKm={radiusKm}
+              vertices={vertices}
+              onCenterChange={setCenter}
+              onVerticesChange={setVertices}
+            />
+
+            {areaType === 'circle' ? (
+              <select
+                value={radiusKm}
+                onChange={(e) => setRadiusKm(parseFloat(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {radiusOptions.map((radius) => (
+                  <option key={radius} value={radius}>{radius} km</option>
+                ))}
+              </select>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setVertices(vertices.slice(0, -1))}
+                disabled={vertices.length === 0}
+                className="flex items-center text-sm text-gray-600 hover:text-blue-600 disabled:opacity-50"
+              >
+                <Undo2 className="w-4 h-4 mr-1" />
+                Undo last corner
+              </button>
+            )}
+
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-1">Categories (all if none selected)</p>
+              <div className="flex flex-wrap gap-2">
+                {categoryOptions.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => toggleCategory(option.value)}
+                    className={`px-2 py-1 text-xs rounded-full border transition-colors ${
+                      categories.includes(option.value)
+                        ? 'bg-blue-100 border-blue-300 text-blue-800'
+                        : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Subscribe'}
+              </button>
+              <button
+                type="button"
+                onClick={resetAreaForm}
+                className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {areas.length === 0 ? (
+          <p className="text-sm text-gray-500">Subscribe to an area to hear about new reports there.</p>
+        ) : (
+          <ul className="space-y-2">
+            {areas.map((area) => (
+              <li key={area.id} className="flex items-start justify-between p-3 border rounded-lg">
+                <div>
+                  <p className="font-medium text-gray-900">{area.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {area.area_type === 'circle' ? `${area.radius_km} km radius` : 'Drawn area'}
+                    {' · '}
+                    {area.categories.length > 0 ? area.categories.join(', ') : 'All categories'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRemoveArea(area.id)}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Remove ${area.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
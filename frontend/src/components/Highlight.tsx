@@ -0,0 +1,29 @@
+import { HighlightRange } from '@/types';
+
+interface HighlightProps {
+  text: string;
+  ranges?: HighlightRange[];
+}
+
+export default function Highlight({ text, ranges }: HighlightProps) {
+  if (!ranges || ranges.length === 0) {
+    return <>{text}</>;
+  }
+
+  const parts: React.ReactNode[] = [];
+  let cursor = 0;
+  ranges.forEach(({ start, end }, index) => {
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start));
+    }
+    parts.push(
+      <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+
+  return <>{parts}</>;
+}
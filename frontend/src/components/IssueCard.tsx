@@ -1,9 +1,12 @@
 'use client';
 
-import { useState } from 'react';
-import { MapPin, Calendar, User, Eye, ThumbsUp, ThumbsDown, MessageCircle, Flag } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { MapPin, Calendar, User, Eye, ThumbsUp, ThumbsDown, MessageCircle, Flag, Bell, BellOff } from 'lucide-react';
 import { toast } from 'react-hot-toast';
-import { Issue } from '@/types';
+import Highlight from '@/components/Highlight';
+import IssueComments from '@/components/IssueComments';
+import { useAuth } from '@/contexts/AuthContext';
+import { Issue, VoteType } from '@/types';
 
 interface IssueCardProps {
   issue: Issue;
@@ -12,9 +15,14 @@ interface IssueCardProps {
 
 const statusColors = {
   reported: 'bg-yellow-100 text-yellow-800',
+  acknowledged: 'bg-orange-100 text-orange-800',
+  assigned: 'bg-indigo-100 text-indigo-800',
   in_progress: 'bg-blue-100 text-blue-800',
+  on_hold: 'bg-purple-100 text-purple-800',
   resolved: 'bg-green-100 text-green-800',
-  closed: 'bg-gray-100 text-gray-800'
+  closed: 'bg-gray-100 text-gray-800',
+  rejected: 'bg-red-100 text-red-800',
+  duplicate: 'bg-gray-100 text-gray-600'
 };
 
 const categoryIcons = {
@@ -29,6 +37,15 @@ const categoryIcons = {
 export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
   const [showDetails, setShowDetails] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [following, setFollowing] = useState(!!issue.is_following);
+  const [myVote, setMyVote] = useState<VoteType | null>(issue.my_vote || null);
+  const [voteCounts, setVoteCounts] = useState({ upvotes: issue.upvotes, downvotes: issue.downvotes });
+  const { user, token } = useAuth();
+
+  // Live updates replace the issue with fresh counts from the server
+  useEffect(() => {
+    setVoteCounts({ upvotes: issue.upvotes, downvotes: issue.downvotes });
+  }, [issue.upvotes, issue.downvotes]);
 
   // Helper function to get image URL
   const getImageUrl = (image: { image_path: string } | string) => {
@@ -48,22 +65,24 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
     });
   };
 
-  const handleVote = async (type: 'upvote' | 'downvote') => {
+  const handleVote = async (type: VoteType) => {
     setLoading(true);
     try {
-      const response = await fetch(`http://localhost:5001/api/issues/${issue._id}/vote`, {
+      const response = await fetch(`http://localhost:5001/api/issues/${issue.id}/vote`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
         },
         body: JSON.stringify({ type }),
       });
+      const result = await response.json();
 
       if (response.ok) {
-        toast.success(`${type === 'upvote' ? 'Upvoted' : 'Downvoted'} successfully`);
-        onUpdate();
+        setMyVote(result.my_vote);
+        setVoteCounts({ upvotes: result.upvotes, downvotes: result.downvotes });
       } else {
-        toast.error('Failed to vote');
+        toast.error(result.message || 'Failed to vote');
       }
     } catch (error) {
       toast.error('Error voting');
@@ -75,18 +94,20 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
   const handleFlag = async () => {
     setLoading(true);
     try {
-      const response = await fetch(`http://localhost:5001/api/issues/${issue._id}/flag`, {
+      const response = await fetch(`http://localhost:5001/api/issues/${issue.id}/flag`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
         },
       });
+      const result = await response.json();
 
       if (response.ok) {
         toast.success('Issue flagged for review');
         onUpdate();
       } else {
-        toast.error('Failed to flag issue');
+        toast.error(result.message || 'Failed to flag issue');
       }
     } catch (error) {
       toast.error('Error flagging issue');
@@ -95,6 +116,30 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
     }
   };
 
+  const handleFollow = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`http://localhost:5001/api/users/followed-issues/${issue.id}`, {
+        method: following ? 'DELETE' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+        },
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        setFollowing(result.is_following);
+        toast.success(result.message);
+      } else {
+        toast.error(result.message || 'Failed to update follow');
+      }
+    } catch (error) {
+      toast.error('Error updating follow');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <div className={`p-6 hover:bg-gray-50 transition-colors ${
       issue.isNewlyCreated ? 'bg-green-50 border-l-4 border-green-500' : ''
@@ -103,10 +148,17 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
         <div className="flex-1">
           <div className="flex items-center space-x-3 mb-2">
             <span className="text-2xl">{categoryIcons[issue.category as keyof typeof categoryIcons] || '📋'}</span>
-            <h3 className="text-lg font-semibold text-gray-900">{issue.title}</h3>
+            <h3 className="text-lg font-semibold text-gray-900">
+              <Highlight text={issue.title} ranges={issue.highlights?.title} />
+            </h3>
             <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[issue.status as keyof typeof statusColors] || statusColors.reported}`}>
               {issue.status.replace('_', ' ').toUpperCase()}
             </span>
+            {issue.priority === 'high' && (
+              <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                HIGH PRIORITY
+              </span>
+            )}
             {issue.isNewlyCreated && (
               <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800 animate-pulse">
                 NEW
@@ -114,12 +166,18 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
             )}
           </div>
 
-          <p className="text-gray-600 mb-3 line-clamp-2">{issue.description}</p>
+          <p className="text-gray-600 mb-3 line-clamp-2">
+            <Highlight text={issue.description} ranges={issue.highlights?.description} />
+          </p>
 
           <div className="flex items-center space-x-6 text-sm text-gray-500 mb-4">
             <div className="flex items-center">
               <MapPin className="w-4 h-4 mr-1" />
-              <span>{issue.location?.address || issue.address || 'Location not specified'}</span>
+              <span>
+                {issue.address
+                  ? <Highlight text={issue.address} ranges={issue.highlights?.address} />
+                  : 'Location not specified'}
+              </span>
             </div>
             <div className="flex items-center">
               <Calendar className="w-4 h-4 mr-1" />
@@ -155,28 +213,53 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
             <div className="flex items-center space-x-4">
               <button
                 onClick={() => handleVote('upvote')}
-                disabled={loading}
-                className="flex items-center space-x-1 text-gray-500 hover:text-green-600 transition-colors disabled:opacity-50"
+                disabled={loading || !user}
+                aria-pressed={myVote === 'upvote'}
+                className={`flex items-center space-x-1 transition-colors disabled:opacity-50 ${
+                  myVote === 'upvote' ? 'text-green-600 font-medium' : 'text-gray-500 hover:text-green-600'
+                }`}
               >
-                <ThumbsUp className="w-4 h-4" />
-                <span>{issue.upvotes}</span>
+                <ThumbsUp className={`w-4 h-4 ${myVote === 'upvote' ? 'fill-current' : ''}`} />
+                <span>{voteCounts.upvotes}</span>
               </button>
               <button
                 onClick={() => handleVote('downvote')}
-                disabled={loading}
-                className="flex items-center space-x-1 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
+                disabled={loading || !user}
+                aria-pressed={myVote === 'downvote'}
+                className={`flex items-center space-x-1 transition-colors disabled:opacity-50 ${
+                  myVote === 'downvote' ? 'text-red-600 font-medium' : 'text-gray-500 hover:text-red-600'
+                }`}
+              >
+                <ThumbsDown className={`w-4 h-4 ${myVote === 'downvote' ? 'fill-current' : ''}`} />
+                <span>{voteCounts.downvotes}</span>
+              </button>
+              <button
+                onClick={() => setShowDetails(true)}
+                className="flex items-center space-x-1 text-gray-500 hover:text-blue-600 transition-colors"
               >
-                <ThumbsDown className="w-4 h-4" />
-                <span>{issue.downvotes}</span>
+                <MessageCircle className="w-4 h-4" />
+                <span>Discuss</span>
               </button>
               <button
                 onClick={handleFlag}
-                disabled={loading}
+                disabled={loading || !user}
                 className="flex items-center space-x-1 text-gray-500 hover:text-orange-600 transition-colors disabled:opacity-50"
               >
                 <Flag className="w-4 h-4" />
                 <span>Flag</span>
               </button>
+              {user && (
+                <button
+                  onClick={handleFollow}
+                  disabled={loading}
+                  className={`flex items-center space-x-1 transition-colors disabled:opacity-50 ${
+                    following ? 'text-blue-600 hover:text-gray-500' : 'text-gray-500 hover:text-blue-600'
+                  }`}
+                >
+                  {following ? <BellOff className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+                  <span>{following ? 'Unfollow' : 'Follow'}</span>
+                </button>
+              )}
             </div>
             <button
               onClick={() => setShowDetails(!showDetails)}
@@ -200,7 +283,7 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
             <div>
               <h4 className="font-medium text-gray-900 mb-2">Location Details</h4>
               <div className="space-y-1 text-sm text-gray-600">
-                <p><strong>Address:</strong> {issue.location?.address || issue.address || 'Not specified'}</p>
+                <p><strong>Address:</strong> {issue.address || 'Not specified'}</p>
                 <p><strong>Category:</strong> {issue.category}</p>
                 <p><strong>Status:</strong> {issue.status.replace('_', ' ')}</p>
               </div>
@@ -223,6 +306,8 @@ export default function IssueCard({ issue, onUpdate }: IssueCardProps) {
               </div>
             </div>
           )}
+
+          <IssueComments issueId={issue.id} />
         </div>
       )}
     </div>
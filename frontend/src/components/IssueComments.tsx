@@ -0,0 +1,297 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { MessageCircle, Shield, Flag, Pencil, Trash2, CornerDownRight } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { IssueComment } from '@/types';
+import { can } from '@/lib/permissions';
+
+interface IssueCommentsProps {
+  issueId: string;
+}
+
+const MAX_INDENT_DEPTH = 3;
+
+export default function IssueComments({ issueId }: IssueCommentsProps) {
+  const { user, token } = useAuth();
+  const [comments, setComments] = useState<IssueComment[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [newComment, setNewComment] = useState('');
+  const [replyTo, setReplyTo] = useState<string | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editText, setEditText] = useState('');
+
+  const commentsUrl = `http://localhost:5001/api/issues/${issueId}/comments`;
+
+  useEffect(() => {
+    fetchComments();
+  }, [issueId]);
+
+  const fetchComments = async () => {
+    try {
+      const response = await fetch(commentsUrl, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+      });
+      if (response.ok) {
+        const data = await response.json();
+        setComments(data.comments || []);
+        setTotal(data.total || 0);
+      } else {
+        toast.error('Failed to load comments');
+      }
+    } catch (error) {
+      toast.error('Error loading comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Shared request helper: toasts the server message on failure
+  const send = async (url: string, method: string, body?: object) => {
+    setSubmitting(true);
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        toast.error(result.message || 'Request failed');
+        return false;
+      }
+      toast.success(result.message);
+      await fetchComments();
+      return true;
+    } catch (error) {
+      toast.error('Error contacting server');
+      return false;
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newComment.trim()) {
+      return;
+    }
+    if (await send(commentsUrl, 'POST', { body: newComment })) {
+      setNewComment('');
+    }
+  };
+
+  const handleReply = async (parentId: string) => {
+    if (!replyText.trim()) {
+      return;
+    }
+    if (await send(commentsUrl, 'POST', { body: replyText, parent_id: parentId })) {
+      setReplyTo(null);
+      setReplyText('');
+    }
+  };
+
+  const handleEdit = async (commentId: string) => {
+    if (!editText.trim()) {
+      return;
+    }
+    if (await send(`${commentsUrl}/${commentId}`, 'PUT', { body: editText })) {
+      setEditingId(null);
+      setEditText('');
+    }
+  };
+
+  const handleDelete = (commentId: string) => {
+    if (window.confirm('Delete this comment?')) {
+      send(`${commentsUrl}/${commentId}`, 'DELETE');
+    }
+  };
+
+  const handleFlag = (commentId: string) => {
+    send(`${commentsUrl}/${commentId}/flag`, 'POST');
+  };
+
+  const renderComment = (comment: IssueComment, depth: number) => {
+    const removed = comment.is_deleted || comment.is_hidden;
+    const isAuthor = !!user && comment.author_id === user.id;
+    const canModerate = can(user, 'comments:moderate');
+
+    return (
+      <div
+        key={comment.id}
+        className={depth > 0 && depth <= MAX_INDENT_DEPTH ? 'ml-6 border-l border-gray-200 pl-4' : ''}
+      >
+        <div className={`py-3 ${comment.is_official ? 'bg-blue-50 -mx-2 px-2 rounded-lg' : ''}`}>
+          {removed ? (
+            <p className="text-sm italic text-gray-400">
+              {comment.is_hidden ? 'Comment hidden by moderators' : 'Comment deleted'}
+            </p>
+          ) : (
+            <>
+              <div className="flex items-center space-x-2 text-sm">
+                <span className="font-medium text-gray-900">{comment.author_name}</span>
+                {comment.is_official && (
+                  <span className="flex items-center px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                    <Shield className="w-3 h-3 mr-1" />
+                    Official
+                  </span>
+                )}
+                <span className="text-gray-400">{new Date(comment.created_at).toLocaleString()}</span>
+                {comment.is_edited && (
+                  <details className="text-gray-400">
+                    <summary className="cursor-pointer">(edited)</summary>
+                    <ul className="mt-1 space-y-1">
+                      {comment.edit_history.map((version, index) => (
+                        <li key={index} className="text-xs">
+                          {new Date(version.edited_at).toLocaleString()}: {version.body}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </div>
+
+              {editingId === comment.id ? (
+                <div className="mt-2 space-y-2">
+                  <textarea
+                    value={editText}
+                    onChange={(e) => setEditText(e.target.value)}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleEdit(comment.id)}
+                      disabled={submitting}
+                      className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <p className="mt-1 text-gray-700 whitespace-pre-line">{comment.body}</p>
+              )}
+
+              {user && editingId !== comment.id && (
+                <div className="flex items-center space-x-4 mt-2 text-xs text-gray-500">
+                  <button
+                    onClick={() => setReplyTo(replyTo === comment.id ? null : comment.id)}
+                    className="flex items-center hover:text-blue-600"
+                  >
+                    <CornerDownRight className="w-3 h-3 mr-1" />
+                    Reply
+                  </button>
+                  {isAuthor && (
+                    <button
+                      onClick={() => {
+                        setEditingId(comment.id);
+                        setEditText(comment.body || '');
+                      }}
+                      className="flex items-center hover:text-blue-600"
+                    >
+                      <Pencil className="w-3 h-3 mr-1" />
+                      Edit
+                    </button>
+                  )}
+                  {(isAuthor || canModerate) && (
+                    <button
+                      onClick={() => handleDelete(comment.id)}
+                      className="flex items-center hover:text-red-600"
+                    >
+                      <Trash2 className="w-3 h-3 mr-1" />
+                      Delete
+                    </button>
+                  )}
+                  {!isAuthor && (
+                    <button
+                      onClick={() => handleFlag(comment.id)}
+                      className="flex items-center hover:text-orange-600"
+                    >
+                      <Flag className="w-3 h-3 mr-1" />
+                      Flag
+                    </button>
+                  )}
+                </div>
+              )}
+
+              {replyTo === comment.id && (
+                <div className="mt-2 flex space-x-2">
+                  <input
+                    type="text"
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    placeholder={`Reply to ${comment.author_name}...`}
+                    className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={() => handleReply(comment.id)}
+                    disabled={submitting}
+                    className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Reply
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {comment.replies.map((reply) => renderComment(reply, depth + 1))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mt-4">
+      <h4 className="flex items-center font-medium text-gray-900 mb-2">
+        <MessageCircle className="w-4 h-4 mr-2" />
+        Discussion ({total})
+      </h4>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet. Add details others should know.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {comments.map((comment) => renderComment(comment, 0))}
+        </div>
+      )}
+
+      {user ? (
+        <form onSubmit={handleAdd} className="mt-3 flex space-x-2">
+          <input
+            type="text"
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Add a detail, e.g. it got worse after the rain"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={submitting || !newComment.trim()}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </form>
+      ) : (
+        <p className="mt-3 text-sm text-gray-500">Log in to join the discussion.</p>
+      )}
+    </div>
+  );
+}
@@ -16,9 +16,14 @@ interface IssueFiltersProps {
 const statusOptions = [
   { value: 'all', label: 'All Status' },
   { value: 'reported', label: 'Reported' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'assigned', label: 'Assigned' },
   { value: 'in_progress', label: 'In Progress' },
+  { value: 'on_hold', label: 'On Hold' },
   { value: 'resolved', label: 'Resolved' },
-  { value: 'closed', label: 'Closed' }
+  { value: 'closed', label: 'Closed' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'duplicate', label: 'Duplicate' }
 ];
 
 const categoryOptions = [
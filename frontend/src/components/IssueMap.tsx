@@ -0,0 +1,164 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Map, { GeolocateControl, MapRef, Marker, NavigationControl, Popup } from 'react-map-gl/maplibre';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import { toast } from 'react-hot-toast';
+import IssueCard from '@/components/IssueCard';
+import { ClustersResponse, Issue, IssueCluster, IssueStatus } from '@/types';
+import { defaultMapView, mapStyle, statusMarkerColors, toBBoxParam } from '@/lib/map';
+
+interface IssueMapProps {
+  filters: {
+    status: string;
+    category: string;
+  };
+}
+
+// Colour a cluster by whichever status most of its issues are in
+const dominantStatus = (cluster: IssueCluster) =>
+  (Object.keys(cluster.statuses) as IssueStatus[]).reduce((top, status) =>
+    cluster.statuses[status] > cluster.statuses[top] ? status : top
+  );
+
+export default function IssueMap({ filters }: IssueMapProps) {
+  const mapRef = useRef<MapRef>(null);
+  const requestId = useRef(0);
+  const [data, setData] = useState<ClustersResponse | null>(null);
+  const [selectedIssue, setSelectedIssue] = useState<Issue | null>(null);
+
+  const fetchClusters = useCallback(async () => {
+    const map = mapRef.current;
+    if (!map) {
+      return;
+    }
+
+    const bounds = map.getBounds();
+    const params = new URLSearchParams({
+      bbox: toBBoxParam(bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()),
+      zoom: Math.floor(map.getZoom()).toString(),
+      status: filters.status,
+      category: filters.category
+    });
+
+    // Ignore responses that arrive after a newer viewport was requested
+    const currentRequest = ++requestId.current;
+    try {
+      const response = await fetch(`http://localhost:5001/api/issues/clusters?${params}`);
+      if (currentRequest !== requestId.current) {
+        return;
+      }
+      if (response.ok) {
+        setData(await response.json());
+      } else {
+        toast.error('Failed to load map issues');
+      }
+    } catch (error) {
+      toast.error('Error loading map issues');
+    }
+  }, [filters.status, filters.category]);
+
+  useEffect(() => {
+    fetchClusters();
+  }, [fetchClusters]);
+
+  const openIssue = async (id: string) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/issues/${id}`);
+      if (response.ok) {
+        const result = await response.json();
+        setSelectedIssue(result.issue);
+      } else {
+        toast.error('Failed to load issue');
+      }
+    } catch (error) {
+      toast.error('Error loading issue');
+    }
+  };
+
+  const zoomToCluster = (cluster: IssueCluster) => {
+    const map = mapRef.current;
+    if (!map) {
+      return;
+    }
+    map.flyTo({
+      center: [cluster.longitude, cluster.latitude],
+      zoom: map.getZoom() + 2
+    });
+  };
+
+  const handleIssueUpdate = () => {
+    if (selectedIssue) {
+      openIssue(selectedIssue.id);
+    }
+    fetchClusters();
+  };
+
+  return (
+    <div className="h-[600px] w-full">
+      <Map
+        ref={mapRef}
+        initialViewState={defaultMapView}
+        mapStyle={mapStyle}
+        onLoad={fetchClusters}
+        onMoveEnd={fetchClusters}
+      >
+        <NavigationControl position="top-right" />
+        <GeolocateControl position="top-right" />
+
+        {data?.clusters.map((cluster) => {
+          const size = Math.min(24 + Math.log2(cluster.count) * 8, 64);
+          return (
+            <Marker
+              key={cluster.id}
+              longitude={cluster.longitude}
+              latitude={cluster.latitude}
+              onClick={(e) => {
+                e.originalEvent.stopPropagation();
+                zoomToCluster(cluster);
+              }}
+            >
+              <div
+                className="flex items-center justify-center rounded-full border-2 border-white text-white text-sm font-semibold shadow-md cursor-pointer"
+                style={{ width: size, height: size, backgroundColor: statusMarkerColors[dominantStatus(cluster)] }}
+                title={`${cluster.count} issues`}
+              >
+                {cluster.count}
+              </div>
+            </Marker>
+          );
+        })}
+
+        {data?.issues.map((issue) => issue.location && (
+          <Marker
+            key={issue.id}
+            longitude={issue.location.coordinates[0]}
+            latitude={issue.location.coordinates[1]}
+            onClick={(e) => {
+              e.originalEvent.stopPropagation();
+              openIssue(issue.id);
+            }}
+          >
+            <div
+              className="w-4 h-4 rounded-full border-2 border-white shadow-md cursor-pointer"
+              style={{ backgroundColor: statusMarkerColors[issue.status] || statusMarkerColors.reported }}
+              title={issue.title}
+            />
+          </Marker>
+        ))}
+
+        {selectedIssue?.location && (
+          <Popup
+            longitude={selectedIssue.location.coordinates[0]}
+            latitude={selectedIssue.location.coordinates[1]}
+            maxWidth="480px"
+            closeOnClick={false}
+            onClose={() => setSelectedIssue(null)}
+          >
+            <IssueCard issue={selectedIssue} onUpdate={handleIssueUpdate} />
+          </Popup>
+        )}
+      </Map>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import Map, { MapRef, Marker } from 'react-map-gl/maplibre';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import { Crosshair } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { defaultMapView, mapStyle } from '@/lib/map';
+
+interface LocationPickerProps {
+  latitude: number | null;
+  longitude: number | null;
+  onChange: (latitude: number, longitude: number) => void;
+}
+
+export default function LocationPicker({ latitude, longitude, onChange }: LocationPickerProps) {
+  const mapRef = useRef<MapRef>(null);
+  const [locating, setLocating] = useState(false);
+
+  // Keep the pin in view when coordinates are typed in or come from GPS
+  useEffect(() => {
+    const map = mapRef.current;
+    if (map && latitude !== null && longitude !== null && !map.getBounds().contains([longitude, latitude])) {
+      map.flyTo({ center: [longitude, latitude] });
+    }
+  }, [latitude, longitude]);
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      toast.error('Geolocation is not supported by this browser.');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const { latitude: lat, longitude: lon } = position.coords;
+        mapRef.current?.flyTo({ center: [lon, lat], zoom: 16 });
+        onChange(lat, lon);
+        setLocating(false);
+      },
+      () => {
+        toast.error('Failed to get location. Drop the pin on the map instead.');
+        setLocating(false);
+      }
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative h-64 w-full rounded-lg overflow-hidden border border-gray-300">
+        <Map
+          ref={mapRef}
+          initialViewState={latitude !== null && longitude !== null ? { latitude, longitude, zoom: 16 } : defaultMapView}
+          mapStyle={mapStyle}
+          onClick={(e) => onChange(e.lngLat.lat, e.lngLat.lng)}
+        >
+          {latitude !== null && longitude !== null && (
+            <Marker
+              latitude={latitude}
+              longitude={longitude}
+              draggable
+              color="#dc2626"
+              onDragEnd={(e) => onChange(e.lngLat.lat, e.lngLat.lng)}
+            />
+          )}
+        </Map>
+        <button
+          type="button"
+          onClick={locateMe}
+          disabled={locating}
+          className="absolute top-2 left-2 flex items-center px-3 py-1.5 text-sm bg-white text-blue-700 rounded-lg shadow hover:bg-blue-50 transition-colors disabled:opacity-50"
+        >
+          <Crosshair className="w-4 h-4 mr-1" />
+          {locating ? 'Locating...' : 'Use my location'}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Click the map or drag the pin to where the issue is.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { Bell, CheckCheck } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '@/contexts/AuthContext';
+import { UserNotification } from '@/types';
+
+export default function NotificationBell() {
+  const { isAuthenticated, notifications, unreadCount, markNotificationRead, markAllNotificationsRead } = useAuth();
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    const handleClick = (e: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(e.target as Node)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  const openNotification = async (notification: UserNotification) => {
+    setOpen(false);
+    try {
+      await markNotificationRead(notification.id);
+    } catch (error) {
+      toast.error('Failed to mark notification as read');
+    }
+    // Hidden issues are not on the dashboard; their reporter can appeal instead
+    if (notification.type === 'issue_hidden') {
+      router.push(`/appeal?issue=${notification.issue_id}`);
+    } else if (notification.type === 'appeal_submitted') {
+      router.push('/admin/moderation');
+    } else {
+      router.push(`/dashboard?issue=${notification.issue_id}`);
+    }
+  };
+
+  const handleMarkAll = async () => {
+    try {
+      await markAllNotificationsRead();
+    } catch (error) {
+      toast.error('Failed to mark notifications as read');
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="fixed bottom-6 right-6 z-50">
+      {open && (
+        <div className="absolute bottom-16 right-0 w-80 max-h-96 overflow-y-auto bg-white rounded-lg shadow-lg border">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAll}
+                className="flex items-center text-xs text-blue-600 hover:text-blue-700"
+              >
+                <CheckCheck className="w-4 h-4 mr-1" />
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">You have no notifications yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => openNotification(notification)}
+                    className={`w-full px-4 py-3 text-left hover:bg-gray-50 transition-colors ${
+                      notification.read_at ? '' : 'bg-blue-50'
+                    }`}
+                  >
+                    <p className={`text-sm ${notification.read_at ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>
+                      {notification.message}
+                    </p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {new Date(notification.created_at).toLocaleString()}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-4 bg-blue-600 text-white rounded-full shadow-lg hover:bg-blue-700 transition-colors"
+        aria-label="Notifications"
+      >
+        <Bell className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-bold bg-red-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+    </div>
+  );
+}
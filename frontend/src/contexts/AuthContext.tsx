@@ -1,67 +1,171 @@
 'use client';
 
 import React, { createContext, useContext, useEffect, useState } from 'react';
-import { User } from '@/types';
-import { api } from '@/lib/api';
+import { toast } from 'react-hot-toast';
+import { User, UserNotification } from '@/types';
+import { api, endpoints, onSessionChange, refreshSession, setAccessToken } from '@/lib/api';
+import { subscribeToNotifications } from '@/lib/notificationStream';
+
+// With two-factor authentication on, a correct password only yields a
+// challenge for verifyTwoFactor
+interface LoginResult {
+  twoFactorRequired: boolean;
+  challengeToken?: string;
+}
 
 interface AuthContextType {
   user: User | null;
   token: string | null;
-  login: (email: string, password: string) => Promise<void>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>;
   register: (email: string, password: string, name: string, phone?: string) => Promise<void>;
   logout: () => void;
+  refreshUser: () => Promise<void>;
+  resendVerification: () => Promise<string>;
   loading: boolean;
   isAuthenticated: boolean;
+  notifications: UserNotification[];
+  unreadCount: number;
+  markNotificationRead: (id: string) => Promise<void>;
+  markAllNotificationsRead: () => Promise<void>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * Read the expiry of a JWT without verifying it; the server does that
+ */
+function tokenExpiresAt(jwt: string) {
+  try {
+    const payload = JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp * 1000;
+  } catch (error) {
+    return null;
+  }
+}
+
 export function AuthProvider({ children }: { children: React.ReactNode }) {
   const [user, setUser] = useState<User | null>(null);
   const [token, setToken] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
+  const [notifications, setNotifications] = useState<UserNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
 
   useEffect(() => {
-    // Check for stored token on app load
-    const storedToken = localStorage.getItem('civictrack_token');
-    if (storedToken) {
-      verifyToken(storedToken);
-    } else {
-      setLoading(false);
-    }
+    // Follow silent refreshes, and sign out when the session is gone
+    const unsubscribe = onSessionChange((session) => {
+      setUser(session ? session.user : null);
+      setToken(session ? session.token : null);
+    });
+
+    // Resume the session from the refresh token cookie on app load
+    refreshSession()
+      .catch(() => {
+        // Not signed in
+      })
+      .finally(() => setLoading(false));
+
+    return unsubscribe;
   }, []);
 
-  const verifyToken = async (tokenToVerify: string) => {
-    try {
-      const response = await api.post('/auth/verify', { token: tokenToVerify });
-      if (response.data.valid) {
-        setUser(response.data.user);
-        setToken(tokenToVerify);
-        api.defaults.headers.common['Authorization'] = `Bearer ${tokenToVerify}`;
-      } else {
-        localStorage.removeItem('civictrack_token');
+  // Renew the access token shortly before it expires, so pages that call
+  // fetch with it directly keep working
+  useEffect(() => {
+    const expiresAt = token && tokenExpiresAt(token);
+    if (!expiresAt) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      refreshSession().catch(() => {
+        // The next API call finds out and sends the user to /login
+      });
+    }, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN));
+    return () => clearTimeout(timer);
+  }, [token]);
+
+  // Load recent notifications and listen for new ones while logged in
+  useEffect(() => {
+    if (!token) {
+      setNotifications([]);
+      setUnreadCount(0);
+      return;
+    }
+
+    api.get(endpoints.users.notifications, { params: { limit: 20 } })
+      .then((response) => {
+        setNotifications(response.data.notifications);
+        setUnreadCount(response.data.unread_count);
+      })
+      .catch(() => {
+        // The bell stays empty; new notifications still arrive over the stream
+      });
+
+    return subscribeToNotifications(token, (event, data) => {
+      if (event === 'notification') {
+        setNotifications((current) => [data, ...current].slice(0, 50));
+        setUnreadCount((current) => current + 1);
+        toast(data.message, { icon: '🔔' });
+      } else if (event === 'unread_count') {
+        setUnreadCount(data.unread_count);
       }
-    } catch (error) {
-      localStorage.removeItem('civictrack_token');
-    } finally {
-      setLoading(false);
+    });
+  }, [token]);
+
+  const markNotificationRead = async (id: string) => {
+    const notification = notifications.find((item) => item.id === id);
+    if (!notification || notification.read_at) {
+      return;
     }
+
+    await api.put(endpoints.users.readNotification(id));
+    setNotifications((current) =>
+      current.map((item) => (item.id === id ? { ...item, read_at: new Date().toISOString() } : item))
+    );
+    setUnreadCount((current) => Math.max(0, current - 1));
+  };
+
+  const markAllNotificationsRead = async () => {
+    await api.put(endpoints.users.readAllNotifications);
+    const readAt = new Date().toISOString();
+    setNotifications((current) => current.map((item) => ({ ...item, read_at: item.read_at || readAt })));
+    setUnreadCount(0);
   };
 
   const login = async (email: string, password: string) => {
     try {
       const response = await api.post('/auth/login', { email, password });
+      if (response.data.two_factor_required) {
+        return { twoFactorRequired: true, challengeToken: response.data.challenge_token };
+      }
+
       const { user: userData, token: tokenData } = response.data;
       
       setUser(userData);
       setToken(tokenData);
-      localStorage.setItem('civictrack_token', tokenData);
-      api.defaults.headers.common['Authorization'] = `Bearer ${tokenData}`;
+      setAccessToken(tokenData);
+      return { twoFactorRequired: false };
     } catch (error: any) {
       throw new Error(error.response?.data?.message || 'Login failed');
     }
   };
 
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    try {
+      const response = await api.post(endpoints.auth.loginTwoFactor, { challenge_token: challengeToken, code });
+      const { user: userData, token: tokenData } = response.data;
+
+      setUser(userData);
+      setToken(tokenData);
+      setAccessToken(tokenData);
+    } catch (error: any) {
+      throw new Error(error.response?.data?.message || 'Verification failed');
+    }
+  };
+
   const register = async (email: string, password: string, name: string, phone?: string) => {
     try {
       const response = await api.post('/auth/register', { email, password, name, phone });
@@ -69,28 +173,52 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
       
       setUser(userData);
       setToken(tokenData);
-      localStorage.setItem('civictrack_token', tokenData);
-      api.defaults.headers.common['Authorization'] = `Bearer ${tokenData}`;
+      setAccessToken(tokenData);
     } catch (error: any) {
       throw new Error(error.response?.data?.message || 'Registration failed');
     }
   };
 
+  // Reload the user, e.g. after their email address was verified in another tab
+  const refreshUser = async () => {
+    const response = await api.get(endpoints.auth.profile);
+    setUser(response.data.user);
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await api.post(endpoints.auth.resendVerification);
+      return response.data.message;
+    } catch (error: any) {
+      throw new Error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
   const logout = () => {
+    // End the session on the server too, so the refresh cookie is worthless
+    api.post(endpoints.auth.logout).catch(() => {
+      // The session still expires on its own
+    });
     setUser(null);
     setToken(null);
-    localStorage.removeItem('civictrack_token');
-    delete api.defaults.headers.common['Authorization'];
+    setAccessToken(null);
   };
 
   const value: AuthContextType = {
     user,
     token,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    refreshUser,
+    resendVerification,
     loading,
     isAuthenticated: !!user && !!token,
+    notifications,
+    unreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
   };
 
   return (
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { User } from '@/types';
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:5000/api';
 
@@ -8,14 +9,62 @@ export const api = axios.create({
     'Content-Type': 'application/json',
   },
   timeout: 10000,
+  // Sends the httpOnly refresh token cookie to the auth routes
+  withCredentials: true,
 });
 
+interface SessionData {
+  token: string;
+  user: User;
+}
+
+type SessionListener = (session: SessionData | null) => void;
+
+// The access token lives in memory only; a reload gets a new one from the refresh cookie
+let accessToken: string | null = null;
+let refreshing: Promise<SessionData> | null = null;
+const sessionListeners = new Set<SessionListener>();
+
+export function setAccessToken(token: string | null) {
+  accessToken = token;
+}
+
+/**
+ * Get told when a silent refresh replaces the access token, or the session ends.
+ * Returns a function that stops listening.
+ */
+export function onSessionChange(listener: SessionListener) {
+  sessionListeners.add(listener);
+  return () => {
+    sessionListeners.delete(listener);
+  };
+}
+
+/**
+ * Trade the refresh token cookie for a new access token. Calls made while a
+ * refresh is running share it, since every refresh rotates the cookie.
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = axios
+      .post<SessionData>(`${API_BASE_URL}/auth/refresh`, null, { withCredentials: true })
+      .then((response) => {
+        setAccessToken(response.data.token);
+        sessionListeners.forEach((listener) => listener(response.data));
+        return response.data;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('civictrack_token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+    if (accessToken) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
     }
     return config;
   },
@@ -24,16 +73,30 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Requests that must not trigger a refresh when they fail with 401
+const noRefreshUrls = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Response interceptor: refresh the access token once and retry, and only
+// send the user to /login when the session itself is gone
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('civictrack_token');
+  async (error) => {
+    const request = error.config;
+    if (error.response?.status !== 401 || !request || request._retried || noRefreshUrls.includes(request.url)) {
+      return Promise.reject(error);
+    }
+
+    request._retried = true;
+    try {
+      const { token } = await refreshSession();
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch (refreshError) {
+      setAccessToken(null);
+      sessionListeners.forEach((listener) => listener(null));
       window.location.href = '/login';
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -44,6 +107,18 @@ export const endpoints = {
     register: '/auth/register',
     profile: '/auth/profile',
     verify: '/auth/verify',
+    verifyEmail: '/auth/verify-email',
+    resendVerification: '/auth/resend-verification',
+    forgotPassword: '/auth/forgot-password',
+    unlock: '/auth/unlock',
+    resetPassword: '/auth/reset-password',
+    loginTwoFactor: '/auth/login/2fa',
+    twoFactorSetup: '/auth/2fa/setup',
+    twoFactorEnable: '/auth/2fa/enable',
+    twoFactorDisable: '/auth/2fa/disable',
+    twoFactorBackupCodes: '/auth/2fa/backup-codes',
+    refresh: '/auth/refresh',
+    logout: '/auth/logout',
   },
   issues: {
     list: '/issues',
@@ -51,6 +126,8 @@ export const endpoints = {
     get: (id: string) => `/issues/${id}`,
     updateStatus: (id: string) => `/issues/${id}/status`,
     flag: (id: string) => `/issues/${id}/flag`,
+    vote: (id: string) => `/issues/${id}/vote`,
+    voters: (id: string) => `/issues/${id}/voters`,
     stats: '/issues/stats/overview',
   },
   admin: {
@@ -58,9 +135,31 @@ export const endpoints = {
     issues: '/admin/issues',
     users: '/admin/users',
     analytics: '/admin/analytics',
+    assignIssue: (id: string) => `/admin/issues/${id}/assign`,
+    issuePriority: (id: string) => `/admin/issues/${id}/priority`,
+    departments: '/admin/departments',
+    department: (id: string) => `/admin/departments/${id}`,
+    roles: '/admin/roles',
+    slaPolicies: '/admin/sla-policies',
+    slaPolicy: (id: string) => `/admin/sla-policies/${id}`,
+    userRole: (id: string) => `/admin/users/${id}/role`,
+    resetTwoFactor: (id: string) => `/admin/users/${id}/reset-2fa`,
+    moderationQueue: '/admin/moderation/queue',
+    securityLog: '/admin/security-log',
+    moderateIssue: (id: string) => `/admin/moderation/issues/${id}`,
+    moderationComments: '/admin/moderation/comments',
+    moderateComment: (id: string) => `/admin/moderation/comments/${id}`,
+    moderationLog: '/admin/moderation/log',
   },
   users: {
     issues: '/users/issues',
     stats: '/users/stats',
+    appeal: (id: string) => `/users/issues/${id}/appeal`,
+    notifications: '/users/notifications',
+    notificationStream: '/users/notifications/stream',
+    readNotification: (id: string) => `/users/notifications/${id}/read`,
+    readAllNotifications: '/users/notifications/read-all',
+    sessions: '/users/sessions',
+    session: (id: string) => `/users/sessions/${id}`,
   },
 } as const; 
\ No newline at end of file
@@ -0,0 +1,75 @@
+import type { MapStyle } from 'react-map-gl/maplibre';
+import { IssueStatus } from '@/types';
+
+// Any raster XYZ tile server works here, including a self-hosted or offline one
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = process.env.NEXT_PUBLIC_MAP_ATTRIBUTION || '© OpenStreetMap contributors';
+
+const rasterStyle: MapStyle = {
+  version: 8,
+  sources: {
+    tiles: {
+      type: 'raster',
+      tiles: [TILE_URL],
+      tileSize: 256,
+      attribution: TILE_ATTRIBUTION,
+    },
+  },
+  layers: [{ id: 'tiles', type: 'raster', source: 'tiles' }],
+};
+
+// A full style.json URL (e.g. a local tileserver-gl) takes precedence over raster tiles
+export const mapStyle: string | MapStyle = process.env.NEXT_PUBLIC_MAP_STYLE_URL || rasterStyle;
+
+export const defaultMapView = {
+  latitude: 40.7128,
+  longitude: -74.006,
+  zoom: 12,
+};
+
+export const statusMarkerColors: Record<IssueStatus, string> = {
+  reported: '#eab308',
+  acknowledged: '#f97316',
+  assigned: '#4f46e5',
+  in_progress: '#2563eb',
+  on_hold: '#9333ea',
+  resolved: '#16a34a',
+  closed: '#6b7280',
+  rejected: '#dc2626',
+  duplicate: '#9ca3af',
+};
+
+/**
+ * Format map bounds as the `bbox` query parameter, clamped to valid ranges
+ */
+export function toBBoxParam(west: number, south: number, east: number, north: number) {
+  const clamp = (value: number, limit: number) => Math.max(-limit, Math.min(limit, value));
+  return [clamp(west, 180), clamp(south, 90), clamp(east, 180), clamp(north, 90)]
+    .map((value) => value.toFixed(6))
+    .join(',');
+}
+
+/**
+ * Approximate a circle on the map as a closed polygon ring of [longitude, latitude] positions
+ */
+export function circleRing(longitude: number, latitude: number, radiusKm: number, steps = 64) {
+  const angularDistance = radiusKm / 6371;
+  const lat1 = (latitude * Math.PI) / 180;
+  const lon1 = (longitude * Math.PI) / 180;
+  const ring: [number, number][] = [];
+
+  for (let step = 0; step <= steps; step++) {
+    const bearing = (2 * Math.PI * step) / steps;
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angularDistance) +
+        Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+    );
+    const lon2 = lon1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+      Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([(lon2 * 180) / Math.PI, (lat2 * 180) / Math.PI]);
+  }
+
+  return ring;
+}
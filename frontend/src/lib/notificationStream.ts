@@ -0,0 +1,80 @@
+import { api, endpoints } from '@/lib/api';
+
+const RECONNECT_DELAY = 5000;
+
+type StreamHandler = (event: string, data: any) => void;
+
+/**
+ * Listen to the notification event stream, reconnecting when it drops.
+ * EventSource cannot send the Authorization header, so the stream is read with fetch.
+ * Returns a function that closes the stream.
+ */
+export function subscribeToNotifications(token: string, onEvent: StreamHandler) {
+  let controller: AbortController | null = null;
+  let reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  let closed = false;
+
+  const dispatch = (block: string) => {
+    let event = 'message';
+    const data: string[] = [];
+
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim());
+      }
+    });
+
+    // Comment-only blocks (heartbeats) and retry hints carry no data
+    if (data.length > 0) {
+      onEvent(event, JSON.parse(data.join('\n')));
+    }
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+
+    try {
+      const response = await fetch(`${api.defaults.baseURL}${endpoints.users.notificationStream}`, {
+        headers: { 'Authorization': `Bearer ${token}` },
+        signal: controller.signal,
+      });
+      if (!response.ok || !response.body) {
+        throw new Error(`Notification stream failed with ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop() || '';
+        blocks.forEach(dispatch);
+      }
+    } catch (error) {
+      // Network errors and aborts end up here; reconnect below unless closed
+    }
+
+    if (!closed) {
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    controller?.abort();
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+    }
+  };
+}
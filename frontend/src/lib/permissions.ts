@@ -0,0 +1,13 @@
+import { Permission, User, UserRole } from '@/types';
+
+export const roleLabels: Record<UserRole, string> = {
+  citizen: 'Citizen',
+  moderator: 'Moderator',
+  department_officer: 'Department Officer',
+  department_head: 'Department Head',
+  super_admin: 'Super Admin',
+};
+
+// The server resolves permissions from the role; this only hides UI the user cannot use
+export const can = (user: User | null, permission: Permission) =>
+  !!user && (user.permissions || []).includes(permission);
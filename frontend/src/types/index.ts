@@ -4,11 +4,56 @@ export interface User {
   name: string;
   phone?: string;
   is_verified: boolean;
-  is_admin: boolean;
-  role?: string;
+  email_verified_at?: string | null;
+  role: UserRole;
+  permissions: Permission[];
+  department_id?: string | null;
+  notification_preferences?: NotificationPreferences;
+  two_factor_enabled?: boolean;
+  two_factor_required?: boolean;
   created_at: string;
 }
 
+export interface UserSession {
+  id: string;
+  device: string | null;
+  user_agent: string | null;
+  ip: string | null;
+  created_at: string;
+  last_used_at: string;
+  expires_at: string;
+  current: boolean;
+}
+
+export type UserRole = 'citizen' | 'moderator' | 'department_officer' | 'department_head' | 'super_admin';
+
+export type Permission =
+  | 'admin:access'
+  | 'issues:view'
+  | 'issues:update_status'
+  | 'issues:assign'
+  | 'issues:moderate'
+  | 'comments:moderate'
+  | 'comments:official'
+  | 'users:manage'
+  | 'roles:manage'
+  | 'departments:manage'
+  | 'sla:manage';
+
+export interface RoleDefinition {
+  name: UserRole;
+  label: string;
+  permissions: Permission[];
+  department_permissions: Permission[];
+  requires_department: boolean;
+}
+
+// Email opt-outs; in-app notifications always go out
+export interface NotificationPreferences {
+  status_change: boolean;
+  sla_breach: boolean;
+}
+
 export interface Issue {
   id: string;
   _id?: string; // MongoDB ObjectId for compatibility
@@ -19,10 +64,8 @@ export interface Issue {
   latitude: number;
   longitude: number;
   location?: {
-    address: string;
-    coordinates: [number, number];
-    latitude?: number;
-    longitude?: number;
+    type: 'Point';
+    coordinates: [number, number]; // [longitude, latitude]
   };
   address?: string;
   reporter_id?: string;
@@ -32,19 +75,105 @@ export interface Issue {
     email: string;
   };
   is_anonymous: boolean;
-  flag_count: number;
+  flag_count: number; // open flags awaiting review
+  flag_weight?: number;
   upvotes: number;
   downvotes: number;
   is_hidden: boolean;
+  is_deleted?: boolean;
+  moderation?: IssueModeration;
   image_count: number;
   distance?: number;
+  score?: number; // search relevance, present when searching
+  highlights?: Partial<Record<'title' | 'description' | 'address', HighlightRange[]>>;
+  is_following?: boolean; // present for signed-in users
+  my_vote?: VoteType | null; // present for signed-in users
+  department_id?: string | null;
+  assignee_id?: string | null;
+  assigned_at?: string | null;
+  priority?: IssuePriority;
+  priority_score?: number; // 0 to 100
+  priority_locked?: boolean; // set by an admin, not recomputed
+  sla?: IssueSla;
   created_at: string;
   updated_at: string;
   images?: Array<IssueImage | { image_path: string } | string>;
   status_logs?: StatusLog[];
+  available_transitions?: StatusTransition[]; // present on GET /api/issues/:id
   isNewlyCreated?: boolean; // UI-only flag for highlighting newly created issues
 }
 
+export type AppealStatus = 'pending' | 'granted' | 'denied';
+
+export interface IssueModeration {
+  hidden_at: string | null;
+  hidden_by: string | null; // null when hidden automatically
+  hidden_reason: string | null;
+  appeal_status: AppealStatus | null;
+  appeal_message: string | null;
+  appealed_at: string | null;
+  appeal_reviewed_by: string | null;
+  appeal_reviewed_at: string | null;
+}
+
+export type ModerationAction = 'approve' | 'reject_flags' | 'hide' | 'delete' | 'warn_reporter';
+
+export interface IssueFlag {
+  id: string;
+  issue_id: string;
+  flagged_by: string;
+  user_name?: string;
+  reason?: string;
+  weight: number;
+  status: 'open' | 'upheld' | 'rejected' | 'dismissed';
+  created_at: string;
+}
+
+export interface ModerationQueueItem extends Issue {
+  flags: IssueFlag[];
+  has_pending_appeal: boolean;
+  reporter_warning_count: number;
+}
+
+export type CommentModerationAction = 'approve' | 'reject_flags' | 'hide';
+
+export interface CommentFlag extends Omit<IssueFlag, 'issue_id'> {
+  comment_id: string;
+}
+
+export interface ModerationCommentItem {
+  id: string;
+  issue_id: string;
+  issue_title?: string;
+  author_id: string;
+  author_name?: string;
+  body: string;
+  is_hidden: boolean;
+  flag_count: number;
+  flag_weight: number;
+  flags: CommentFlag[];
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ModerationLogEntry {
+  id: string;
+  issue_id: string;
+  comment_id: string | null; // set for decisions about a comment on the issue
+  issue_title?: string;
+  action: ModerationAction | 'auto_hide' | 'appeal';
+  actor_id: string | null;
+  actor_name: string;
+  reason: string | null;
+  flags_reviewed: number;
+  created_at: string;
+}
+
+export interface HighlightRange {
+  start: number;
+  end: number;
+}
+
 export interface IssueImage {
   id: string;
   image_path: string;
@@ -61,6 +190,23 @@ export interface StatusLog {
   created_at: string;
 }
 
+export interface IssueComment {
+  id: string;
+  issue_id: string;
+  parent_id: string | null;
+  author_id: string | null;
+  author_name: string | null;
+  is_official: boolean;
+  body: string | null; // null once deleted or hidden
+  is_edited: boolean;
+  edit_history: Array<{ body: string; edited_at: string }>;
+  is_deleted: boolean;
+  is_hidden: boolean;
+  created_at: string;
+  updated_at: string;
+  replies: IssueComment[];
+}
+
 export type IssueCategory = 
   | 'roads'
   | 'lighting'
@@ -71,8 +217,24 @@ export type IssueCategory =
 
 export type IssueStatus = 
   | 'reported'
+  | 'acknowledged'
+  | 'assigned'
   | 'in_progress'
-  | 'resolved';
+  | 'on_hold'
+  | 'resolved'
+  | 'closed'
+  | 'rejected'
+  | 'duplicate';
+
+export type IssuePriority = 'low' | 'medium' | 'high';
+
+export type VoteType = 'upvote' | 'downvote';
+
+export interface StatusTransition {
+  status: IssueStatus;
+  label: string;
+  require_comment: boolean;
+}
 
 export interface Pagination {
   page: number;
@@ -86,6 +248,112 @@ export interface IssuesResponse {
   pagination: Pagination;
 }
 
+export interface IssueCluster {
+  id: string;
+  latitude: number;
+  longitude: number;
+  count: number;
+  statuses: Record<IssueStatus, number>;
+  dominant_category: IssueCategory;
+}
+
+export interface ClustersResponse {
+  zoom: number;
+  clusters: IssueCluster[];
+  issues: Array<Pick<Issue, 'id' | 'title' | 'category' | 'status' | 'location' | 'address' | 'created_at'>>;
+}
+
+export interface DuplicateCandidate {
+  id: string;
+  title: string;
+  description: string;
+  category: IssueCategory;
+  status: IssueStatus;
+  address?: string;
+  distance: number; // kilometers
+  similarity: number; // 0 to 1
+  my_vote: VoteType | null; // null for anonymous visitors
+  created_at: string;
+}
+
+export interface Department {
+  id: string;
+  name: string;
+  categories: string[];
+  zone: {
+    type: 'Polygon' | 'MultiPolygon';
+    coordinates: number[][][] | number[][][][];
+  } | null;
+  auto_assign_staff: boolean;
+  open_issues?: number;
+  staff_count?: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface AreaSubscription {
+  id: string;
+  name: string;
+  area_type: 'circle' | 'polygon';
+  center?: [number, number]; // [longitude, latitude]
+  radius_km?: number;
+  polygon?: {
+    type: 'Polygon' | 'MultiPolygon';
+    coordinates: number[][][] | number[][][][];
+  };
+  categories: string[];
+  created_at: string;
+}
+
+export interface FeedEvent {
+  id: string;
+  type: 'new_report' | 'status_change';
+  source: 'following' | 'area';
+  issue_id: string;
+  issue_title: string;
+  issue_category: string;
+  issue_address?: string;
+  status: IssueStatus;
+  comment?: string;
+  created_at: string;
+}
+
+export interface FeedResponse {
+  events: FeedEvent[];
+  pagination: Pagination;
+}
+
+export type NotificationType =
+  | 'status_change'
+  | 'comment'
+  | 'reply'
+  | 'issue_flagged'
+  | 'comment_flagged'
+  | 'assigned'
+  | 'sla_breach'
+  | 'issue_hidden'
+  | 'issue_deleted'
+  | 'moderation_warning'
+  | 'appeal_submitted'
+  | 'appeal_decided';
+
+export interface UserNotification {
+  id: string;
+  type: NotificationType;
+  issue_id: string;
+  comment_id: string | null;
+  actor_id: string | null;
+  message: string;
+  read_at: string | null;
+  created_at: string;
+}
+
+export interface NotificationsResponse {
+  notifications: UserNotification[];
+  unread_count: number;
+  pagination: Pagination;
+}
+
 export interface IssueResponse {
   issue: Issue;
 }
@@ -130,12 +398,15 @@ export interface Filters {
   radius?: number;
 }
 
+// Issue counts per status as returned by the statistics endpoints
+export type IssueStatusCounts = Record<IssueStatus, number> & {
+  total_issues: number;
+  closed_issues: number; // in any closed status (resolved, closed, rejected, duplicate)
+  resolution_rate: number | null; // percent of issues closed, null without issues
+};
+
 export interface AdminStats {
-  overall_stats: {
-    total_issues: number;
-    reported: number;
-    in_progress: number;
-    resolved: number;
+  overall_stats: IssueStatusCounts & {
     hidden: number;
     flagged: number;
   };
@@ -143,7 +414,7 @@ export interface AdminStats {
     total_users: number;
     verified_users: number;
     banned_users: number;
-    admin_users: number;
+    staff_users: number;
   };
   recent_issues: Array<{
     id: string;
@@ -156,7 +427,7 @@ export interface AdminStats {
   category_stats: Array<{
     category: IssueCategory;
     count: number;
-    resolved_count: number;
+    resolved_count: number; // issues in any closed status
   }>;
   flagged_issues: Array<{
     id: string;
@@ -166,15 +437,49 @@ export interface AdminStats {
     created_at: string;
     reporter_name?: string;
   }>;
+  sla_compliance?: {
+    days: number;
+    departments: SlaCompliance[];
+  };
+}
+
+export interface IssueSla {
+  policy_id: string | null;
+  acknowledge_due_at: string | null;
+  resolve_due_at: string | null;
+  acknowledged_at: string | null;
+  resolved_at: string | null;
+  paused_at: string | null;
+  acknowledge_breached: boolean;
+  resolve_breached: boolean;
+  escalated_at: string | null;
+}
+
+export interface SlaPolicy {
+  id: string;
+  category: string | null; // null applies to every category
+  priority: IssuePriority | null;
+  acknowledge_hours: number;
+  resolve_hours: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SlaCompliance {
+  department_id: string | null;
+  department_name: string;
+  total_issues: number;
+  acknowledged_on_time: number;
+  acknowledge_breached: number;
+  resolved_on_time: number;
+  resolve_breached: number;
+  overdue: number;
+  acknowledge_compliance: number | null; // percent, null until a target was met or missed
+  resolve_compliance: number | null;
 }
 
 export interface UserStats {
-  overview: {
-    total_issues: number;
-    reported: number;
-    in_progress: number;
-    resolved: number;
-  };
+  overview: IssueStatusCounts;
   by_category: Array<{
     category: IssueCategory;
     count: number;